@@ -13,10 +13,36 @@ import aboutRoutes from './src/routes/aboutRoutes.js';
 import healthRoutes from './src/routes/healthRoutes.js';
 import subscriptionRoutes from './src/routes/subscriptionRoutes.js';
 import addOnRoutes from './src/routes/addOnRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
 // import controllers
 import * as subscriptionController from './src/controllers/subscriptionController.js';
 // import kafka
-import { startKafkaConsumer, isKafkaEnabled } from './src/services/kafkaConsumer.js';
+import {
+  startKafkaConsumer,
+  stopKafkaConsumer,
+  isKafkaEnabled,
+} from './src/services/kafkaConsumer.js';
+// import workers
+import {
+  startWebhookInboxWorker,
+  stopWebhookInboxWorker,
+} from './src/services/webhookInboxWorker.js';
+import {
+  startDunningWorker,
+  stopDunningWorker,
+} from './src/services/dunningWorker.js';
+import {
+  startOutboxRelay,
+  stopOutboxRelay,
+} from './src/services/outboxRelay.js';
+import {
+  startDeadLetterWorker,
+  stopDeadLetterWorker,
+} from './src/services/deadLetterWorker.js';
+import {
+  startReconciliationWorker,
+  stopReconciliationWorker,
+} from './src/services/reconciliationWorker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,6 +72,7 @@ aboutRoutes(app);
 healthRoutes(app);
 app.use('/api/v1/payments', subscriptionRoutes);
 app.use('/api/v1/payments/addons', addOnRoutes);
+app.use('/api/v1/payments/internal/admin', adminRoutes);
 
 // Export app for tests. Do not remove this line
 export default app;
@@ -55,6 +82,21 @@ let server;
 if (process.env.NODE_ENV !== 'test') {
   await connectDB();
 
+  // Procesar en segundo plano los webhooks guardados en la inbox
+  startWebhookInboxWorker();
+
+  // Recordatorios y bajada a FREE de suscripciones impagadas
+  startDunningWorker();
+
+  // Entregar a Kafka y SPACE las entradas pendientes del outbox
+  startOutboxRelay();
+
+  // Reprocesar los eventos de Kafka que acabaron en la DLQ
+  startDeadLetterWorker();
+
+  // Detectar y corregir diferencias entre MongoDB, Stripe y SPACE
+  startReconciliationWorker();
+
   // Iniciar consumidor de Kafka si está habilitado
   if (isKafkaEnabled()) {
     logger.info('🔄 Kafka is enabled, starting consumer...');
@@ -83,6 +125,15 @@ async function gracefulShutdown(signal) {
         'Since now new connections are not allowed. Waiting for current operations to finish...'
       );
 
+      await stopWebhookInboxWorker();
+      await stopDunningWorker();
+      await stopOutboxRelay();
+      await stopDeadLetterWorker();
+      await stopReconciliationWorker();
+
+      // Después de los workers: el relay del outbox publica con el productor
+      await stopKafkaConsumer();
+
       try {
         await disconnectDB();
         logger.info('MongoDB connection is now closed.');
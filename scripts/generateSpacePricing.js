@@ -0,0 +1,70 @@
+// Generar el YAML de pricing de SPACE a partir de src/config/plans.config.js
+//
+// Uso:
+//   node scripts/generateSpacePricing.js                      -> YAML por stdout
+//   node scripts/generateSpacePricing.js --out <fichero>      -> escribe el YAML
+//   node scripts/generateSpacePricing.js --compare <fichero>  -> diferencias con
+//     un YAML existente (sale con código 1 si las hay, para usarlo en CI)
+
+import fs from 'fs';
+import {
+  generateSpacePricingYaml,
+  compareSpacePricing,
+} from '../src/services/spacePricingService.js';
+
+const args = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`❌ ${name} requires a file path`);
+    process.exit(2);
+  }
+  return value;
+};
+
+const out = getOption('--out');
+const compare = getOption('--compare');
+
+// JSON no representa Infinity: se muestra tal cual
+const formatValue = (value) => {
+  if (value === undefined) return '(missing)';
+  if (value === Infinity) return 'Infinity';
+  return JSON.stringify(value);
+};
+
+try {
+  if (compare) {
+    const differences = compareSpacePricing(fs.readFileSync(compare, 'utf8'));
+
+    if (differences.length === 0) {
+      console.log(`✅ ${compare} is in sync with plans.config.js`);
+      process.exit(0);
+    }
+
+    console.log(
+      `❌ ${compare} differs from plans.config.js in ${differences.length} values:`
+    );
+    for (const { path, expected, actual } of differences) {
+      console.log(
+        `  ${path}: expected ${formatValue(expected)}, got ${formatValue(actual)}`
+      );
+    }
+    process.exit(1);
+  }
+
+  const yaml = generateSpacePricingYaml();
+
+  if (out) {
+    fs.writeFileSync(out, yaml);
+    console.log(`✅ SPACE pricing written to ${out}`);
+  } else {
+    process.stdout.write(yaml);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+}
@@ -0,0 +1,80 @@
+/**
+ * Configuración de la política de dunning (gestión de impagos)
+ *
+ * Cuando falla el cobro de una factura la suscripción pasa a 'past_due' y
+ * comienza el periodo de gracia:
+ * 1. Durante el periodo de gracia el usuario conserva su plan en SPACE
+ * 2. Se envían recordatorios en los días indicados en REMINDER_DAYS
+ *    (contados desde el primer pago fallido)
+ * 3. Al terminar el periodo de gracia el contrato de SPACE baja a FREE
+ * 4. Si una factura se cobra (invoice.payment_succeeded) se restaura el plan
+ *
+ * Variables de entorno:
+ * - DUNNING_GRACE_PERIOD_DAYS: Días sin pagar antes de bajar a FREE (por defecto 7)
+ * - DUNNING_REMINDER_DAYS: Días en los que se envía un recordatorio, separados por comas (por defecto 0,3,6)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseReminderDays = (value) =>
+  value
+    .split(',')
+    .map((day) => Number(day.trim()))
+    .filter((day) => Number.isFinite(day) && day >= 0)
+    .sort((a, b) => a - b);
+
+export const DUNNING_POLICY = {
+  gracePeriodDays: Number(process.env.DUNNING_GRACE_PERIOD_DAYS || 7),
+  reminderDays: parseReminderDays(process.env.DUNNING_REMINDER_DAYS || '0,3,6'),
+};
+
+/**
+ * Días transcurridos desde el inicio del dunning
+ *
+ * @param {Date} startedAt - Fecha del primer pago fallido
+ * @param {Date} now - Fecha de referencia
+ * @returns {number} Días (con decimales)
+ */
+export const getDaysSince = (startedAt, now = new Date()) =>
+  (now.getTime() - new Date(startedAt).getTime()) / DAY_MS;
+
+/**
+ * Número de recordatorios que deberían haberse enviado hasta ahora
+ *
+ * @param {Date} startedAt - Fecha del primer pago fallido
+ * @param {Date} now - Fecha de referencia
+ * @returns {number} Recordatorios vencidos
+ */
+export const getDueReminderCount = (startedAt, now = new Date()) => {
+  const days = getDaysSince(startedAt, now);
+  return DUNNING_POLICY.reminderDays.filter((day) => day <= days).length;
+};
+
+/**
+ * Verificar si el periodo de gracia ha terminado
+ *
+ * @param {Date} startedAt - Fecha del primer pago fallido
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean}
+ */
+export const isGracePeriodOver = (startedAt, now = new Date()) =>
+  getDaysSince(startedAt, now) >= DUNNING_POLICY.gracePeriodDays;
+
+/**
+ * Fecha en la que termina el periodo de gracia
+ *
+ * @param {Date} startedAt - Fecha del primer pago fallido
+ * @returns {Date}
+ */
+export const getGracePeriodEnd = (startedAt) =>
+  new Date(
+    new Date(startedAt).getTime() + DUNNING_POLICY.gracePeriodDays * DAY_MS
+  );
+
+export default {
+  DUNNING_POLICY,
+  getDaysSince,
+  getDueReminderCount,
+  isGracePeriodOver,
+  getGracePeriodEnd,
+};
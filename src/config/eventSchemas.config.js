@@ -0,0 +1,180 @@
+/**
+ * Registro de esquemas de los eventos consumidos de users-events
+ *
+ * Cada tipo de evento tiene uno o varios esquemas, uno por versión
+ * (event.version). Los eventos se validan contra su esquema antes de llegar
+ * a processEvent; los que no lo cumplen van a la DLQ con el motivo del rechazo.
+ *
+ * Para migrar un productor a una nueva versión de un evento:
+ * 1. Añadir la nueva versión al tipo de evento en EVENT_SCHEMAS
+ * 2. Dar a la versión anterior una función upgrade(payload) que convierta su
+ *    payload al formato de la nueva; processEvent recibe siempre el formato
+ *    de la última versión
+ * 3. Retirar las versiones antiguas cuando ningún productor las envíe
+ */
+
+// Versión de los eventos que no indican ninguna (productores anteriores al
+// versionado)
+export const DEFAULT_EVENT_VERSION = 1;
+
+const USER_ID = { type: 'string', required: true };
+
+/**
+ * Esquemas por tipo de evento y versión
+ * fields: { campo: { type, required } } - type es el resultado de typeof
+ * upgrade: (payload) => payload de la versión siguiente (opcional, si no se
+ *   indica el payload se considera compatible)
+ */
+export const EVENT_SCHEMAS = {
+  USER_CREATED: {
+    1: {
+      fields: {
+        userId: USER_ID,
+        username: { type: 'string', required: true },
+        email: { type: 'string' },
+      },
+    },
+  },
+  USER_UPDATED: {
+    1: {
+      fields: {
+        userId: USER_ID,
+        username: { type: 'string' },
+        email: { type: 'string' },
+      },
+    },
+  },
+  USER_DELETED: {
+    1: {
+      fields: {
+        userId: USER_ID,
+      },
+    },
+  },
+  USER_BANNED: {
+    1: {
+      fields: {
+        userId: USER_ID,
+        reason: { type: 'string' },
+      },
+    },
+  },
+  USER_UNBANNED: {
+    1: {
+      fields: {
+        userId: USER_ID,
+      },
+    },
+  },
+};
+
+/**
+ * Obtener las versiones soportadas de un tipo de evento
+ *
+ * @param {string} type - Tipo de evento
+ * @returns {number[]} Versiones ordenadas (vacío si el tipo no existe)
+ */
+export const getSupportedEventVersions = (type) =>
+  Object.keys(EVENT_SCHEMAS[type] || {})
+    .map(Number)
+    .sort((a, b) => a - b);
+
+/**
+ * Validar el payload de un evento contra los campos de su esquema
+ *
+ * @returns {string[]} Errores encontrados
+ */
+const validateFields = (payload, fields) => {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = payload[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`${name} is required`);
+      }
+      continue;
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push(`${name} must be a ${rule.type}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validar un evento y normalizarlo a la última versión de su tipo
+ *
+ * @param {Object} event - Evento recibido ({ type, version, payload })
+ * @returns {Object} { valid: true, event } con el evento normalizado o
+ *   { valid: false, reason } con el motivo del rechazo
+ */
+export const validateEvent = (event) => {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { valid: false, reason: 'Event must be a JSON object' };
+  }
+
+  const { type, payload } = event;
+
+  if (!type) {
+    return { valid: false, reason: 'Event type is missing' };
+  }
+
+  const versions = getSupportedEventVersions(type);
+
+  if (versions.length === 0) {
+    return { valid: false, reason: `Unknown event type: ${type}` };
+  }
+
+  const version = Number(event.version ?? DEFAULT_EVENT_VERSION);
+  const schema = EVENT_SCHEMAS[type][version];
+
+  if (!schema) {
+    return {
+      valid: false,
+      reason: `Unsupported version ${version} for ${type} (supported: ${versions.join(', ')})`,
+    };
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      valid: false,
+      reason: `Invalid payload for ${type} v${version}: payload must be an object`,
+    };
+  }
+
+  const errors = validateFields(payload, schema.fields);
+
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      reason: `Invalid payload for ${type} v${version}: ${errors.join('; ')}`,
+    };
+  }
+
+  // Aplicar las conversiones de versión en versión hasta la última
+  const latest = versions[versions.length - 1];
+  let normalized = payload;
+
+  for (const from of versions.filter((v) => v >= version && v < latest)) {
+    const { upgrade } = EVENT_SCHEMAS[type][from];
+    if (upgrade) {
+      normalized = upgrade(normalized);
+    }
+  }
+
+  return {
+    valid: true,
+    event: { ...event, version: latest, payload: normalized },
+  };
+};
+
+export default {
+  DEFAULT_EVENT_VERSION,
+  EVENT_SCHEMAS,
+  getSupportedEventVersions,
+  validateEvent,
+};
@@ -1,17 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../../logger.js';
+import {
+  parseSpacePricing,
+  spacePricingToCatalog,
+} from '../utils/spacePricing.js';
+
 /**
  * Configuración centralizada de planes de suscripción y AddOns
  * Alineado con SPACE pricing YAML - SocialBeats-1.0.yaml
  *
+ * Con PLANS_FROM_SPACE_PRICING=true el catálogo se carga al arrancar desde
+ * el YAML de SPACE_PRICING_FILE en lugar de los planes definidos aquí (ver
+ * loadPlanCatalog). Si el YAML no es válido el servicio no arranca.
+ *
  * Para actualizar a planes de producción:
  * 1. Actualizar STRIPE_PRICE_* en .env con los nuevos Price IDs
  * 2. Actualizar prices en este archivo si los precios cambian
  * 3. Actualizar features/usageLimits si cambian las características
+ * 4. Comprobar que SPACE sigue alineado: npm run pricing:check -- <yaml>
+ *    (npm run pricing:generate genera el YAML a partir de este archivo)
  *
  * @see SocialBeats-1.0.yaml para definiciones completas de features y limits
  */
 
 /**
- * Definición de planes disponibles
+ * Definición de planes integrados
  * Sincronizado con SocialBeats-1.0.yaml
  *
  * Planes:
@@ -19,7 +33,7 @@
  * - PRO: €9.99/mes - Plan profesional con más límites y features
  * - STUDIO: €19.99/mes - Plan más avanzado con todo desbloqueado
  */
-export const PLANS = {
+const BUILT_IN_PLANS = {
   FREE: {
     name: 'FREE',
     displayName: 'Free',
@@ -27,6 +41,7 @@ export const PLANS = {
     price: 0.0, // EUR
     unit: 'user/month',
     stripePriceId: process.env.STRIPE_PRICE_FREE,
+    trialDays: 0, // Días de prueba gratuita (0 = sin prueba)
     features: {
       // Profile
       advancedProfile: true,
@@ -71,6 +86,7 @@ export const PLANS = {
     price: 9.99, // EUR
     unit: 'user/month',
     stripePriceId: process.env.STRIPE_PRICE_PRO,
+    trialDays: 14, // Días de prueba gratuita (0 = sin prueba)
     features: {
       // Profile
       advancedProfile: true,
@@ -115,6 +131,7 @@ export const PLANS = {
     price: 29.99, // EUR
     unit: 'user/month',
     stripePriceId: process.env.STRIPE_PRICE_STUDIO,
+    trialDays: 7, // Días de prueba gratuita (0 = sin prueba)
     features: {
       // Profile
       advancedProfile: true,
@@ -219,6 +236,15 @@ export const comparePlans = (currentPlan, newPlan) => {
   };
 };
 
+/**
+ * Obtener días de prueba gratuita de un plan
+ * @param {string} planName - Nombre del plan
+ * @returns {number} Días de prueba (0 si el plan no tiene prueba)
+ */
+export const getPlanTrialDays = (planName) => {
+  return PLANS[planName]?.trialDays || 0;
+};
+
 /**
  * Verificar si un plan requiere método de pago
  * @param {string} planName - Nombre del plan
@@ -259,14 +285,14 @@ export const getDefaultFreePlan = () => {
  */
 
 /**
- * Definición de AddOns disponibles
+ * Definición de AddOns integrados
  *
  * AddOns:
  * - decoratives: €0.99/mes - Decorativos para foto de perfil
  * - promotedBeat: €2.99/mes - Promocionar beats
  * - extraDashboard: €1.49/mes - Dashboard extra
  */
-export const ADDONS = {
+const BUILT_IN_ADDONS = {
   decoratives: {
     name: 'decoratives',
     displayName: 'Decorativos',
@@ -311,6 +337,59 @@ export const ADDONS = {
   },
 };
 
+/**
+ * ============================================================================
+ * CATÁLOGO (integrado o desde el pricing de SPACE)
+ * ============================================================================
+ */
+
+// Planes y AddOns que admite el modelo Subscription (planType y
+// activeAddOns.name). El YAML de SPACE puede cambiar sus valores, pero no
+// añadir ni quitar ninguno
+export const SUPPORTED_PLANS = Object.keys(BUILT_IN_PLANS);
+export const SUPPORTED_ADDONS = Object.keys(BUILT_IN_ADDONS);
+
+/**
+ * Cargar el catálogo de planes y AddOns
+ * Por defecto son los integrados. Con PLANS_FROM_SPACE_PRICING=true se leen
+ * del YAML de pricing de SPACE (SPACE_PRICING_FILE, relativo al directorio de
+ * trabajo), que se valida de forma estricta y debe declarar exactamente
+ * SUPPORTED_PLANS y SUPPORTED_ADDONS; los precios de Stripe se toman del entorno por
+ * convención (STRIPE_PRICE_<PLAN>, STRIPE_PRICE_ADDON_<ADDON>).
+ *
+ * @returns {Object} { plans, addOns }
+ * @throws {Error} Si el fichero no existe o el pricing no es válido
+ */
+export const loadPlanCatalog = () => {
+  if (process.env.PLANS_FROM_SPACE_PRICING !== 'true') {
+    return { plans: BUILT_IN_PLANS, addOns: BUILT_IN_ADDONS };
+  }
+
+  const file = path.resolve(
+    process.env.SPACE_PRICING_FILE || 'SocialBeats-1.0.yaml'
+  );
+  const catalog = spacePricingToCatalog(
+    parseSpacePricing(fs.readFileSync(file, 'utf8')),
+    {
+      builtInPlans: BUILT_IN_PLANS,
+      builtInAddOns: BUILT_IN_ADDONS,
+      defaultPlan: getDefaultFreePlan(),
+      planNames: SUPPORTED_PLANS,
+      addOnNames: SUPPORTED_ADDONS,
+    }
+  );
+
+  logger.info(
+    `Plan catalog loaded from ${file} (plans: ${Object.keys(catalog.plans).join(', ')}; add-ons: ${Object.keys(catalog.addOns).join(', ')})`
+  );
+  return catalog;
+};
+
+const catalog = loadPlanCatalog();
+
+export const PLANS = catalog.plans;
+export const ADDONS = catalog.addOns;
+
 /**
  * Obtener lista de nombres de AddOns válidos
  * @returns {string[]} Array de nombres de AddOns
@@ -392,6 +471,48 @@ export const getAddOnNameFromPriceId = (priceId) => {
   return null;
 };
 
+/**
+ * ============================================================================
+ * ENTITLEMENTS
+ * ============================================================================
+ */
+
+/**
+ * Calcular las features y límites efectivos de un plan con sus AddOns
+ * Las features de los AddOns se activan sobre las del plan y sus
+ * usageLimitsExtensions se suman a los límites (Infinity se mantiene).
+ * Los AddOns desconocidos o no disponibles para el plan se ignoran.
+ *
+ * @param {string} planName - Nombre del plan
+ * @param {string[]} addonNames - Nombres de los AddOns activos
+ * @returns {Object|null} { plan, addOns, features, usageLimits } o null si el plan no existe
+ */
+export const getEffectiveEntitlements = (planName, addonNames = []) => {
+  const plan = PLANS[planName];
+  if (!plan) return null;
+
+  const addOns = [...new Set(addonNames)].filter((name) =>
+    isAddOnAvailableForPlan(name, planName)
+  );
+
+  const features = { ...plan.features };
+  const usageLimits = { ...plan.usageLimits };
+
+  for (const name of addOns) {
+    const addon = ADDONS[name];
+
+    for (const [feature, enabled] of Object.entries(addon.features)) {
+      features[feature] = features[feature] || enabled;
+    }
+
+    for (const [limit, extra] of Object.entries(addon.usageLimitsExtensions)) {
+      usageLimits[limit] = (usageLimits[limit] || 0) + extra;
+    }
+  }
+
+  return { plan: planName, addOns, features, usageLimits };
+};
+
 /**
  * Exportar constantes para validación
  */
@@ -411,6 +532,7 @@ export default {
   getPlanPrice,
   getStripePriceId,
   comparePlans,
+  getPlanTrialDays,
   planRequiresPayment,
   getPlanNameFromPriceId,
   getDefaultFreePlan,
@@ -423,4 +545,10 @@ export default {
   isAddOnAvailableForPlan,
   getAddOnsForPlan,
   getAddOnNameFromPriceId,
+  // Entitlements
+  getEffectiveEntitlements,
+  // Catálogo
+  SUPPORTED_PLANS,
+  SUPPORTED_ADDONS,
+  loadPlanCatalog,
 };
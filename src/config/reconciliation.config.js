@@ -0,0 +1,53 @@
+/**
+ * Configuración de la reconciliación entre MongoDB, Stripe y SPACE
+ *
+ * Un worker revisa periódicamente cada suscripción y compara:
+ * - MongoDB con la suscripción de Stripe: plan, add-ons, estado y periodo
+ * - El contrato de SPACE con lo que debería tener según MongoDB
+ *
+ * POLÍTICA DE FUENTE DE VERDAD (RECONCILIATION_POLICY):
+ * - Stripe manda en lo que factura: plan, add-ons, estado y periodo se
+ *   corrigen en MongoDB con los datos de Stripe. Excepción: una cuenta
+ *   suspendida mantiene su estado hasta USER_UNBANNED.
+ * - MongoDB manda sobre SPACE: el contrato se corrige (vía outbox) con el plan
+ *   y los add-ons de MongoDB, o FREE si la suscripción está pausada,
+ *   suspendida, cancelada, bajada por impago o con una disputa abierta que
+ *   bajó SPACE a FREE.
+ * - Lo que no se puede corregir automáticamente (suscripción de Stripe
+ *   inexistente o con un estado desconocido) solo se informa.
+ *
+ * Variables de entorno:
+ * - RECONCILIATION_POLL_INTERVAL: Espera entre lotes del worker en ms (por defecto 60000)
+ * - RECONCILIATION_BATCH_SIZE: Suscripciones revisadas por lote (por defecto 20)
+ * - RECONCILIATION_INTERVAL: Tiempo mínimo entre dos revisiones de la misma suscripción en ms (por defecto 6h)
+ * - RECONCILIATION_SETTLE_TIME: No revisar suscripciones modificadas hace menos de esto en ms, para no corregir un cambio a medias (por defecto 5 min)
+ * - RECONCILIATION_AUTO_REPAIR: 'false' para solo informar, sin corregir (por defecto true)
+ * - RECONCILIATION_REPORT_TTL_DAYS: Días que se conservan las diferencias detectadas (por defecto 30)
+ */
+
+export const RECONCILIATION_POLICY = {
+  plan: 'stripe',
+  addOns: 'stripe',
+  status: 'stripe',
+  period: 'stripe',
+  space: 'local',
+};
+
+export const RECONCILIATION_CONFIG = {
+  pollInterval: Number(process.env.RECONCILIATION_POLL_INTERVAL || 60000),
+  batchSize: Number(process.env.RECONCILIATION_BATCH_SIZE || 20),
+  interval: Number(process.env.RECONCILIATION_INTERVAL || 6 * 60 * 60 * 1000),
+  settleTime: Number(process.env.RECONCILIATION_SETTLE_TIME || 5 * 60 * 1000),
+  autoRepair: process.env.RECONCILIATION_AUTO_REPAIR?.toLowerCase() !== 'false',
+  reportTtlDays: Number(process.env.RECONCILIATION_REPORT_TTL_DAYS || 30),
+};
+
+// Estados en los que el contrato de SPACE refleja el plan contratado
+// (past_due solo hasta que el dunning lo baja a FREE)
+export const SPACE_ENTITLED_STATUSES = ['active', 'trialing', 'past_due'];
+
+export default {
+  RECONCILIATION_POLICY,
+  RECONCILIATION_CONFIG,
+  SPACE_ENTITLED_STATUSES,
+};
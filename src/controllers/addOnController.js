@@ -1,6 +1,13 @@
 import Subscription from '../models/Subscription.js';
 import * as stripeService from '../services/stripeService.js';
-import * as spaceService from '../services/spaceService.js';
+import {
+  createPaymentsEventEntry,
+  PAYMENTS_EVENT_TYPES,
+} from '../services/eventPublisher.js';
+import {
+  saveWithOutbox,
+  createSpaceContractEntry,
+} from '../services/outboxService.js';
 import logger from '../../logger.js';
 import {
   ADDONS,
@@ -244,23 +251,16 @@ export const purchaseAddOn = async (req, res) => {
       purchasedAt: new Date(),
       status: 'active',
     });
-    await subscription.save();
 
-    // Sincronizar con SPACE
-    try {
-      const activeAddOnNames = subscription.getActiveAddOnNames();
-      await spaceService.updateSpaceContract({
-        userId,
-        plan: subscription.planType,
-        addOns: {
-            socialbeats: formatAddOnsForSpace(activeAddOnNames),
-        },
-      });
-      logger.info(`SPACE contract updated with add-on ${addonName}`);
-    } catch (spaceError) {
-      logger.error(`Failed to sync add-on with SPACE: ${spaceError.message}`);
-      // No fallar la request, los webhooks pueden sincronizar después
-    }
+    // Sincronizar con SPACE y publicar el evento vía outbox
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.ADDON_PURCHASED,
+        subscription,
+        { addonName }
+      ),
+      createSpaceContractEntry(subscription),
+    ]);
 
     res.status(200).json({
       message: `Add-on "${addonConfig.displayName}" purchased successfully`,
@@ -350,22 +350,16 @@ export const cancelAddOn = async (req, res) => {
 
     // Actualizar estado en base de datos
     subscription.activeAddOns[addonIndex].status = 'canceled';
-    await subscription.save();
 
-    // Sincronizar con SPACE
-    try {
-      const activeAddOnNames = subscription.getActiveAddOnNames();
-      await spaceService.updateSpaceContract({
-        userId,
-        plan: subscription.planType,
-        addOns: formatAddOnsForSpace(activeAddOnNames),
-      });
-      logger.info(`SPACE contract updated after canceling add-on ${addonName}`);
-    } catch (spaceError) {
-      logger.error(
-        `Failed to sync add-on cancellation with SPACE: ${spaceError.message}`
-      );
-    }
+    // Sincronizar con SPACE y publicar el evento vía outbox
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.ADDON_CANCELED,
+        subscription,
+        { addonName }
+      ),
+      createSpaceContractEntry(subscription),
+    ]);
 
     const addonConfig = getAddOnConfig(addonName);
 
@@ -488,21 +482,6 @@ export const completeAddOnSetup = async (req, res) => {
   }
 };
 
-/**
- * Formatear AddOns para el formato que espera SPACE
- * SPACE espera: { addonName: quantity, ... }
- *
- * @param {string[]} addonNames - Array de nombres de AddOns activos
- * @returns {Object} Objeto con formato para SPACE
- */
-const formatAddOnsForSpace = (addonNames) => {
-  const result = {};
-  for (const name of addonNames) {
-    result[name] = 1; // Cantidad siempre 1 para nuestros AddOns
-  }
-  return result;
-};
-
 export default {
   getAvailableAddOns,
   getMyAddOns,
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import DeadLetterEvent from '../models/DeadLetterEvent.js';
+import logger from '../../logger.js';
+
+const DLQ_STATUSES = [
+  'pending',
+  'processing',
+  'processed',
+  'failed',
+  'dead',
+  'discarded',
+];
+
+// Estados desde los que se puede volver a encolar o descartar un evento
+const REPLAYABLE_STATUSES = ['failed', 'dead', 'discarded'];
+const DISCARDABLE_STATUSES = ['pending', 'failed', 'dead'];
+
+/**
+ * Formatear un evento de la DLQ para la respuesta
+ * El payload completo solo se incluye al consultar un evento concreto.
+ */
+const formatDeadLetter = (entry, { includePayload = false } = {}) => ({
+  id: entry._id,
+  dlqMessageId: entry.dlqMessageId,
+  eventType: entry.eventType,
+  userId: entry.userId,
+  status: entry.status,
+  attempts: entry.attempts,
+  originalError: entry.originalError,
+  lastError: entry.lastError,
+  failedAt: entry.failedAt,
+  retryMetadata: entry.retryMetadata,
+  nextAttemptAt: entry.nextAttemptAt,
+  receivedAt: entry.receivedAt,
+  processedAt: entry.processedAt,
+  discardedAt: entry.discardedAt,
+  ...(includePayload && { payload: entry.payload }),
+});
+
+/**
+ * Responder 404 si el evento no existe o 409 si su estado no permite la acción
+ */
+const respondNotChangeable = async (res, id, conflict) => {
+  const exists = mongoose.isValidObjectId(id)
+    ? await DeadLetterEvent.exists({ _id: id })
+    : null;
+
+  if (exists) {
+    return res.status(409).json(conflict);
+  }
+
+  return res.status(404).json({
+    error: 'DLQ_EVENT_NOT_FOUND',
+    message: `No DLQ event found with id ${id}`,
+  });
+};
+
+/**
+ * Listar eventos de la DLQ de Kafka
+ * Por defecto devuelve los fallidos y los muertos (agotaron los reintentos)
+ *
+ * @route GET /api/v1/payments/internal/admin/kafka/dlq
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const listDeadLetters = async (req, res) => {
+  try {
+    const { status, eventType, userId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const statuses = status ? status.split(',') : ['failed', 'dead'];
+    const invalid = statuses.filter((s) => !DLQ_STATUSES.includes(s));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_STATUS',
+        message: `Status must be one of: ${DLQ_STATUSES.join(', ')}`,
+      });
+    }
+
+    const filter = { status: { $in: statuses } };
+    if (eventType) {
+      filter.eventType = eventType;
+    }
+    if (userId) {
+      filter.userId = userId;
+    }
+
+    const entries = await DeadLetterEvent.find(filter)
+      .sort({ receivedAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      entries: entries.map((entry) => formatDeadLetter(entry)),
+      total: entries.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing DLQ events: ${error.message}`);
+    res.status(500).json({
+      error: 'DLQ_FETCH_ERROR',
+      message: 'Failed to list DLQ events',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Obtener un evento de la DLQ con su payload original
+ *
+ * @route GET /api/v1/payments/internal/admin/kafka/dlq/:id
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const getDeadLetter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = mongoose.isValidObjectId(id)
+      ? await DeadLetterEvent.findById(id)
+      : null;
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'DLQ_EVENT_NOT_FOUND',
+        message: `No DLQ event found with id ${id}`,
+      });
+    }
+
+    res.status(200).json({
+      entry: formatDeadLetter(entry, { includePayload: true }),
+    });
+  } catch (error) {
+    logger.error(`Error fetching DLQ event: ${error.message}`);
+    res.status(500).json({
+      error: 'DLQ_FETCH_ERROR',
+      message: 'Failed to fetch DLQ event',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Volver a encolar un evento de la DLQ
+ * El evento vuelve a 'pending' con los intentos a cero para que el worker lo
+ * reprocese en su siguiente ciclo. Los eventos que no son JSON válido no se
+ * pueden reprocesar.
+ *
+ * @route POST /api/v1/payments/internal/admin/kafka/dlq/:id/replay
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const replayDeadLetter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = mongoose.isValidObjectId(id)
+      ? await DeadLetterEvent.findOneAndUpdate(
+          {
+            _id: id,
+            status: { $in: REPLAYABLE_STATUSES },
+            eventType: { $ne: null },
+          },
+          {
+            $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+            $unset: { lockedAt: 1, discardedAt: 1 },
+          },
+          { new: true }
+        )
+      : null;
+
+    if (!entry) {
+      return respondNotChangeable(res, id, {
+        error: 'DLQ_EVENT_NOT_REPLAYABLE',
+        message: `Only valid ${REPLAYABLE_STATUSES.join(', ')} DLQ events can be replayed`,
+      });
+    }
+
+    logger.info(`DLQ event ${id} (${entry.eventType}) queued for replay`);
+
+    res.status(200).json({
+      message: 'DLQ event queued for replay',
+      entry: formatDeadLetter(entry),
+    });
+  } catch (error) {
+    logger.error(`Error replaying DLQ event: ${error.message}`);
+    res.status(500).json({
+      error: 'DLQ_REPLAY_ERROR',
+      message: 'Failed to replay DLQ event',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Descartar un evento de la DLQ
+ * El evento se conserva para auditoría pero el worker no lo vuelve a procesar.
+ *
+ * @route POST /api/v1/payments/internal/admin/kafka/dlq/:id/discard
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const discardDeadLetter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = mongoose.isValidObjectId(id)
+      ? await DeadLetterEvent.findOneAndUpdate(
+          { _id: id, status: { $in: DISCARDABLE_STATUSES } },
+          {
+            $set: { status: 'discarded', discardedAt: new Date() },
+            $unset: { lockedAt: 1 },
+          },
+          { new: true }
+        )
+      : null;
+
+    if (!entry) {
+      return respondNotChangeable(res, id, {
+        error: 'DLQ_EVENT_NOT_DISCARDABLE',
+        message: `Only ${DISCARDABLE_STATUSES.join(', ')} DLQ events can be discarded`,
+      });
+    }
+
+    logger.info(`DLQ event ${id} (${entry.eventType}) discarded`);
+
+    res.status(200).json({
+      message: 'DLQ event discarded',
+      entry: formatDeadLetter(entry),
+    });
+  } catch (error) {
+    logger.error(`Error discarding DLQ event: ${error.message}`);
+    res.status(500).json({
+      error: 'DLQ_DISCARD_ERROR',
+      message: 'Failed to discard DLQ event',
+      details: error.message,
+    });
+  }
+};
+
+export default {
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+};
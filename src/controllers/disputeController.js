@@ -0,0 +1,443 @@
+import Dispute, { OPEN_DISPUTE_STATUSES } from '../models/Dispute.js';
+import Refund from '../models/Refund.js';
+import Subscription from '../models/Subscription.js';
+import * as stripeService from '../services/stripeService.js';
+import {
+  saveWithOutbox,
+  createSpaceContractEntry,
+} from '../services/outboxService.js';
+import { hasOpenSpaceDispute } from '../services/spaceContractService.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+import logger from '../../logger.js';
+
+const CLOSED_DISPUTE_STATUSES = ['warning_closed', 'won', 'lost'];
+
+/**
+ * Política de disputas: bajar el contrato de SPACE a FREE mientras haya una
+ * disputa abierta. Se lee en cada evento para poder activarla sin reiniciar.
+ */
+const isDowngradeOnDisputeEnabled = () =>
+  process.env.DISPUTE_DOWNGRADE_ON_OPEN === 'true';
+
+/**
+ * Convertir un timestamp de Stripe (segundos) a Date
+ */
+const fromStripeTimestamp = (timestamp) =>
+  timestamp ? new Date(timestamp * 1000) : undefined;
+
+/**
+ * Buscar la suscripción local asociada a un customer de Stripe
+ */
+const findSubscriptionByCustomer = async (customerId) => {
+  if (!customerId) {
+    return null;
+  }
+  return Subscription.findOne({ stripeCustomerId: customerId });
+};
+
+/**
+ * Formatear una disputa para la respuesta
+ */
+const formatDispute = (dispute) => ({
+  disputeId: dispute.stripeDisputeId,
+  chargeId: dispute.stripeChargeId,
+  userId: dispute.userId,
+  amount: dispute.amount,
+  currency: dispute.currency,
+  reason: dispute.reason,
+  status: dispute.status,
+  evidenceDueBy: dispute.evidenceDueBy,
+  evidencePastDue:
+    dispute.isOpen() && dispute.evidenceDueBy
+      ? dispute.evidenceDueBy.getTime() < Date.now()
+      : false,
+  hasEvidence: dispute.hasEvidence,
+  spaceDowngraded: dispute.spaceDowngraded,
+  spaceRestoredAt: dispute.spaceRestoredAt,
+  closedAt: dispute.closedAt,
+  createdAt: dispute.createdAt,
+});
+
+/**
+ * Formatear un reembolso para la respuesta
+ */
+const formatRefund = (refund) => ({
+  refundId: refund.stripeRefundId,
+  chargeId: refund.stripeChargeId,
+  userId: refund.userId,
+  amount: refund.amount,
+  currency: refund.currency,
+  reason: refund.reason,
+  status: refund.status,
+  refundedAt: refund.refundedAt,
+});
+
+// ====================================================================
+// WEBHOOK HANDLERS
+// ====================================================================
+
+/**
+ * Manejar evento charge.refunded
+ * Registra (o actualiza) cada reembolso del cargo
+ *
+ * @param {Object} charge - Cargo de Stripe
+ */
+export const handleChargeRefunded = async (charge) => {
+  try {
+    const subscription = await findSubscriptionByCustomer(charge.customer);
+
+    // Desde la API 2022-11-15 el cargo no incluye los reembolsos por defecto
+    const refunds = charge.refunds?.data?.length
+      ? charge.refunds.data
+      : await stripeService.listChargeRefunds(charge.id);
+
+    for (const refund of refunds) {
+      await Refund.findOneAndUpdate(
+        { stripeRefundId: refund.id },
+        {
+          $set: {
+            stripeChargeId: charge.id,
+            stripeCustomerId: charge.customer,
+            userId: subscription?.userId,
+            amount: refund.amount,
+            currency: refund.currency,
+            reason: refund.reason,
+            status: refund.status,
+            refundedAt: fromStripeTimestamp(refund.created),
+          },
+        },
+        { upsert: true }
+      );
+    }
+
+    logger.info(
+      `Charge ${charge.id} refunded (${charge.amount_refunded}/${charge.amount} ${charge.currency}) for user ${subscription?.userId || 'unknown'}`
+    );
+  } catch (error) {
+    logger.error(`Error handling charge refunded: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Restaurar en SPACE el plan y los add-ons de la suscripción local
+ * Solo se restaura si el usuario no tiene otra disputa abierta que
+ * mantenga el contrato en FREE.
+ *
+ * @returns {Promise<Object|null>} Entrada de outbox con el contrato a
+ *   restaurar, o null si no hay nada que enviar a SPACE
+ */
+const restoreSpaceContract = async (dispute) => {
+  const otherOpen = await hasOpenSpaceDispute(dispute.userId, {
+    excludeDisputeId: dispute.stripeDisputeId,
+  });
+
+  if (otherOpen) {
+    logger.info(
+      `User ${dispute.userId} still has open disputes, SPACE contract stays on FREE`
+    );
+    return null;
+  }
+
+  const subscription = await Subscription.findOne({ userId: dispute.userId });
+
+  dispute.spaceRestoredAt = new Date();
+  logger.info(`SPACE contract restored for user ${dispute.userId}`);
+
+  return subscription?.isActive()
+    ? createSpaceContractEntry(subscription)
+    : null;
+};
+
+/**
+ * Manejar eventos charge.dispute.created / updated / closed
+ * Guarda el estado de la disputa y aplica la política de SPACE
+ *
+ * @param {Object} stripeDispute - Disputa de Stripe
+ */
+export const handleDisputeEvent = async (stripeDispute) => {
+  try {
+    let dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+
+    // Una disputa cerrada no vuelve a abrirse: el evento llega desordenado
+    if (
+      dispute &&
+      !dispute.isOpen() &&
+      OPEN_DISPUTE_STATUSES.includes(stripeDispute.status)
+    ) {
+      logger.info(
+        `Ignoring stale event for closed dispute ${stripeDispute.id} (${stripeDispute.status})`
+      );
+      return;
+    }
+
+    if (!dispute) {
+      const charge =
+        typeof stripeDispute.charge === 'string'
+          ? await stripeService.getCharge(stripeDispute.charge)
+          : stripeDispute.charge;
+      const subscription = await findSubscriptionByCustomer(charge.customer);
+
+      dispute = new Dispute({
+        stripeDisputeId: stripeDispute.id,
+        stripeChargeId: charge.id,
+        stripeCustomerId: charge.customer,
+        userId: subscription?.userId,
+      });
+    }
+
+    dispute.stripePaymentIntentId = stripeDispute.payment_intent;
+    dispute.amount = stripeDispute.amount;
+    dispute.currency = stripeDispute.currency;
+    dispute.reason = stripeDispute.reason;
+    dispute.status = stripeDispute.status;
+    dispute.evidenceDueBy = fromStripeTimestamp(
+      stripeDispute.evidence_details?.due_by
+    );
+    dispute.hasEvidence = Boolean(stripeDispute.evidence_details?.has_evidence);
+
+    if (CLOSED_DISPUTE_STATUSES.includes(dispute.status) && !dispute.closedAt) {
+      dispute.closedAt = new Date();
+    }
+
+    logger.info(
+      `Dispute ${dispute.stripeDisputeId} for user ${dispute.userId || 'unknown'}: ${dispute.status} (${dispute.amount} ${dispute.currency}, reason: ${dispute.reason})`
+    );
+
+    let spaceEntry = null;
+
+    if (dispute.userId) {
+      if (
+        dispute.isOpen() &&
+        !dispute.spaceDowngraded &&
+        isDowngradeOnDisputeEnabled()
+      ) {
+        const subscription = await Subscription.findOne({
+          userId: dispute.userId,
+        });
+        spaceEntry =
+          subscription &&
+          createSpaceContractEntry(subscription, {
+            plan: FREE_PLAN,
+            addOns: [],
+          });
+        dispute.spaceDowngraded = true;
+        logger.warn(
+          `SPACE contract downgraded to FREE for user ${dispute.userId} while dispute ${dispute.stripeDisputeId} is open`
+        );
+      } else if (
+        !dispute.isOpen() &&
+        dispute.spaceDowngraded &&
+        !dispute.spaceRestoredAt
+      ) {
+        if (dispute.status === 'lost') {
+          // El importe se devolvió al titular: la disputa (sin spaceRestoredAt)
+          // retiene SPACE en FREE hasta que se revise a mano
+          logger.warn(
+            `Dispute ${dispute.stripeDisputeId} lost, SPACE contract for user ${dispute.userId} held on FREE until manual review`
+          );
+        } else {
+          spaceEntry = await restoreSpaceContract(dispute);
+        }
+      }
+    }
+
+    await saveWithOutbox(dispute, [spaceEntry]);
+  } catch (error) {
+    logger.error(`Error handling dispute event: ${error.message}`);
+    throw error;
+  }
+};
+
+// ====================================================================
+// ADMIN
+// ====================================================================
+
+/**
+ * Listar disputas y sus plazos de evidencia
+ * Por defecto devuelve las abiertas, ordenadas por fecha límite de evidencia
+ *
+ * @route GET /api/v1/payments/internal/admin/disputes
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const listDisputes = async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const validStatuses = [
+      ...OPEN_DISPUTE_STATUSES,
+      ...CLOSED_DISPUTE_STATUSES,
+    ];
+
+    let statuses = OPEN_DISPUTE_STATUSES;
+    if (status === 'all') {
+      statuses = validStatuses;
+    } else if (status === 'closed') {
+      statuses = CLOSED_DISPUTE_STATUSES;
+    } else if (status && status !== 'open') {
+      statuses = status.split(',');
+      const invalid = statuses.filter((s) => !validStatuses.includes(s));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'INVALID_STATUS',
+          message: `Status must be open, closed, all or one of: ${validStatuses.join(', ')}`,
+        });
+      }
+    }
+
+    const filter = { status: { $in: statuses } };
+    if (userId) {
+      filter.userId = userId;
+    }
+
+    const disputes = await Dispute.find(filter)
+      .sort({ evidenceDueBy: 1, createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      disputes: disputes.map(formatDispute),
+      total: disputes.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing disputes: ${error.message}`);
+    res.status(500).json({
+      error: 'DISPUTE_FETCH_ERROR',
+      message: 'Failed to list disputes',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Obtener una disputa junto con los reembolsos de su cargo
+ *
+ * @route GET /api/v1/payments/internal/admin/disputes/:disputeId
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const getDispute = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    const dispute = await Dispute.findOne({ stripeDisputeId: disputeId });
+
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'DISPUTE_NOT_FOUND',
+        message: `No dispute found with id ${disputeId}`,
+      });
+    }
+
+    const refunds = await Refund.find({
+      stripeChargeId: dispute.stripeChargeId,
+    }).sort({ refundedAt: -1 });
+
+    res.status(200).json({
+      dispute: formatDispute(dispute),
+      refunds: refunds.map(formatRefund),
+    });
+  } catch (error) {
+    logger.error(`Error getting dispute: ${error.message}`);
+    res.status(500).json({
+      error: 'DISPUTE_FETCH_ERROR',
+      message: 'Failed to get dispute',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Levantar la retención de SPACE de una disputa perdida tras revisarla
+ * Restaura el plan y los add-ons si no hay otra disputa que lo impida.
+ *
+ * @route POST /api/v1/payments/internal/admin/disputes/:disputeId/restore-space
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const restoreDisputeSpaceContract = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    const dispute = await Dispute.findOne({ stripeDisputeId: disputeId });
+
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'DISPUTE_NOT_FOUND',
+        message: `No dispute found with id ${disputeId}`,
+      });
+    }
+
+    if (
+      dispute.status !== 'lost' ||
+      !dispute.spaceDowngraded ||
+      dispute.spaceRestoredAt
+    ) {
+      return res.status(409).json({
+        error: 'SPACE_NOT_HELD',
+        message: `Dispute ${disputeId} does not hold the SPACE contract (status: ${dispute.status})`,
+      });
+    }
+
+    const spaceEntry = await restoreSpaceContract(dispute);
+    await saveWithOutbox(dispute, [spaceEntry]);
+
+    res.status(200).json({
+      message: dispute.spaceRestoredAt
+        ? 'SPACE contract hold released'
+        : 'User still has open disputes, SPACE contract stays on FREE',
+      dispute: formatDispute(dispute),
+    });
+  } catch (error) {
+    logger.error(`Error restoring SPACE after dispute: ${error.message}`);
+    res.status(500).json({
+      error: 'DISPUTE_RESTORE_ERROR',
+      message: 'Failed to restore the SPACE contract',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Listar reembolsos registrados
+ *
+ * @route GET /api/v1/payments/internal/admin/refunds
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const listRefunds = async (req, res) => {
+  try {
+    const { userId, chargeId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (userId) {
+      filter.userId = userId;
+    }
+    if (chargeId) {
+      filter.stripeChargeId = chargeId;
+    }
+
+    const refunds = await Refund.find(filter)
+      .sort({ refundedAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      refunds: refunds.map(formatRefund),
+      total: refunds.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing refunds: ${error.message}`);
+    res.status(500).json({
+      error: 'REFUND_FETCH_ERROR',
+      message: 'Failed to list refunds',
+      details: error.message,
+    });
+  }
+};
+
+export default {
+  handleChargeRefunded,
+  handleDisputeEvent,
+  listDisputes,
+  getDispute,
+  restoreDisputeSpaceContract,
+  listRefunds,
+};
@@ -0,0 +1,53 @@
+import { getUserEntitlements } from '../services/entitlementsService.js';
+import logger from '../../logger.js';
+
+/**
+ * Responder con los entitlements de un usuario
+ */
+const respondWithEntitlements = async (res, userId) => {
+  try {
+    res.status(200).json(await getUserEntitlements(userId));
+  } catch (error) {
+    logger.error(
+      `Error fetching entitlements for user ${userId}: ${error.message}`
+    );
+    res.status(500).json({
+      error: 'ENTITLEMENTS_FETCH_ERROR',
+      message: 'Failed to fetch entitlements',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Features y límites efectivos del usuario autenticado
+ *
+ * @route GET /api/v1/payments/entitlements
+ * @access Private (requiere JWT)
+ */
+export const getMyEntitlements = async (req, res) => {
+  const userId = req.user?.id;
+
+  if (!userId) {
+    return res.status(401).json({
+      error: 'MISSING_USER_ID',
+      message: 'User ID not found in request',
+    });
+  }
+
+  return respondWithEntitlements(res, userId);
+};
+
+/**
+ * Features y límites efectivos de un usuario, para otros servicios
+ *
+ * @route GET /api/v1/payments/internal/entitlements/:userId
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const getUserEntitlementsInternal = async (req, res) =>
+  respondWithEntitlements(res, req.params.userId);
+
+export default {
+  getMyEntitlements,
+  getUserEntitlementsInternal,
+};
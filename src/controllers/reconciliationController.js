@@ -0,0 +1,190 @@
+import ReconciliationDrift, {
+  DRIFT_FIELDS,
+} from '../models/ReconciliationDrift.js';
+import Subscription from '../models/Subscription.js';
+import { reconcileSubscription } from '../services/reconciliationService.js';
+import { RECONCILIATION_POLICY } from '../config/reconciliation.config.js';
+import logger from '../../logger.js';
+
+// Por defecto el informe cubre las últimas 24 horas
+const DEFAULT_REPORT_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Formatear una diferencia para la respuesta
+ */
+const formatDrift = (drift) => ({
+  id: drift._id,
+  userId: drift.userId,
+  stripeSubscriptionId: drift.stripeSubscriptionId,
+  field: drift.field,
+  source: drift.source,
+  expected: drift.expected,
+  actual: drift.actual,
+  repaired: drift.repaired,
+  repairError: drift.repairError,
+  detectedAt: drift.detectedAt,
+});
+
+/**
+ * Informe de diferencias detectadas por la reconciliación
+ * Incluye un resumen por campo (total y corregidas) y las diferencias más
+ * recientes.
+ *
+ * @route GET /api/v1/payments/internal/admin/reconciliation/drifts
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const getDriftReport = async (req, res) => {
+  try {
+    const { field, userId, repaired } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const since = req.query.since
+      ? new Date(req.query.since)
+      : new Date(Date.now() - DEFAULT_REPORT_WINDOW);
+
+    if (isNaN(since.getTime())) {
+      return res.status(400).json({
+        error: 'INVALID_DATE',
+        message: 'since must be a valid date',
+      });
+    }
+
+    const fields = field ? field.split(',') : DRIFT_FIELDS;
+    const invalid = fields.filter((f) => !DRIFT_FIELDS.includes(f));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_FIELD',
+        message: `Field must be one of: ${DRIFT_FIELDS.join(', ')}`,
+      });
+    }
+
+    const filter = { field: { $in: fields }, detectedAt: { $gte: since } };
+    if (userId) {
+      filter.userId = userId;
+    }
+    if (repaired === 'true' || repaired === 'false') {
+      filter.repaired = repaired === 'true';
+    }
+
+    const [byField, drifts] = await Promise.all([
+      ReconciliationDrift.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$field',
+            total: { $sum: 1 },
+            repaired: { $sum: { $cond: ['$repaired', 1, 0] } },
+            users: { $addToSet: '$userId' },
+          },
+        },
+      ]),
+      ReconciliationDrift.find(filter).sort({ detectedAt: -1 }).limit(limit),
+    ]);
+
+    const summary = {
+      total: 0,
+      repaired: 0,
+      unresolved: 0,
+      byField: {},
+    };
+
+    for (const { _id, total, repaired: fixed, users } of byField) {
+      summary.total += total;
+      summary.repaired += fixed;
+      summary.byField[_id] = {
+        total,
+        repaired: fixed,
+        unresolved: total - fixed,
+        users: users.length,
+      };
+    }
+    summary.unresolved = summary.total - summary.repaired;
+
+    res.status(200).json({
+      since,
+      policy: RECONCILIATION_POLICY,
+      summary,
+      drifts: drifts.map(formatDrift),
+    });
+  } catch (error) {
+    logger.error(`Error fetching drift report: ${error.message}`);
+    res.status(500).json({
+      error: 'RECONCILIATION_FETCH_ERROR',
+      message: 'Failed to fetch drift report',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Reconciliar en el momento la suscripción de un usuario
+ * Con repair: false solo informa de las diferencias, sin corregirlas.
+ *
+ * @route POST /api/v1/payments/internal/admin/reconciliation/:userId
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const reconcileUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { repair } = req.body || {};
+
+    if (repair !== undefined && typeof repair !== 'boolean') {
+      return res.status(400).json({
+        error: 'INVALID_REPAIR',
+        message: 'repair must be a boolean',
+      });
+    }
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: `No subscription found for user ${userId}`,
+      });
+    }
+
+    const result = await reconcileSubscription(
+      subscription,
+      repair === undefined ? {} : { repair }
+    );
+
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastReconciledAt: new Date() } },
+      { timestamps: false }
+    );
+
+    res.status(200).json({
+      message:
+        result.drifts.length > 0
+          ? 'Drift detected'
+          : 'Subscription is in sync with Stripe and SPACE',
+      userId,
+      repaired: result.repaired,
+      drifts: result.drifts.map(
+        ({ field, source, expected, actual, repaired, repairError }) => ({
+          field,
+          source,
+          expected,
+          actual,
+          repaired,
+          repairError,
+        })
+      ),
+    });
+  } catch (error) {
+    logger.error(`Error reconciling subscription: ${error.message}`);
+    res.status(500).json({
+      error: 'RECONCILIATION_ERROR',
+      message: 'Failed to reconcile subscription',
+      details: error.message,
+    });
+  }
+};
+
+export default {
+  getDriftReport,
+  reconcileUser,
+};
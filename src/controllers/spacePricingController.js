@@ -0,0 +1,71 @@
+import {
+  generateSpacePricingYaml,
+  compareSpacePricing,
+} from '../services/spacePricingService.js';
+import logger from '../../logger.js';
+
+/**
+ * Generar el YAML de pricing de SPACE a partir de plans.config.js
+ *
+ * @route GET /api/v1/payments/internal/admin/space/pricing
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const getSpacePricing = async (req, res) => {
+  try {
+    res.status(200).type('application/yaml').send(generateSpacePricingYaml());
+  } catch (error) {
+    logger.error(`Error generating SPACE pricing: ${error.message}`);
+    res.status(500).json({
+      error: 'SPACE_PRICING_ERROR',
+      message: 'Failed to generate SPACE pricing',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Comparar plans.config.js con un YAML de pricing de SPACE existente
+ * Los límites ilimitados (.inf) aparecen como null en la respuesta y los
+ * valores que faltan en uno de los dos lados no aparecen.
+ *
+ * @route POST /api/v1/payments/internal/admin/space/pricing/diff
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const diffSpacePricing = async (req, res) => {
+  const { yaml } = req.body || {};
+
+  if (typeof yaml !== 'string' || !yaml.trim()) {
+    return res.status(400).json({
+      error: 'MISSING_YAML',
+      message: 'yaml must be a non-empty string with the SPACE pricing',
+    });
+  }
+
+  let differences;
+  try {
+    differences = compareSpacePricing(yaml);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'INVALID_YAML',
+      message: 'The SPACE pricing could not be parsed',
+      details: error.message,
+    });
+  }
+
+  if (differences.length > 0) {
+    logger.warn(
+      `SPACE pricing differs from plans.config.js in ${differences.length} values`
+    );
+  }
+
+  res.status(200).json({
+    inSync: differences.length === 0,
+    total: differences.length,
+    differences,
+  });
+};
+
+export default {
+  getSpacePricing,
+  diffSpacePricing,
+};
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import OutboxEntry, { SPACE_CONTRACT_KINDS } from '../models/OutboxEntry.js';
+import logger from '../../logger.js';
+
+// Una operación pendiente más tiempo que esto se considera atascada
+const STUCK_AFTER = Number(process.env.SPACE_SYNC_STUCK_AFTER || 5 * 60 * 1000);
+
+// Estados desde los que se puede volver a encolar una operación
+const RETRYABLE_STATUSES = ['failed', 'dead'];
+
+/**
+ * Formatear una operación de SPACE para la respuesta
+ */
+const formatSpaceSync = (entry, now = Date.now()) => ({
+  id: entry._id,
+  userId: entry.userId,
+  operation: entry.kind === 'SPACE_CONTRACT_DELETE' ? 'delete' : 'update',
+  plan: entry.payload?.plan ?? null,
+  addOns: entry.payload?.addOns || [],
+  status: entry.status,
+  attempts: entry.attempts,
+  lastError: entry.lastError,
+  nextAttemptAt: entry.nextAttemptAt,
+  createdAt: entry.createdAt,
+  stuckFor: now - new Date(entry.createdAt).getTime(),
+});
+
+/**
+ * Listar las sincronizaciones con SPACE atascadas
+ * Por cada usuario se mira su última operación de SPACE (las anteriores ya no
+ * se aplicarán). Está atascada si falló, agotó los reintentos o lleva más de
+ * SPACE_SYNC_STUCK_AFTER sin entregarse.
+ *
+ * @route GET /api/v1/payments/internal/admin/space/sync/stuck
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const listStuckSpaceSyncs = async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const now = Date.now();
+
+    const match = { kind: { $in: SPACE_CONTRACT_KINDS } };
+    if (userId) {
+      match.userId = userId;
+    }
+
+    const entries = await OutboxEntry.aggregate([
+      { $match: match },
+      { $sort: { userId: 1, createdAt: -1 } },
+      { $group: { _id: '$userId', entry: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$entry' } },
+      {
+        $match: {
+          $or: [
+            { status: { $in: ['failed', 'dead'] } },
+            {
+              status: { $in: ['pending', 'processing'] },
+              createdAt: { $lt: new Date(now - STUCK_AFTER) },
+            },
+          ],
+        },
+      },
+      { $sort: { createdAt: 1 } },
+    ]);
+
+    const byStatus = {};
+    for (const { status } of entries) {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+
+    res.status(200).json({
+      stuckAfter: STUCK_AFTER,
+      total: entries.length,
+      byStatus,
+      entries: entries
+        .slice(0, limit)
+        .map((entry) => formatSpaceSync(entry, now)),
+    });
+  } catch (error) {
+    logger.error(`Error listing stuck SPACE syncs: ${error.message}`);
+    res.status(500).json({
+      error: 'SPACE_SYNC_FETCH_ERROR',
+      message: 'Failed to list stuck SPACE syncs',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Volver a encolar una operación de SPACE fallida
+ * La operación vuelve a 'pending' con los intentos a cero para que el relay
+ * la entregue en su siguiente ciclo. Si el usuario tiene otra operación más
+ * reciente, el relay la dará por sustituida.
+ *
+ * @route POST /api/v1/payments/internal/admin/space/sync/:id/retry
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const retrySpaceSync = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const valid = mongoose.isValidObjectId(id);
+    const filter = { _id: id, kind: { $in: SPACE_CONTRACT_KINDS } };
+
+    const entry = valid
+      ? await OutboxEntry.findOneAndUpdate(
+          { ...filter, status: { $in: RETRYABLE_STATUSES } },
+          {
+            $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+            $unset: { lockedAt: 1 },
+          },
+          { new: true }
+        )
+      : null;
+
+    if (!entry) {
+      const exists = valid ? await OutboxEntry.exists(filter) : null;
+
+      if (exists) {
+        return res.status(409).json({
+          error: 'SPACE_SYNC_NOT_RETRYABLE',
+          message: `Only ${RETRYABLE_STATUSES.join(', ')} SPACE syncs can be retried`,
+        });
+      }
+
+      return res.status(404).json({
+        error: 'SPACE_SYNC_NOT_FOUND',
+        message: `No SPACE sync found with id ${id}`,
+      });
+    }
+
+    logger.info(`SPACE sync ${id} for user ${entry.userId} queued for retry`);
+
+    res.status(200).json({
+      message: 'SPACE sync queued for retry',
+      entry: formatSpaceSync(entry),
+    });
+  } catch (error) {
+    logger.error(`Error retrying SPACE sync: ${error.message}`);
+    res.status(500).json({
+      error: 'SPACE_SYNC_RETRY_ERROR',
+      message: 'Failed to retry SPACE sync',
+      details: error.message,
+    });
+  }
+};
+
+export default {
+  listStuckSpaceSyncs,
+  retrySpaceSync,
+};
@@ -1,26 +1,65 @@
 import Subscription from '../models/Subscription.js';
+import TrialUsage from '../models/TrialUsage.js';
+import ProcessedWebhookEvent from '../models/ProcessedWebhookEvent.js';
+import WebhookInboxEntry from '../models/WebhookInboxEntry.js';
 import * as stripeService from '../services/stripeService.js';
 import * as spaceService from '../services/spaceService.js';
+import * as dunningService from '../services/dunningService.js';
+import { notifyUser } from '../services/notificationService.js';
+import {
+  createPaymentsEventEntry,
+  PAYMENTS_EVENT_TYPES,
+} from '../services/eventPublisher.js';
+import {
+  withOutbox,
+  saveWithOutbox,
+  createSpaceContractEntry,
+} from '../services/outboxService.js';
+import { getExpectedSpaceContract } from '../services/spaceContractService.js';
+import { registerTrial } from '../services/trialService.js';
+import { provisionFreeContract } from '../services/freeContractService.js';
+import {
+  handleChargeRefunded,
+  handleDisputeEvent,
+} from './disputeController.js';
 import logger from '../../logger.js';
 import { 
   getValidPlans, 
   comparePlans, 
+  getPlanTrialDays,
   getDefaultFreePlan, 
   FREE_PLAN,
   isAddOnAvailableForPlan,
+  isValidAddOn,
   getAddOnConfig,
+  getAddOnStripePriceId,
 } from '../config/plans.config.js';
 
+const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
 /**
- * Formatear AddOns para el formato que espera SPACE
- * SPACE espera: { socialbeats: { addonName: quantity, ... } }
+ * Clasificar los AddOns activos según su compatibilidad con un plan
+ * No modifica nada: sirve para mostrar qué AddOns se perderían con un cambio
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {string} planType - Tipo de plan a comprobar
+ * @returns {Object} - { incompatibleAddOns: string[], compatibleAddOns: string[] }
  */
-const formatAddOnsForSpace = (addonNames) => {
-  const result = {};
-  for (const name of addonNames) {
-    result[name] = 1;
+const getIncompatibleAddOns = (subscription, planType) => {
+  const incompatibleAddOns = [];
+  const compatibleAddOns = [];
+
+  for (const addon of subscription.activeAddOns || []) {
+    if (addon.status !== 'active') continue;
+
+    if (isAddOnAvailableForPlan(addon.name, planType)) {
+      compatibleAddOns.push(addon.name);
+    } else {
+      incompatibleAddOns.push(addon.name);
+    }
   }
-  return result;
+
+  return { incompatibleAddOns, compatibleAddOns };
 };
 
 /**
@@ -34,6 +73,10 @@ const formatAddOnsForSpace = (addonNames) => {
 const removeIncompatibleAddOns = async (subscription, newPlanType) => {
   const removedAddOns = [];
   const remainingAddOns = [];
+  const { incompatibleAddOns } = getIncompatibleAddOns(
+    subscription,
+    newPlanType
+  );
 
   if (!subscription.activeAddOns || subscription.activeAddOns.length === 0) {
     return { removedAddOns, remainingAddOns };
@@ -43,7 +86,7 @@ const removeIncompatibleAddOns = async (subscription, newPlanType) => {
     if (addon.status !== 'active') continue;
 
     // Verificar si el addon es compatible con el nuevo plan
-    if (!isAddOnAvailableForPlan(addon.name, newPlanType)) {
+    if (incompatibleAddOns.includes(addon.name)) {
       logger.info(`AddOn "${addon.name}" not compatible with plan ${newPlanType}, removing...`);
       
       // Eliminar de Stripe si tiene subscription item
@@ -74,6 +117,44 @@ const removeIncompatibleAddOns = async (subscription, newPlanType) => {
   return { removedAddOns, remainingAddOns };
 };
 
+/**
+ * Limpiar de la metadata el cambio de plan pendiente (downgrade programado)
+ * No guarda el documento.
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ */
+const clearPendingPlanChange = (subscription) => {
+  subscription.metadata = {
+    ...subscription.metadata,
+    pendingPlanChange: undefined,
+    pendingChangeDate: undefined,
+    scheduleId: undefined,
+  };
+};
+
+/**
+ * Verificar si una suscripción de Stripe está pausada
+ * Stripe usa el estado 'paused' (prueba sin método de pago) o pause_collection
+ * (pausa del cobro, el estado sigue 'active').
+ */
+const isPausedInStripe = (stripeSubscription) =>
+  stripeSubscription.status === 'paused' ||
+  Boolean(stripeSubscription.pause_collection);
+
+/**
+ * Actualizar las fechas de pausa de la suscripción local
+ * No guarda el documento.
+ */
+const applyPauseDates = (subscription, stripeSubscription, paused) => {
+  const resumesAt = stripeSubscription.pause_collection?.resumes_at;
+
+  subscription.pausedAt = paused
+    ? subscription.pausedAt || new Date()
+    : undefined;
+  subscription.resumesAt =
+    paused && resumesAt ? new Date(resumesAt * 1000) : undefined;
+};
+
 /**
  * Crear una sesión de checkout de Stripe
  *
@@ -82,7 +163,7 @@ const removeIncompatibleAddOns = async (subscription, newPlanType) => {
  */
 export const createCheckoutSession = async (req, res) => {
   try {
-    const { planType } = req.body;
+    const { planType, trial } = req.body;
 
     // Validación de datos
     if (!planType) {
@@ -104,7 +185,6 @@ export const createCheckoutSession = async (req, res) => {
     // Obtener información del usuario desde req.user (inyectado por authMiddleware)
     const userId = req.user.id;
     const username = req.user.username;
-    const email = req.body.email || `${username}@socialbeats.com`;
 
     if (!userId || !username) {
       return res.status(401).json({
@@ -113,26 +193,42 @@ export const createCheckoutSession = async (req, res) => {
       });
     }
 
-    logger.info(
-      `Creating checkout session for user ${userId} with plan: ${planType}`
-    );
+    // Prueba gratuita (una por usuario)
+    let trialDays = 0;
+    if (trial) {
+      trialDays = getPlanTrialDays(planType);
 
-    // Obtener o crear customer de Stripe
-    const customer = await stripeService.getOrCreateCustomer(
-      email || `${username}@temp.com`,
-      {
-        userId,
-        username,
+      if (!trialDays) {
+        return res.status(400).json({
+          error: 'TRIAL_NOT_AVAILABLE',
+          message: `Plan ${planType} does not offer a free trial`,
+        });
       }
+
+      if (!(await TrialUsage.isEligible(userId))) {
+        return res.status(409).json({
+          error: 'TRIAL_ALREADY_USED',
+          message: 'User has already used a free trial',
+        });
+      }
+    }
+
+    if (await Subscription.exists({ userId, status: 'suspended' })) {
+      return res.status(403).json({
+        error: 'ACCOUNT_SUSPENDED',
+        message:
+          'Subscriptions cannot be created while the account is suspended',
+      });
+    }
+
+    logger.info(
+      `Creating checkout session for user ${userId} with plan: ${planType}${trialDays ? ` (${trialDays}-day trial)` : ''}`
     );
 
     // Verificar si ya existe una suscripción activa
-    const existingSubscription = await Subscription.findOne({
-      userId,
-      status: { $in: ['active', 'trialing'] },
-    });
+    const existingSubscription = await Subscription.findOne({ userId });
 
-    if (existingSubscription) {
+    if (['active', 'trialing'].includes(existingSubscription?.status)) {
       return res.status(409).json({
         error: 'SUBSCRIPTION_ALREADY_EXISTS',
         message: 'User already has an active subscription',
@@ -143,6 +239,18 @@ export const createCheckoutSession = async (req, res) => {
       });
     }
 
+    // Reutilizar el customer y el email del registro local (USER_UPDATED los
+    // mantiene al día); solo sin registro se busca o crea el customer
+    const email = existingSubscription?.email || req.body.email;
+    let customerId = existingSubscription?.stripeCustomerId;
+    if (!customerId) {
+      const customer = await stripeService.getOrCreateCustomer(email, {
+        userId,
+        username,
+      });
+      customerId = customer.id;
+    }
+
     // Obtener Price ID del plan
     const priceId = stripeService.getPriceIdForPlan(planType);
 
@@ -153,7 +261,7 @@ export const createCheckoutSession = async (req, res) => {
 
     // Crear sesión de checkout
     const session = await stripeService.createCheckoutSession({
-      customerId: customer.id,
+      customerId,
       priceId,
       successUrl,
       cancelUrl,
@@ -162,6 +270,7 @@ export const createCheckoutSession = async (req, res) => {
         username,
         planType,
       },
+      trialDays,
     });
 
     // Guardar o actualizar subscription en base de datos (estado inicial)
@@ -170,8 +279,8 @@ export const createCheckoutSession = async (req, res) => {
       {
         userId,
         username,
-        email: email || `${username}@temp.com`,
-        stripeCustomerId: customer.id,
+        email,
+        stripeCustomerId: customerId,
         planType,
         status: 'incomplete',
       },
@@ -184,6 +293,7 @@ export const createCheckoutSession = async (req, res) => {
       message: 'Checkout session created successfully',
       checkoutUrl: session.url,
       sessionId: session.id,
+      trialDays,
     });
   } catch (error) {
     logger.error(`Error creating checkout session: ${error.message}`);
@@ -232,9 +342,18 @@ export const getSubscriptionStatus = async (req, res) => {
           subscription.stripeSubscriptionId
         );
 
-        // Actualizar datos locales si hay diferencias
-        if (stripeSubscription.status !== subscription.status) {
-          subscription.status = stripeSubscription.status;
+        // Stripe mantiene 'active' en una pausa (pause_collection)
+        const stripeStatus = isPausedInStripe(stripeSubscription)
+          ? 'paused'
+          : stripeSubscription.status;
+
+        // Actualizar datos locales si hay diferencias (una suspensión solo
+        // se levanta con USER_UNBANNED)
+        if (
+          !subscription.isSuspended() &&
+          stripeStatus !== subscription.status
+        ) {
+          subscription.status = stripeStatus;
           subscription.currentPeriodStart = new Date(
             stripeSubscription.current_period_start * 1000
           );
@@ -262,6 +381,8 @@ export const getSubscriptionStatus = async (req, res) => {
         currentPeriodEnd: subscription.currentPeriodEnd,
         cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
         isActive: subscription.isActive(),
+        trialEnd: subscription.trialEnd || null,
+        resumesAt: subscription.resumesAt || null,
         // Información de cambio de plan pendiente (downgrade programado)
         pendingPlanChange: subscription.metadata?.pendingPlanChange || null,
         pendingChangeDate: subscription.metadata?.pendingChangeDate || null,
@@ -301,67 +422,12 @@ export const createFreeContract = async (req, res) => {
       });
     }
 
-    logger.info(`Creating free contract for user ${userId} (${username})`);
-
-    // 1. Crear contrato en SPACE
-    const contract = await spaceService.createSpaceContract({
-      userId,
-      username,
-      plan,
-    });
-
-    logger.info(`✅ SPACE contract created for user ${userId}`);
-
-    // 2. Crear Customer en Stripe
-    const customerEmail = email || `${username}@socialbeats.com`;
-    const customer = await stripeService.getOrCreateCustomer(customerEmail, {
+    const { subscription, contract } = await provisionFreeContract({
       userId,
       username,
+      email,
     });
 
-    logger.info(`✅ Stripe customer created/retrieved: ${customer.id}`);
-
-    // 3. Crear suscripción gratuita en Stripe
-    const freePriceId = stripeService.getPriceIdForPlan(FREE_PLAN);
-    const stripeSubscription = await stripeService.createFreeSubscription({
-      customerId: customer.id,
-      priceId: freePriceId,
-      metadata: {
-        userId,
-        username,
-        planType: FREE_PLAN,
-      },
-    });
-
-    logger.info(
-      `✅ Free Stripe subscription created: ${stripeSubscription.id}`
-    );
-
-    // 4. Crear/Actualizar suscripción local en MongoDB con todos los datos
-    const subscription = await Subscription.findOneAndUpdate(
-      { userId },
-      {
-        userId,
-        username,
-        email: customerEmail,
-        planType: FREE_PLAN,
-        status: 'active',
-        stripeCustomerId: customer.id,
-        stripeSubscriptionId: stripeSubscription.id,
-        stripePriceId: freePriceId,
-        currentPeriodStart: new Date(
-          stripeSubscription.current_period_start * 1000
-        ),
-        currentPeriodEnd: new Date(
-          stripeSubscription.current_period_end * 1000
-        ),
-        cancelAtPeriodEnd: false,
-      },
-      { upsert: true, new: true }
-    );
-
-    logger.info(`✅ Local subscription created in MongoDB for user ${userId}`);
-
     res.status(200).json({
       message: 'Free contract and Stripe subscription created successfully',
       contract,
@@ -445,6 +511,20 @@ export const updateSubscriptionPlan = async (req, res) => {
       });
     }
 
+    if (subscription.isSuspended()) {
+      return res.status(403).json({
+        error: 'ACCOUNT_SUSPENDED',
+        message: 'Plan changes are not allowed while the account is suspended',
+      });
+    }
+
+    if (subscription.status === 'paused') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_PAUSED',
+        message: 'Resume the subscription before changing its plan',
+      });
+    }
+
     // Si no tiene stripeSubscriptionId, es un usuario sin suscripción en Stripe
     if (!subscription.stripeSubscriptionId) {
       return res.status(400).json({
@@ -470,25 +550,26 @@ export const updateSubscriptionPlan = async (req, res) => {
     const newPriceId = stripeService.getPriceIdForPlan(planType);
 
     // Determinar si es upgrade o downgrade (usar configuración centralizada)
+    const previousPlan = subscription.planType;
     const { isUpgrade, currentPrice, newPrice } = comparePlans(
-      subscription.planType,
+      previousPlan,
       planType
     );
+    const planChangeEvent = isUpgrade
+      ? PAYMENTS_EVENT_TYPES.PLAN_UPGRADED
+      : PAYMENTS_EVENT_TYPES.PLAN_DOWNGRADED;
 
     // Si hay un downgrade pendiente y el usuario quiere hacer upgrade, cancelar el schedule
     if (subscription.metadata?.scheduleId) {
       try {
         logger.info(`Releasing pending schedule ${subscription.metadata.scheduleId}`);
         // Usar release() en lugar de cancel() para mantener la suscripción activa
-        await stripeService.stripe.subscriptionSchedules.release(subscription.metadata.scheduleId);
+        await stripeService.releaseSubscriptionSchedule(
+          subscription.metadata.scheduleId
+        );
         
         // Limpiar metadata
-        subscription.metadata = {
-          ...subscription.metadata,
-          pendingPlanChange: undefined,
-          pendingChangeDate: undefined,
-          scheduleId: undefined,
-        };
+        clearPendingPlanChange(subscription);
         await subscription.save();
         logger.info('Pending schedule released successfully, subscription remains active');
       } catch (error) {
@@ -644,30 +725,20 @@ export const updateSubscriptionPlan = async (req, res) => {
       subscription.status = newSubscription.status;
       subscription.currentPeriodStart = new Date(newSubscription.current_period_start * 1000);
       subscription.currentPeriodEnd = new Date(newSubscription.current_period_end * 1000);
-      subscription.metadata = {
-        ...subscription.metadata,
-        pendingPlanChange: undefined,
-        pendingChangeDate: undefined,
-        scheduleId: undefined,
-      };
-      await subscription.save();
+      clearPendingPlanChange(subscription);
+
+      // El contrato de SPACE (con los addons restantes) y el evento se
+      // entregan desde el outbox
+      await saveWithOutbox(subscription, [
+        createPaymentsEventEntry(planChangeEvent, subscription, {
+          previousPlan,
+          removedAddOns,
+        }),
+        createSpaceContractEntry(subscription),
+      ]);
 
       logger.info(`New subscription created: ${newSubscription.id}`);
 
-      // Actualizar SPACE con addons restantes
-      try {
-        await spaceService.updateSpaceContract({ 
-          userId, 
-          plan: planType,
-          addOns: {
-            socialbeats: formatAddOnsForSpace(remainingAddOns),
-          },
-        });
-        logger.info(`SPACE contract updated to ${planType}`);
-      } catch (error) {
-        logger.error(`Failed to update SPACE contract: ${error.message}`);
-      }
-
       return res.status(200).json({
         message: 'New subscription created successfully',
         subscription: {
@@ -716,7 +787,16 @@ export const updateSubscriptionPlan = async (req, res) => {
         pendingChangeDate: new Date(updatedStripeSubscription.scheduled_change.effectiveDate * 1000),
         scheduleId: updatedStripeSubscription.scheduled_change.scheduleId,
       };
-      await subscription.save();
+      await saveWithOutbox(subscription, [
+        createPaymentsEventEntry(
+          PAYMENTS_EVENT_TYPES.PLAN_DOWNGRADE_SCHEDULED,
+          subscription,
+          {
+            newPlan: planType,
+            effectiveDate: subscription.metadata.pendingChangeDate,
+          }
+        ),
+      ]);
 
       // NO actualizar SPACE todavía - el webhook lo hará cuando el cambio sea efectivo
 
@@ -760,24 +840,17 @@ export const updateSubscriptionPlan = async (req, res) => {
     subscription.currentPeriodEnd = new Date(
       updatedStripeSubscription.current_period_end * 1000
     );
-    await subscription.save();
 
-    logger.info(`Subscription plan updated in database for user ${userId}`);
+    // Actualizar SPACE (con addons restantes) y publicar el evento vía outbox
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(planChangeEvent, subscription, {
+        previousPlan,
+        removedAddOns,
+      }),
+      createSpaceContractEntry(subscription),
+    ]);
 
-    // Actualizar en SPACE (con addons restantes)
-    try {
-      await spaceService.updateSpaceContract({
-        userId,
-        plan: planType,
-        addOns: {
-          socialbeats: formatAddOnsForSpace(remainingAddOns),
-        },
-      });
-      logger.info(`SPACE contract updated to ${planType} for user ${userId}`);
-    } catch (error) {
-      logger.error(`Failed to update SPACE contract: ${error.message}`);
-      // No fallar la request, el webhook puede sincronizar después
-    }
+    logger.info(`Subscription plan updated in database for user ${userId}`);
 
     res.status(200).json({
       message: 'Subscription plan updated successfully',
@@ -928,6 +1001,13 @@ export const completeUpgrade = async (req, res) => {
       });
     }
 
+    if (subscription.status === 'paused') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_PAUSED',
+        message: 'Resume the subscription before changing its plan',
+      });
+    }
+
     // Configurar el payment method como default del customer
     try {
       await stripeService.setDefaultPaymentMethod(
@@ -955,6 +1035,7 @@ export const completeUpgrade = async (req, res) => {
       });
 
     // Actualizar en base de datos
+    const previousPlan = subscription.planType;
     subscription.planType = pendingUpgradeTo;
     subscription.stripePriceId = newPriceId;
     subscription.status = updatedStripeSubscription.status;
@@ -964,17 +1045,16 @@ export const completeUpgrade = async (req, res) => {
     subscription.currentPeriodEnd = new Date(
       updatedStripeSubscription.current_period_end * 1000
     );
-    await subscription.save();
 
-    // Actualizar en SPACE
-    try {
-      await spaceService.updateSpaceContract({
-        userId,
-        plan: pendingUpgradeTo,
-      });
-    } catch (error) {
-      logger.error(`Failed to update SPACE contract: ${error.message}`);
-    }
+    // Actualizar en SPACE y publicar el evento vía outbox
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.PLAN_UPGRADED,
+        subscription,
+        { previousPlan }
+      ),
+      createSpaceContractEntry(subscription),
+    ]);
 
     res.status(200).json({
       message: 'Upgrade completed successfully',
@@ -1027,6 +1107,8 @@ export const cancelSubscription = async (req, res) => {
       `Canceling subscription for user ${userId}, immediate: ${immediate}`
     );
 
+    const previousPlan = subscription.planType;
+
     // Cancelar suscripción PREMIUM/de pago en Stripe
     let stripeSubscription;
     if (immediate) {
@@ -1080,10 +1162,19 @@ export const cancelSubscription = async (req, res) => {
         );
         subscription.cancelAtPeriodEnd = false;
         subscription.canceledAt = new Date();
-        await subscription.save();
 
-        // Downgrade a FREE en SPACE
-        await spaceService.cancelSpaceContract(userId);
+        // Downgrade a FREE en SPACE (vía outbox)
+        await saveWithOutbox(subscription, [
+          createPaymentsEventEntry(
+            PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CANCELED,
+            subscription,
+            { previousPlan, immediate: true }
+          ),
+          createSpaceContractEntry(subscription, {
+            plan: FREE_PLAN,
+            addOns: [],
+          }),
+        ]);
 
         logger.info(`User ${userId} downgraded to FREE plan successfully`);
       } catch (error) {
@@ -1107,7 +1198,13 @@ export const cancelSubscription = async (req, res) => {
       subscription.status = stripeSubscription.status;
       subscription.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
       subscription.canceledAt = new Date();
-      await subscription.save();
+      await saveWithOutbox(subscription, [
+        createPaymentsEventEntry(
+          PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CANCELLATION_SCHEDULED,
+          subscription,
+          { newPlan: FREE_PLAN, effectiveDate: subscription.currentPeriodEnd }
+        ),
+      ]);
 
       logger.info(
         `Subscription will be canceled at period end: ${subscription.currentPeriodEnd}`
@@ -1136,166 +1233,771 @@ export const cancelSubscription = async (req, res) => {
 };
 
 /**
- * Manejar webhooks de Stripe
+ * Reactivar una suscripción con cancelación programada al final del periodo
+ * Los add-ons y un downgrade pendiente se mantienen: solo se deshace la cancelación.
  *
- * @route POST /api/v1/payments/webhook
- * @access Public (verificado por firma de Stripe)
+ * @route POST /api/v1/payments/subscription/reactivate
+ * @access Private (requiere JWT)
  */
-export const handleWebhook = async (req, res) => {
+export const reactivateSubscription = async (req, res) => {
   try {
-    const signature = req.headers['stripe-signature'];
-    const isDummySecret =
-      !webhookSecret || webhookSecret === 'whsec_your_webhook_secret_here';
-
-    let event;
+    const userId = req.user.id;
 
-    // En desarrollo con secreto dummy, permitir webhooks sin firma
-    if (!signature && isDummySecret && process.env.NODE_ENV !== 'production') {
-      logger.warn(
-        '⚠️  Processing webhook without signature (development mode)'
-      );
-      // Parsear directamente el body - puede ser Buffer o string
-      const bodyString = Buffer.isBuffer(req.body)
-        ? req.body.toString()
-        : typeof req.body === 'string'
-          ? req.body
-          : JSON.stringify(req.body);
-      event = JSON.parse(bodyString);
-    } else if (!signature) {
-      logger.error('Missing stripe-signature header');
-      return res.status(400).json({
-        error: 'MISSING_SIGNATURE',
-        message: 'Missing Stripe signature',
+    if (!userId) {
+      return res.status(401).json({
+        error: 'MISSING_USER_ID',
+        message: 'User ID not found in request',
       });
-    } else {
-      // Verificar firma del webhook (req.body debe ser raw buffer)
-      event = stripeService.verifyWebhookSignature(req.body, signature);
     }
 
-    logger.info(`Webhook received: ${event.type}`);
+    const subscription = await Subscription.findOne({ userId });
 
-    // Manejar diferentes tipos de eventos
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No active subscription found for this user',
+      });
+    }
 
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
+    if (!subscription.cancelAtPeriodEnd) {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_NOT_CANCELED',
+        message: 'Subscription is not scheduled for cancellation',
+      });
+    }
 
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
+    // Una suscripción ya cancelada no se puede reactivar: requiere un nuevo checkout
+    if (subscription.status === 'canceled') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_ALREADY_CANCELED',
+        message:
+          'Subscription has already been canceled, please subscribe again',
+      });
+    }
 
-      case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
+    logger.info(`Reactivating subscription for user ${userId}`);
 
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
+    const stripeSubscription = await stripeService.reactivateSubscription(
+      subscription.stripeSubscriptionId
+    );
 
-      case 'subscription_schedule.completed':
-      case 'subscription_schedule.released':
-        await handleScheduleCompleted(event.data.object);
-        break;
+    subscription.status = stripeSubscription.status;
+    subscription.cancelAtPeriodEnd = false;
+    subscription.canceledAt = undefined;
+    await subscription.save();
 
-      default:
-        logger.info(`Unhandled webhook event type: ${event.type}`);
-    }
+    logger.info(`Subscription reactivated for user ${userId}`);
 
-    // Siempre responder 200 para que Stripe no reintente
-    res.status(200).json({ received: true });
+    res.status(200).json({
+      message: 'Subscription reactivated successfully',
+      subscription: {
+        planType: subscription.planType,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        activeAddOns: subscription.activeAddOns
+          .filter((addon) => addon.status === 'active')
+          .map((addon) => addon.name),
+        pendingPlanChange: subscription.metadata?.pendingPlanChange || null,
+        pendingChangeDate: subscription.metadata?.pendingChangeDate || null,
+      },
+    });
   } catch (error) {
-    logger.error(`Webhook error: ${error.message}`);
-    res.status(400).json({
-      error: 'WEBHOOK_ERROR',
-      message: 'Webhook processing failed',
+    logger.error(`Error reactivating subscription: ${error.message}`);
+    res.status(500).json({
+      error: 'SUBSCRIPTION_REACTIVATE_ERROR',
+      message: 'Failed to reactivate subscription',
       details: error.message,
     });
   }
 };
 
 /**
- * Manejar evento checkout.session.completed
+ * Pausar la suscripción del usuario
+ * El cobro se pausa en Stripe (pause_collection) y el contrato de SPACE baja
+ * a FREE hasta que se reanude. Opcionalmente se reanuda sola en resumesAt.
+ *
+ * @route POST /api/v1/payments/subscription/pause
+ * @access Private (requiere JWT)
  */
-const handleCheckoutCompleted = async (session) => {
+export const pauseSubscription = async (req, res) => {
   try {
-    const { customer, subscription, metadata } = session;
-
-    if (!metadata?.userId) {
-      logger.error('Checkout completed without userId in metadata');
-      return;
+    const userId = req.user.id;
+    const { resumesAt } = req.body || {};
+
+    let resumeDate = null;
+    if (resumesAt) {
+      resumeDate = new Date(resumesAt);
+      if (isNaN(resumeDate.getTime()) || resumeDate <= new Date()) {
+        return res.status(400).json({
+          error: 'INVALID_RESUME_DATE',
+          message: 'resumesAt must be a valid date in the future',
+        });
+      }
     }
 
-    // subscription puede ser un ID (string) o un objeto expandido
-    const subscriptionId =
-      typeof subscription === 'string' ? subscription : subscription?.id;
-
-    logger.info(
-      `Checkout completed for user ${metadata.userId}, subscription: ${subscriptionId}`
-    );
+    const subscription = await Subscription.findOne({ userId });
 
-    // Si la subscription ya viene expandida, usarla directamente
-    let stripeSubscription;
-    if (typeof subscription === 'object' && subscription.id) {
-      stripeSubscription = subscription;
-    } else {
-      // Si no, obtenerla de Stripe
-      stripeSubscription = await stripeService.getSubscription(subscriptionId);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No active subscription found for this user',
+      });
     }
 
-    const priceId = stripeSubscription.items.data[0]?.price.id;
-    const planType = stripeService.getPlanTypeFromPriceId(priceId);
-
-    // Actualizar o crear subscription en base de datos
-    const updateData = {
-      stripeCustomerId: customer,
-      stripeSubscriptionId: subscriptionId,
-      stripePriceId: priceId,
-      status: stripeSubscription.status,
-      planType,
-      cancelAtPeriodEnd: false,
-    };
-
-    // Solo agregar fechas si existen y son válidas
-    if (stripeSubscription.current_period_start) {
-      const startDate = new Date(
-        stripeSubscription.current_period_start * 1000
-      );
-      if (!isNaN(startDate.getTime())) {
-        updateData.currentPeriodStart = startDate;
-      }
+    if (subscription.planType === FREE_PLAN) {
+      return res.status(400).json({
+        error: 'CANNOT_PAUSE_FREE_PLAN',
+        message: 'FREE subscriptions cannot be paused',
+      });
     }
 
-    if (stripeSubscription.current_period_end) {
-      const endDate = new Date(stripeSubscription.current_period_end * 1000);
-      if (!isNaN(endDate.getTime())) {
-        updateData.currentPeriodEnd = endDate;
-      }
+    if (subscription.status !== 'active') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_NOT_ACTIVE',
+        message: `Only active subscriptions can be paused (current status: ${subscription.status})`,
+      });
     }
 
-    const dbSubscription = await Subscription.findOneAndUpdate(
-      { userId: metadata.userId },
-      updateData,
-      { upsert: true, new: true }
+    logger.info(`Pausing subscription for user ${userId}`);
+
+    const stripeSubscription = await stripeService.pauseSubscription(
+      subscription.stripeSubscriptionId,
+      resumeDate
     );
 
-    logger.info(`Subscription updated in database for user ${metadata.userId}`);
+    subscription.status = 'paused';
+    applyPauseDates(subscription, stripeSubscription, true);
+    await saveWithOutbox(subscription, [
+      createSpaceContractEntry(subscription, { plan: FREE_PLAN, addOns: [] }),
+    ]);
 
-    // Crear/actualizar contrato en SPACE
-    try {
-      await spaceService.createSpaceContract({
-        userId: metadata.userId,
-        username: metadata.username,
-        plan: planType,
-      });
-      logger.info(`SPACE contract created for user ${metadata.userId}`);
-    } catch (error) {
-      logger.error(`Failed to create SPACE contract: ${error.message}`);
-      // No lanzar error, el webhook ya procesó el pago
+    res.status(200).json({
+      message: 'Subscription paused successfully',
+      subscription: {
+        planType: subscription.planType,
+        status: subscription.status,
+        pausedAt: subscription.pausedAt,
+        resumesAt: subscription.resumesAt || null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error pausing subscription: ${error.message}`);
+    res.status(500).json({
+      error: 'SUBSCRIPTION_PAUSE_ERROR',
+      message: 'Failed to pause subscription',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Reanudar una suscripción pausada
+ * Restaura en SPACE el plan y los AddOns que tenía antes de la pausa.
+ *
+ * @route POST /api/v1/payments/subscription/resume
+ * @access Private (requiere JWT)
+ */
+export const resumeSubscription = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No active subscription found for this user',
+      });
+    }
+
+    if (subscription.status !== 'paused') {
+      return res.status(409).json({
+        error: 'SUBSCRIPTION_NOT_PAUSED',
+        message: 'Subscription is not paused',
+      });
+    }
+
+    logger.info(`Resuming subscription for user ${userId}`);
+
+    const stripeSubscription = await stripeService.resumeSubscription(
+      subscription.stripeSubscriptionId
+    );
+
+    subscription.status = stripeSubscription.status;
+    applyPauseDates(subscription, stripeSubscription, false);
+    await saveWithOutbox(subscription, [
+      createSpaceContractEntry(subscription),
+    ]);
+
+    res.status(200).json({
+      message: 'Subscription resumed successfully',
+      subscription: {
+        planType: subscription.planType,
+        status: subscription.status,
+        activeAddOns: subscription.activeAddOns
+          .filter((addon) => addon.status === 'active')
+          .map((addon) => addon.name),
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error resuming subscription: ${error.message}`);
+    res.status(500).json({
+      error: 'SUBSCRIPTION_RESUME_ERROR',
+      message: 'Failed to resume subscription',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Resumir las líneas de prorrateo de una factura de Stripe
+ * Importes en la unidad mínima de la moneda (céntimos)
+ */
+const summarizeProrations = (invoice) => {
+  let charges = 0;
+  let credits = 0;
+
+  for (const line of invoice?.lines?.data || []) {
+    if (!line.proration) continue;
+    if (line.amount >= 0) {
+      charges += line.amount;
+    } else {
+      credits += -line.amount;
+    }
+  }
+
+  return { charges, credits, net: charges - credits };
+};
+
+/**
+ * Previsualizar lo que se cobrará al cambiar de plan y/o de AddOns
+ * Reproduce el comportamiento de updateSubscriptionPlan: los upgrades se
+ * facturan en el momento (always_invoice) y los downgrades se aplican al
+ * final del periodo sin prorrateo.
+ *
+ * @route POST /api/v1/payments/subscription/preview
+ * @access Private (requiere JWT)
+ */
+export const previewSubscriptionChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { planType, addOns } = req.body;
+
+    if (!planType) {
+      return res.status(400).json({
+        error: 'MISSING_PLAN_TYPE',
+        message: 'Plan type is required',
+      });
+    }
+
+    const validPlans = getValidPlans();
+    if (!validPlans.includes(planType)) {
+      return res.status(400).json({
+        error: 'INVALID_PLAN_TYPE',
+        message: `Plan type must be one of: ${validPlans.join(', ')}`,
+      });
+    }
+
+    if (addOns !== undefined && !Array.isArray(addOns)) {
+      return res.status(400).json({
+        error: 'INVALID_ADDONS',
+        message: 'addOns must be an array of add-on names',
+      });
+    }
+
+    for (const addonName of addOns || []) {
+      if (!isValidAddOn(addonName)) {
+        return res.status(400).json({
+          error: 'INVALID_ADDON',
+          message: `Invalid addon: ${addonName}`,
+        });
+      }
+      if (!isAddOnAvailableForPlan(addonName, planType)) {
+        return res.status(400).json({
+          error: 'ADDON_NOT_AVAILABLE',
+          message: `AddOn ${addonName} is not available for plan ${planType}`,
+        });
+      }
+    }
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No active subscription found for this user',
+      });
+    }
+
+    // Sin lista explícita se conservan los AddOns compatibles con el nuevo plan
+    const { compatibleAddOns } = getIncompatibleAddOns(subscription, planType);
+    const currentAddOns = subscription.activeAddOns
+      .filter((addon) => addon.status === 'active')
+      .map((addon) => addon.name);
+    const proposedAddOns = [...new Set(addOns || compatibleAddOns)];
+    const droppedAddOns = currentAddOns.filter(
+      (name) => !proposedAddOns.includes(name)
+    );
+    const addedAddOns = proposedAddOns.filter(
+      (name) => !currentAddOns.includes(name)
+    );
+
+    const { isUpgrade, isDowngrade } = comparePlans(
+      subscription.planType,
+      planType
+    );
+
+    let changeType = 'none';
+    if (isUpgrade) changeType = 'upgrade';
+    else if (isDowngrade) changeType = 'downgrade';
+    else if (droppedAddOns.length > 0 || addedAddOns.length > 0) {
+      changeType = 'addons';
+    }
+
+    const previewParams = {
+      subscriptionId: subscription.stripeSubscriptionId,
+      planPriceId: stripeService.getPriceIdForPlan(planType),
+      addOnPriceIds: proposedAddOns.map(getAddOnStripePriceId),
+    };
+
+    // Factura inmediata (solo upgrades) y siguiente factura recurrente
+    const immediateInvoice = isUpgrade
+      ? await stripeService.previewSubscriptionChange({
+          ...previewParams,
+          prorationBehavior: 'always_invoice',
+        })
+      : null;
+    const nextInvoice = await stripeService.previewSubscriptionChange({
+      ...previewParams,
+      prorationBehavior: changeType === 'addons' ? 'create_prorations' : 'none',
+    });
+
+    const recurringTotal = (nextInvoice.lines?.data || [])
+      .filter((line) => !line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+    const nextInvoiceDate =
+      nextInvoice.next_payment_attempt || nextInvoice.period_end;
+
+    res.status(200).json({
+      preview: {
+        changeType,
+        from: { planType: subscription.planType, addOns: currentAddOns },
+        to: { planType, addOns: proposedAddOns },
+        effectiveDate: isDowngrade ? subscription.currentPeriodEnd : new Date(),
+        currency: nextInvoice.currency,
+        amountDueNow: immediateInvoice ? immediateInvoice.amount_due : 0,
+        proration: summarizeProrations(immediateInvoice || nextInvoice),
+        recurringTotal,
+        nextInvoice: {
+          date: nextInvoiceDate ? new Date(nextInvoiceDate * 1000) : null,
+          total: nextInvoice.total,
+        },
+        droppedAddOns,
+        addedAddOns,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error previewing subscription change: ${error.message}`);
+    res.status(500).json({
+      error: 'SUBSCRIPTION_PREVIEW_ERROR',
+      message: 'Failed to preview subscription change',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Formatear el cambio de plan pendiente de una suscripción
+ * Incluye los AddOns que se eliminarán al aplicarse el cambio
+ */
+const formatPendingPlanChange = (subscription) => {
+  const { pendingPlanChange, pendingChangeDate, scheduleId } =
+    subscription.metadata || {};
+  const { incompatibleAddOns } = getIncompatibleAddOns(
+    subscription,
+    pendingPlanChange
+  );
+
+  return {
+    from: subscription.planType,
+    to: pendingPlanChange,
+    effectiveDate: pendingChangeDate,
+    scheduleId,
+    addOnsToRemove: incompatibleAddOns,
+  };
+};
+
+/**
+ * Obtener el cambio de plan pendiente (downgrade programado)
+ *
+ * @route GET /api/v1/payments/subscription/pending-change
+ * @access Private (requiere JWT)
+ */
+export const getPendingPlanChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No subscription found for this user',
+      });
+    }
+
+    res.status(200).json({
+      pendingChange: subscription.metadata?.pendingPlanChange
+        ? formatPendingPlanChange(subscription)
+        : null,
+    });
+  } catch (error) {
+    logger.error(`Error getting pending plan change: ${error.message}`);
+    res.status(500).json({
+      error: 'PENDING_CHANGE_FETCH_ERROR',
+      message: 'Failed to get pending plan change',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Cancelar el cambio de plan pendiente liberando el schedule de Stripe
+ * El usuario mantiene su plan actual y los AddOns que se habrían eliminado.
+ *
+ * @route DELETE /api/v1/payments/subscription/pending-change
+ * @access Private (requiere JWT)
+ */
+export const cancelPendingPlanChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'SUBSCRIPTION_NOT_FOUND',
+        message: 'No subscription found for this user',
+      });
+    }
+
+    if (!subscription.metadata?.pendingPlanChange) {
+      return res.status(404).json({
+        error: 'NO_PENDING_CHANGE',
+        message: 'Subscription has no pending plan change',
+      });
+    }
+
+    const canceledChange = formatPendingPlanChange(subscription);
+
+    if (canceledChange.scheduleId) {
+      await stripeService.releaseSubscriptionSchedule(
+        canceledChange.scheduleId
+      );
+    }
+
+    clearPendingPlanChange(subscription);
+    await subscription.save();
+
+    logger.info(
+      `Pending plan change ${canceledChange.from} -> ${canceledChange.to} canceled for user ${userId}`
+    );
+
+    res.status(200).json({
+      message: 'Pending plan change canceled successfully',
+      canceledChange,
+      subscription: {
+        planType: subscription.planType,
+        status: subscription.status,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error canceling pending plan change: ${error.message}`);
+    res.status(500).json({
+      error: 'PENDING_CHANGE_CANCEL_ERROR',
+      message: 'Failed to cancel pending plan change',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Manejar webhooks de Stripe
+ * Solo verifica y guarda el evento en la inbox; el procesamiento lo hace
+ * webhookInboxWorker en segundo plano, así Stripe recibe la respuesta sin
+ * esperar a las llamadas a MongoDB o SPACE.
+ *
+ * @route POST /api/v1/payments/webhook
+ * @access Public (verificado por firma de Stripe)
+ */
+export const handleWebhook = async (req, res) => {
+  try {
+    const signature = req.headers['stripe-signature'];
+    const isDummySecret =
+      !webhookSecret || webhookSecret === 'whsec_your_webhook_secret_here';
+
+    let event;
+
+    // En desarrollo con secreto dummy, permitir webhooks sin firma
+    if (!signature && isDummySecret && process.env.NODE_ENV !== 'production') {
+      logger.warn(
+        '⚠️  Processing webhook without signature (development mode)'
+      );
+      // Parsear directamente el body - puede ser Buffer o string
+      const bodyString = Buffer.isBuffer(req.body)
+        ? req.body.toString()
+        : typeof req.body === 'string'
+          ? req.body
+          : JSON.stringify(req.body);
+      event = JSON.parse(bodyString);
+    } else if (!signature) {
+      logger.error('Missing stripe-signature header');
+      return res.status(400).json({
+        error: 'MISSING_SIGNATURE',
+        message: 'Missing Stripe signature',
+      });
+    } else {
+      // Verificar firma del webhook (req.body debe ser raw buffer)
+      event = stripeService.verifyWebhookSignature(req.body, signature);
+    }
+
+    if (!event?.id || !event?.type) {
+      logger.error('Webhook event without id or type');
+      return res.status(400).json({
+        error: 'INVALID_EVENT',
+        message: 'Webhook event must include id and type',
+      });
+    }
+
+    logger.info(`Webhook received: ${event.type} (${event.id})`);
+
+    const { duplicate } = await WebhookInboxEntry.enqueue(event);
+
+    if (duplicate) {
+      logger.info(`Webhook event ${event.id} already in inbox, skipping`);
+    }
+
+    // Siempre responder 200 para que Stripe no reintente
+    res.status(200).json({ received: true, duplicate });
+  } catch (error) {
+    logger.error(`Webhook error: ${error.message}`);
+    res.status(400).json({
+      error: 'WEBHOOK_ERROR',
+      message: 'Webhook processing failed',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Procesar un evento de Stripe de forma idempotente
+ * Reclama el evento en ProcessedWebhookEvent antes de ejecutar los handlers,
+ * de modo que un evento ya procesado no repite efectos secundarios. Si el
+ * handler falla, el evento queda como 'failed' y el error se relanza para que
+ * el worker de la inbox lo reintente.
+ *
+ * @param {Object} event - Evento de Stripe verificado
+ * @returns {Promise<Object>} { duplicate: boolean }
+ */
+export const processWebhookEvent = async (event) => {
+  const record = await ProcessedWebhookEvent.claim(event);
+
+  if (!record) {
+    const existing = await ProcessedWebhookEvent.findOne({
+      eventId: event.id,
+    });
+
+    // Otro proceso lo tiene reclamado: fallar para reintentarlo más tarde
+    if (existing?.status === 'processing') {
+      throw new Error(`Webhook event ${event.id} is already being processed`);
+    }
+
+    logger.info(
+      `Webhook event ${event.id} (${event.type}) already processed, skipping`
+    );
+    return { duplicate: true };
+  }
+
+  try {
+    await dispatchWebhookEvent(event);
+  } catch (error) {
+    await record.markFailed(error);
+    throw error;
+  }
+
+  await record.markSucceeded();
+  return { duplicate: false };
+};
+
+/**
+ * Ejecutar el handler correspondiente a un evento de Stripe
+ *
+ * @param {Object} event - Evento de Stripe verificado
+ */
+const dispatchWebhookEvent = async (event) => {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(event.data.object, event);
+      break;
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+      await handleSubscriptionUpdated(event.data.object, event);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      break;
+
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object);
+      break;
+
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+
+    case 'subscription_schedule.completed':
+    case 'subscription_schedule.released':
+      await handleScheduleCompleted(event.data.object, event);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object);
+      break;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+      await handleDisputeEvent(event.data.object);
+      break;
+
+    default:
+      logger.info(`Unhandled webhook event type: ${event.type}`);
+  }
+};
+
+/**
+ * Manejar evento checkout.session.completed
+ * Si la suscripción local ya aplicó un evento más reciente, el checkout se
+ * ignora para no devolver el plan o el estado a valores antiguos.
+ */
+const handleCheckoutCompleted = async (session, event) => {
+  try {
+    const { customer, subscription, metadata } = session;
+
+    if (!metadata?.userId) {
+      logger.error('Checkout completed without userId in metadata');
+      return;
+    }
+
+    const existingSubscription = await Subscription.findOne({
+      userId: metadata.userId,
+    });
+
+    if (existingSubscription?.isStaleStripeEvent(event)) {
+      logger.warn(
+        `Ignoring stale checkout.session.completed ${event.id} for user ${metadata.userId}`
+      );
+      return;
+    }
+
+    // subscription puede ser un ID (string) o un objeto expandido
+    const subscriptionId =
+      typeof subscription === 'string' ? subscription : subscription?.id;
+
+    logger.info(
+      `Checkout completed for user ${metadata.userId}, subscription: ${subscriptionId}`
+    );
+
+    // Si la subscription ya viene expandida, usarla directamente
+    let stripeSubscription;
+    if (typeof subscription === 'object' && subscription.id) {
+      stripeSubscription = subscription;
+    } else {
+      // Si no, obtenerla de Stripe
+      stripeSubscription = await stripeService.getSubscription(subscriptionId);
+    }
+
+    const priceId = stripeSubscription.items.data[0]?.price.id;
+    const planType = stripeService.getPlanTypeFromPriceId(priceId);
+
+    // Actualizar o crear subscription en base de datos
+    const updateData = {
+      stripeCustomerId: customer,
+      stripeSubscriptionId: subscriptionId,
+      stripePriceId: priceId,
+      status: stripeSubscription.status,
+      planType,
+      cancelAtPeriodEnd: false,
+    };
+
+    if (event?.created) {
+      updateData.lastStripeEventAt = new Date(event.created * 1000);
+    }
+
+    // Solo agregar fechas si existen y son válidas
+    if (stripeSubscription.current_period_start) {
+      const startDate = new Date(
+        stripeSubscription.current_period_start * 1000
+      );
+      if (!isNaN(startDate.getTime())) {
+        updateData.currentPeriodStart = startDate;
+      }
+    }
+
+    if (stripeSubscription.current_period_end) {
+      const endDate = new Date(stripeSubscription.current_period_end * 1000);
+      if (!isNaN(endDate.getTime())) {
+        updateData.currentPeriodEnd = endDate;
+      }
+    }
+
+    if (stripeSubscription.trial_end) {
+      updateData.trialEnd = new Date(stripeSubscription.trial_end * 1000);
+    }
+
+    // El contrato de SPACE y el evento se entregan desde el outbox
+    await withOutbox(
+      (session) =>
+        Subscription.findOneAndUpdate({ userId: metadata.userId }, updateData, {
+          upsert: true,
+          new: true,
+          session,
+        }),
+      (dbSubscription) => [
+        createPaymentsEventEntry(
+          PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CREATED,
+          dbSubscription,
+          {
+            previousPlan: existingSubscription?.planType || null,
+            trialEnd: dbSubscription.trialEnd || null,
+          }
+        ),
+        createSpaceContractEntry(dbSubscription, {
+          username: metadata.username,
+        }),
+      ]
+    );
+
+    logger.info(`Subscription updated in database for user ${metadata.userId}`);
+
+    // Registrar la prueba gratuita (se revoca si el usuario o la tarjeta ya la usaron)
+    if (stripeSubscription.status === 'trialing') {
+      await registerTrial({
+        userId: metadata.userId,
+        planType,
+        stripeSubscription,
+      });
     }
   } catch (error) {
     logger.error(`Error handling checkout completed: ${error.message}`);
@@ -1305,10 +2007,13 @@ const handleCheckoutCompleted = async (session) => {
 
 /**
  * Manejar evento customer.subscription.updated
+ * Los eventos fuera de orden no se aplican tal cual: si el evento es más
+ * antiguo que el último aplicado, se vuelve a leer la suscripción de Stripe
+ * para aplicar su estado actual (o se ignora si ya no es la suscripción vigente).
  */
-const handleSubscriptionUpdated = async (stripeSubscription) => {
+const handleSubscriptionUpdated = async (eventSubscription, event) => {
   try {
-    const { id, customer, status, metadata } = stripeSubscription;
+    const { id, customer } = eventSubscription;
 
     // Buscar subscription por stripeSubscriptionId o customerId
     const subscription = await Subscription.findOne({
@@ -1320,13 +2025,43 @@ const handleSubscriptionUpdated = async (stripeSubscription) => {
       return;
     }
 
+    let stripeSubscription = eventSubscription;
+
+    if (subscription.isStaleStripeEvent(event)) {
+      // Un evento antiguo de otra suscripción (p.ej. la anterior a un
+      // downgrade a FREE) no debe sustituir a la suscripción vigente
+      if (
+        subscription.stripeSubscriptionId &&
+        subscription.stripeSubscriptionId !== id
+      ) {
+        logger.warn(
+          `Ignoring stale ${event.type} ${event.id} for replaced subscription ${id}`
+        );
+        return;
+      }
+
+      logger.warn(
+        `Stale ${event.type} ${event.id} for subscription ${id}, re-fetching from Stripe`
+      );
+      stripeSubscription = await stripeService.getSubscription(id);
+    }
+
+    const { status } = stripeSubscription;
+    const wasPaused = subscription.status === 'paused';
+    const paused = isPausedInStripe(stripeSubscription);
+    // La pausa del cobro por una suspensión no es una pausa del usuario: el
+    // estado y SPACE no cambian hasta que se levante (USER_UNBANNED)
+    const suspended = subscription.isSuspended();
+
     const priceId = stripeSubscription.items.data[0]?.price.id;
     const planType = stripeService.getPlanTypeFromPriceId(priceId);
 
     // Actualizar datos
     subscription.stripeSubscriptionId = id;
     subscription.stripePriceId = priceId;
-    subscription.status = status;
+    if (!suspended) {
+      subscription.status = paused ? 'paused' : status;
+    }
     subscription.planType = planType;
     subscription.currentPeriodStart = new Date(
       stripeSubscription.current_period_start * 1000
@@ -1335,22 +2070,38 @@ const handleSubscriptionUpdated = async (stripeSubscription) => {
       stripeSubscription.current_period_end * 1000
     );
     subscription.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
-
-    await subscription.save();
-
-    logger.info(`Subscription updated for user ${subscription.userId}`);
+    subscription.trialEnd = stripeSubscription.trial_end
+      ? new Date(stripeSubscription.trial_end * 1000)
+      : undefined;
+    if (!suspended) {
+      applyPauseDates(subscription, stripeSubscription, paused);
+    }
+    subscription.markStripeEventApplied(event);
 
     // Actualizar SPACE si el estado cambió
-    if (status === 'active') {
-      try {
-        await spaceService.updateSpaceContract({
-          userId: subscription.userId,
-          plan: planType,
+    let spaceEntry = null;
+    if (suspended) {
+      logger.info(
+        `Subscription of user ${subscription.userId} is suspended, SPACE contract unchanged`
+      );
+    } else if (paused) {
+      if (!wasPaused) {
+        spaceEntry = createSpaceContractEntry(subscription, {
+          plan: FREE_PLAN,
+          addOns: [],
         });
-      } catch (error) {
-        logger.error(`Failed to update SPACE contract: ${error.message}`);
+        logger.info(
+          `SPACE contract downgraded to FREE while subscription of user ${subscription.userId} is paused`
+        );
       }
+    } else if (status === 'active' || status === 'trialing') {
+      // Incluye los AddOns para restaurarlos también al reanudar una pausa
+      spaceEntry = createSpaceContractEntry(subscription);
     }
+
+    await saveWithOutbox(subscription, [spaceEntry]);
+
+    logger.info(`Subscription updated for user ${subscription.userId}`);
   } catch (error) {
     logger.error(`Error handling subscription updated: ${error.message}`);
     throw error;
@@ -1379,6 +2130,8 @@ const handleSubscriptionDeleted = async (stripeSubscription) => {
       `Subscription deleted for user ${subscription.userId}, creating FREE plan`
     );
 
+    const previousPlan = subscription.planType;
+
     try {
       // Crear suscripción FREE automáticamente
       const freePriceId = stripeService.getPriceIdForPlan(FREE_PLAN);
@@ -1405,7 +2158,8 @@ const handleSubscriptionDeleted = async (stripeSubscription) => {
       );
       subscription.cancelAtPeriodEnd = false;
       subscription.canceledAt = new Date();
-      await subscription.save();
+      // La suscripción impagada ya no existe: el dunning termina aquí
+      subscription.dunning = undefined;
 
       logger.info(`FREE subscription created for user ${subscription.userId}`);
     } catch (error) {
@@ -1414,18 +2168,17 @@ const handleSubscriptionDeleted = async (stripeSubscription) => {
       // Si falla, al menos marcar como cancelado
       subscription.status = 'canceled';
       subscription.canceledAt = new Date();
-      await subscription.save();
     }
 
-    // Downgrade a FREE en SPACE
-    try {
-      await spaceService.cancelSpaceContract(subscription.userId);
-      logger.info(
-        `SPACE contract downgraded to FREE for user ${subscription.userId}`
-      );
-    } catch (error) {
-      logger.error(`Failed to cancel SPACE contract: ${error.message}`);
-    }
+    // Downgrade a FREE en SPACE (vía outbox)
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CANCELED,
+        subscription,
+        { previousPlan, newPlan: FREE_PLAN, immediate: false }
+      ),
+      createSpaceContractEntry(subscription, { plan: FREE_PLAN, addOns: [] }),
+    ]);
   } catch (error) {
     logger.error(`Error handling subscription deleted: ${error.message}`);
     throw error;
@@ -1453,10 +2206,23 @@ const handlePaymentSucceeded = async (invoice) => {
 
     logger.info(`Payment succeeded for user ${subscription.userId}`);
 
-    // Asegurar que el estado sea activo
-    if (subscription.status !== 'active') {
+    // Pago recuperado: cerrar el dunning y restaurar SPACE si se bajó a FREE
+    const restoreSpace = await dunningService.resolveDunning(subscription);
+
+    // Asegurar que el estado sea activo (salvo cuenta suspendida o pausada)
+    if (!subscription.isSuspended() && subscription.status !== 'paused') {
       subscription.status = 'active';
-      await subscription.save();
+    }
+
+    // Solo se restaura SPACE si la suscripción vuelve a dar derecho a su plan
+    const spaceContract = getExpectedSpaceContract(subscription);
+    const spaceEntry =
+      restoreSpace && spaceContract.plan === subscription.planType
+        ? createSpaceContractEntry(subscription, spaceContract)
+        : null;
+
+    if (subscription.isModified()) {
+      await saveWithOutbox(subscription, [spaceEntry]);
     }
   } catch (error) {
     logger.error(`Error handling payment succeeded: ${error.message}`);
@@ -1485,21 +2251,71 @@ const handlePaymentFailed = async (invoice) => {
 
     logger.warn(`Payment failed for user ${subscription.userId}`);
 
-    subscription.status = 'past_due';
-    await subscription.save();
+    // Una cuenta suspendida o pausada conserva su estado
+    if (!subscription.isSuspended() && subscription.status !== 'paused') {
+      subscription.status = 'past_due';
+    }
+    dunningService.startDunning(subscription, invoice);
+    await saveWithOutbox(subscription, [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.PAYMENT_FAILED,
+        subscription,
+        {
+          invoiceId: invoice.id,
+          attempt: subscription.dunning.failedAttempts,
+        }
+      ),
+    ]);
 
-    // TODO: Enviar notificación al usuario sobre el pago fallido
+    // Al usuario se le avisa con los recordatorios del dunning (el del día 0
+    // es el aviso del primer fallo) o se baja a FREE si ya venció la gracia
+    await dunningService.advanceDunning(subscription);
   } catch (error) {
     logger.error(`Error handling payment failed: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Manejar evento customer.subscription.trial_will_end
+ * Stripe lo envía 3 días antes de que termine la prueba gratuita
+ */
+const handleTrialWillEnd = async (stripeSubscription) => {
+  try {
+    const subscription = await Subscription.findOne({
+      stripeSubscriptionId: stripeSubscription.id,
+    });
+
+    if (!subscription) {
+      logger.warn(
+        `Subscription not found for trial ending: ${stripeSubscription.id}`
+      );
+      return;
+    }
+
+    const trialEnd = new Date(stripeSubscription.trial_end * 1000);
+
+    logger.info(
+      `Trial for user ${subscription.userId} ends on ${trialEnd.toISOString()}`
+    );
+
+    await notifyUser('TRIAL_WILL_END', subscription, {
+      planType: subscription.planType,
+      trialEnd: trialEnd.toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Error handling trial will end: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Manejar evento subscription_schedule.completed o released
  * Este evento se dispara cuando un schedule (downgrade programado) se completa
+ * El estado siempre se lee de Stripe, por lo que un evento atrasado no puede
+ * devolver la suscripción a un plan anterior.
  */
-const handleScheduleCompleted = async (schedule) => {
+const handleScheduleCompleted = async (schedule, event) => {
   try {
     const { subscription: subscriptionId, customer } = schedule;
 
@@ -1525,46 +2341,70 @@ const handleScheduleCompleted = async (schedule) => {
       return;
     }
 
+    if (subscription.isStaleStripeEvent(event)) {
+      logger.warn(
+        `Stale ${event.type} ${event.id}, applying current Stripe state instead`
+      );
+    }
+
     const previousPlan = subscription.planType;
 
     // Gestionar AddOns incompatibles con el nuevo plan (downgrade)
-    const { removedAddOns, remainingAddOns } = await removeIncompatibleAddOns(subscription, planType);
+    const { removedAddOns } = await removeIncompatibleAddOns(
+      subscription,
+      planType
+    );
     if (removedAddOns.length > 0) {
       logger.info(`Removed ${removedAddOns.length} incompatible addons after downgrade to ${planType}: ${removedAddOns.join(', ')}`);
     }
 
+    // Una cuenta suspendida mantiene su estado y SPACE en FREE hasta
+    // USER_UNBANNED, que restaura ya el nuevo plan
+    const suspended = subscription.isSuspended();
+    const paused = isPausedInStripe(stripeSubscription);
+
     // Actualizar en DB con el nuevo plan
     subscription.planType = planType;
     subscription.stripePriceId = priceId;
-    subscription.status = stripeSubscription.status;
+    if (!suspended) {
+      subscription.status = paused ? 'paused' : stripeSubscription.status;
+      applyPauseDates(subscription, stripeSubscription, paused);
+    }
     subscription.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
     subscription.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
     
     // Limpiar metadata del schedule pendiente
-    subscription.metadata = {
-      ...subscription.metadata,
-      pendingPlanChange: undefined,
-      pendingChangeDate: undefined,
-      scheduleId: undefined,
-    };
-    
-    await subscription.save();
-
-    logger.info(`Subscription downgrade completed: ${previousPlan} -> ${planType} for user ${subscription.userId}`);
-
-    // Actualizar SPACE con el nuevo plan y addons restantes
-    try {
-      await spaceService.updateSpaceContract({
-        userId: subscription.userId,
-        plan: planType,
-        addOns: {
-          socialbeats: formatAddOnsForSpace(remainingAddOns),
-        },
-      });
-      logger.info(`SPACE contract updated to ${planType} for user ${subscription.userId}`);
-    } catch (error) {
-      logger.error(`Failed to update SPACE contract: ${error.message}`);
+    clearPendingPlanChange(subscription);
+    subscription.markStripeEventApplied(event);
+
+    // Actualizar SPACE con el nuevo plan y addons restantes (vía outbox),
+    // o mantener FREE si está pausada o bajada por impago.
+    // Un schedule liberado sin cambio de plan no es un downgrade
+    await saveWithOutbox(subscription, [
+      comparePlans(previousPlan, planType).isDowngrade
+        ? createPaymentsEventEntry(
+            PAYMENTS_EVENT_TYPES.PLAN_DOWNGRADED,
+            subscription,
+            { previousPlan, removedAddOns }
+          )
+        : null,
+      suspended
+        ? null
+        : createSpaceContractEntry(
+            subscription,
+            getExpectedSpaceContract(subscription)
+          ),
+    ]);
+
+    if (suspended) {
+      logger.info(
+        `Subscription of user ${subscription.userId} is suspended, SPACE contract unchanged`
+      );
     }
+
+    logger.info(
+      `Subscription downgrade completed: ${previousPlan} -> ${planType} for user ${subscription.userId}`
+    );
   } catch (error) {
     logger.error(`Error handling schedule completed: ${error.message}`);
     throw error;
@@ -0,0 +1,115 @@
+import WebhookInboxEntry from '../models/WebhookInboxEntry.js';
+import logger from '../../logger.js';
+
+const INBOX_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+/**
+ * Formatear una entrada de la inbox para la respuesta (sin el payload completo)
+ */
+const formatInboxEntry = (entry) => ({
+  eventId: entry.eventId,
+  type: entry.type,
+  status: entry.status,
+  attempts: entry.attempts,
+  lastError: entry.lastError,
+  nextAttemptAt: entry.nextAttemptAt,
+  receivedAt: entry.receivedAt,
+  processedAt: entry.processedAt,
+});
+
+/**
+ * Listar entradas de la inbox de webhooks
+ * Por defecto devuelve las fallidas y las muertas (poison messages)
+ *
+ * @route GET /api/v1/payments/internal/admin/webhooks/inbox
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const listInboxEntries = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const statuses = status ? status.split(',') : ['failed', 'dead'];
+    const invalid = statuses.filter((s) => !INBOX_STATUSES.includes(s));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_STATUS',
+        message: `Status must be one of: ${INBOX_STATUSES.join(', ')}`,
+      });
+    }
+
+    const filter = { status: { $in: statuses } };
+    if (type) {
+      filter.type = type;
+    }
+
+    const entries = await WebhookInboxEntry.find(filter)
+      .sort({ receivedAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      entries: entries.map(formatInboxEntry),
+      total: entries.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing webhook inbox entries: ${error.message}`);
+    res.status(500).json({
+      error: 'INBOX_FETCH_ERROR',
+      message: 'Failed to list webhook inbox entries',
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Reintentar una entrada fallida o muerta de la inbox
+ * La entrada vuelve a 'pending' con los intentos a cero para que el worker
+ * la procese en su siguiente ciclo.
+ *
+ * @route POST /api/v1/payments/internal/admin/webhooks/inbox/:eventId/retry
+ * @access Internal (requiere x-internal-api-key)
+ */
+export const retryInboxEntry = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const entry = await WebhookInboxEntry.findOneAndUpdate(
+      { eventId, status: { $in: ['failed', 'dead'] } },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { lockedAt: 1 },
+      },
+      { new: true }
+    );
+
+    if (!entry) {
+      const exists = await WebhookInboxEntry.exists({ eventId });
+      return res.status(exists ? 409 : 404).json({
+        error: exists ? 'INBOX_ENTRY_NOT_RETRYABLE' : 'INBOX_ENTRY_NOT_FOUND',
+        message: exists
+          ? 'Only failed or dead inbox entries can be retried'
+          : `No inbox entry found for event ${eventId}`,
+      });
+    }
+
+    logger.info(`Inbox entry ${eventId} (${entry.type}) queued for retry`);
+
+    res.status(200).json({
+      message: 'Inbox entry queued for retry',
+      entry: formatInboxEntry(entry),
+    });
+  } catch (error) {
+    logger.error(`Error retrying webhook inbox entry: ${error.message}`);
+    res.status(500).json({
+      error: 'INBOX_RETRY_ERROR',
+      message: 'Failed to retry webhook inbox entry',
+      details: error.message,
+    });
+  }
+};
+
+export default {
+  listInboxEntries,
+  retryInboxEntry,
+};
@@ -1,6 +1,8 @@
 import express from 'express';
 import logger from '../../logger.js';
 
+const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
 /**
  * Middleware para manejar webhooks de Stripe.
  *
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de eventos de Kafka fallidos (Dead Letter Queue)
+ *
+ * El consumidor de la DLQ lee el topic payments-interaction-dlq y guarda aquí
+ * cada evento que no se pudo procesar. Un worker en segundo plano
+ * (deadLetterWorker) los vuelve a pasar por processEvent con backoff
+ * exponencial hasta un máximo de intentos.
+ *
+ * ESTADOS:
+ * - 'pending': Recibido de la DLQ, pendiente de reprocesar
+ * - 'processing': Un worker lo está reprocesando
+ * - 'processed': Reprocesado correctamente
+ * - 'failed': Falló, se reintentará a partir de nextAttemptAt
+ * - 'dead': Agotó los reintentos o no se puede reprocesar (JSON inválido o
+ *   error permanente), requiere intervención manual (replay o discard)
+ * - 'discarded': Descartado manualmente, no se volverá a procesar
+ */
+
+const deadLetterEventSchema = new mongoose.Schema(
+  {
+    // Posición del mensaje en la DLQ (topic:partición:offset). Única: si el
+    // consumidor vuelve a leer un mensaje no se duplica
+    dlqMessageId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tipo del evento original (null si no se pudo interpretar)
+    eventType: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    userId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Evento original; el texto recibido si no era JSON válido
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Motivo por el que el consumidor principal lo envió a la DLQ
+    originalError: {
+      type: String,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+    },
+    // Cabeceras de reintento del consumidor principal (retry-attempts,
+    // error-type, original-topic...)
+    retryMetadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: [
+        'pending',
+        'processing',
+        'processed',
+        'failed',
+        'dead',
+        'discarded',
+      ],
+      default: 'pending',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Momento a partir del cual el worker puede (re)intentar el evento
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Momento en que un worker reclamó el evento (para detectar bloqueos)
+    lockedAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: {
+      type: Date,
+    },
+    discardedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'kafka_dead_letters',
+  }
+);
+
+// Índice para la consulta del worker (siguientes eventos a reprocesar)
+deadLetterEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Guardar un mensaje de la DLQ
+ * El mensaje tiene el formato de sendToDLQ: { originalEvent, error, timestamp }.
+ * El evento original puede llegar como texto; si no es JSON válido se guarda
+ * directamente como 'dead', ya que processEvent nunca podrá procesarlo. Lo
+ * mismo ocurre si el consumidor principal marcó el error como permanente.
+ *
+ * @param {string} dlqMessageId - Posición del mensaje (topic:partición:offset)
+ * @param {string} value - Contenido del mensaje de la DLQ
+ * @param {Object} headers - Cabeceras de reintento del mensaje (opcional)
+ * @returns {Promise<Object>} { entry, duplicate } - duplicate es true si ya estaba
+ */
+deadLetterEventSchema.statics.enqueue = async function (
+  dlqMessageId,
+  value,
+  headers = {}
+) {
+  let message;
+  try {
+    message = JSON.parse(value);
+  } catch {
+    message = { originalEvent: value };
+  }
+
+  let event = message.originalEvent;
+  let parseError = null;
+
+  if (typeof event === 'string') {
+    try {
+      event = JSON.parse(event);
+    } catch (error) {
+      parseError = `Invalid JSON: ${error.message}`;
+    }
+  }
+
+  const valid = !parseError && event && typeof event === 'object';
+  const permanent = headers['error-type'] === 'permanent';
+
+  try {
+    const entry = await this.create({
+      dlqMessageId,
+      eventType: valid ? event.type || null : null,
+      userId: valid ? event.payload?.userId || null : null,
+      payload: event ?? value,
+      originalError: message.error || null,
+      failedAt: message.timestamp ? new Date(message.timestamp) : undefined,
+      retryMetadata: headers,
+      status: valid && !permanent ? 'pending' : 'dead',
+      lastError: valid ? null : parseError || 'Event is not an object',
+    });
+    return { entry, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { entry: null, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const DeadLetterEvent = mongoose.model(
+  'DeadLetterEvent',
+  deadLetterEventSchema
+);
+
+export default DeadLetterEvent;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de Disputa (chargeback)
+ *
+ * Se crea/actualiza a partir de los webhooks charge.dispute.* de Stripe para
+ * que el equipo vea los contracargos y sus plazos de evidencia sin depender
+ * del dashboard de Stripe.
+ *
+ * ESTADOS EN STRIPE:
+ * - 'warning_needs_response' / 'needs_response': Hay que aportar evidencia
+ * - 'warning_under_review' / 'under_review': Evidencia enviada, en revisión
+ * - 'warning_closed': Consulta cerrada sin convertirse en disputa
+ * - 'won': Disputa ganada
+ * - 'lost': Disputa perdida (el importe se devuelve al titular de la tarjeta)
+ */
+
+export const OPEN_DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'needs_response',
+  'under_review',
+];
+
+const disputeSchema = new mongoose.Schema(
+  {
+    stripeDisputeId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    stripeChargeId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    stripePaymentIntentId: {
+      type: String,
+    },
+    stripeCustomerId: {
+      type: String,
+      index: true,
+    },
+    // Usuario asociado (null si el customer no tiene suscripción local)
+    userId: {
+      type: String,
+      index: true,
+    },
+    // Importe en la unidad mínima de la moneda (céntimos)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+    },
+    reason: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: [...OPEN_DISPUTE_STATUSES, 'warning_closed', 'won', 'lost'],
+      required: true,
+    },
+    // Fecha límite para enviar evidencia en Stripe
+    evidenceDueBy: {
+      type: Date,
+    },
+    hasEvidence: {
+      type: Boolean,
+      default: false,
+    },
+    closedAt: {
+      type: Date,
+    },
+    // Si el contrato de SPACE se bajó a FREE mientras la disputa está abierta
+    spaceDowngraded: {
+      type: Boolean,
+      default: false,
+    },
+    spaceRestoredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'disputes',
+  }
+);
+
+// Método para verificar si la disputa sigue abierta
+disputeSchema.methods.isOpen = function () {
+  return OPEN_DISPUTE_STATUSES.includes(this.status);
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de bandeja de salida (outbox) transaccional
+ *
+ * Los efectos hacia fuera (eventos de Kafka y contratos de SPACE) se guardan
+ * aquí en la misma transacción que el cambio de la suscripción. Un relay en
+ * segundo plano (outboxRelay) los entrega con reintentos, de forma que un
+ * fallo de Kafka o SPACE ya no deja el estado desincronizado.
+ * La entrega es at-least-once: los consumidores deben ser idempotentes
+ * (los eventos llevan eventId y el contrato de SPACE es el estado completo).
+ *
+ * TIPOS:
+ * - 'KAFKA_MESSAGE': Mensaje a publicar en un topic de Kafka
+ * - 'SPACE_CONTRACT': Estado completo (plan + AddOns) del contrato en SPACE
+ * - 'SPACE_CONTRACT_DELETE': Eliminación del contrato en SPACE
+ *
+ * Las operaciones de SPACE de un usuario se aplican en orden de creación: una
+ * entrada nunca se aplica después de otra más reciente del mismo usuario.
+ *
+ * ESTADOS:
+ * - 'pending': Pendiente de entregar
+ * - 'processing': El relay lo está entregando
+ * - 'delivered': Entregado correctamente
+ * - 'failed': Falló, se reintentará a partir de nextAttemptAt
+ * - 'superseded': Contrato de SPACE sustituido por otro más reciente del usuario
+ * - 'dead': Agotó los reintentos, requiere intervención manual
+ */
+
+// Tipos que escriben en el contrato de SPACE de un usuario
+export const SPACE_CONTRACT_KINDS = ['SPACE_CONTRACT', 'SPACE_CONTRACT_DELETE'];
+
+const outboxEntrySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['KAFKA_MESSAGE', ...SPACE_CONTRACT_KINDS],
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // KAFKA_MESSAGE: topic, key, value (JSON serializado) y headers
+    // SPACE_CONTRACT: username, plan y addOns (nombres)
+    // SPACE_CONTRACT_DELETE: plan null y addOns vacío (sin contrato)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        'pending',
+        'processing',
+        'delivered',
+        'failed',
+        'superseded',
+        'dead',
+      ],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Momento a partir del cual el relay puede (re)intentar la entrada
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Momento en que el relay reclamó la entrada (para detectar bloqueos)
+    lockedAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'outbox',
+  }
+);
+
+// Índice para la consulta del relay (siguientes entradas a entregar)
+outboxEntrySchema.index({ status: 1, nextAttemptAt: 1 });
+// Índice para el orden de las operaciones de SPACE de cada usuario
+outboxEntrySchema.index({ userId: 1, kind: 1, createdAt: -1 });
+
+const OutboxEntry = mongoose.model('OutboxEntry', outboxEntrySchema);
+
+export default OutboxEntry;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de eventos de webhook procesados
+ *
+ * Stripe puede reenviar el mismo evento varias veces (reintentos, timeouts,
+ * reenvíos manuales desde el dashboard). Este registro, indexado por el
+ * `event.id` de Stripe, garantiza que los efectos secundarios de cada evento
+ * (crear suscripciones FREE, actualizar SPACE...) se ejecutan una sola vez.
+ *
+ * ESTADOS:
+ * - 'processing': Un handler está ejecutando el evento ahora mismo
+ * - 'succeeded': El evento se procesó correctamente (los duplicados se ignoran)
+ * - 'failed': El handler lanzó un error; un reenvío de Stripe lo reintentará
+ */
+
+// Tiempo tras el cual un evento en 'processing' se considera abandonado
+// (p.ej. el proceso murió a mitad) y puede reclamarse de nuevo
+export const PROCESSING_TIMEOUT_MS = Number(
+  process.env.WEBHOOK_PROCESSING_TIMEOUT_MS || 5 * 60 * 1000
+);
+
+const processedWebhookEventSchema = new mongoose.Schema(
+  {
+    // ID del evento de Stripe (evt_...)
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tipo de evento (checkout.session.completed, invoice.payment_failed...)
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'succeeded', 'failed'],
+      default: 'processing',
+    },
+    // Número de veces que se ha intentado procesar el evento
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'processed_webhook_events',
+  }
+);
+
+/**
+ * Reclamar un evento para procesarlo
+ * Solo se puede reclamar si es nuevo, si falló antes o si lleva demasiado
+ * tiempo en 'processing'. La operación es atómica: si dos entregas del mismo
+ * evento llegan a la vez, solo una obtiene el registro.
+ *
+ * @param {Object} event - Evento de Stripe
+ * @returns {Promise<Object|null>} Registro reclamado o null si es un duplicado
+ */
+processedWebhookEventSchema.statics.claim = async function (event) {
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: staleBefore } },
+        ],
+      },
+      {
+        $set: { type: event.type, status: 'processing' },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // El upsert choca con el índice único si el evento ya existe en un
+    // estado no reclamable ('succeeded' o 'processing' reciente)
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Marcar el evento como procesado correctamente
+processedWebhookEventSchema.methods.markSucceeded = function () {
+  this.status = 'succeeded';
+  this.lastError = null;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Marcar el evento como fallido para que un reenvío pueda reintentarlo
+processedWebhookEventSchema.methods.markFailed = function (error) {
+  this.status = 'failed';
+  this.lastError = error?.message || String(error);
+  return this.save();
+};
+
+const ProcessedWebhookEvent = mongoose.model(
+  'ProcessedWebhookEvent',
+  processedWebhookEventSchema
+);
+
+export default ProcessedWebhookEvent;
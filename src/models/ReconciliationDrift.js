@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { RECONCILIATION_CONFIG } from '../config/reconciliation.config.js';
+
+/**
+ * Modelo de diferencias detectadas por la reconciliación
+ *
+ * Cada documento es una diferencia entre MongoDB y Stripe o SPACE encontrada
+ * al revisar una suscripción (ver src/config/reconciliation.config.js). Es el
+ * informe de drift que se consulta desde los endpoints de administración; se
+ * borra automáticamente pasados RECONCILIATION_REPORT_TTL_DAYS días.
+ *
+ * CAMPOS (field):
+ * - 'plan', 'addOns', 'status', 'period': MongoDB distinto de Stripe
+ * - 'stripeSubscription': La suscripción no existe en Stripe
+ * - 'spaceContract': El contrato de SPACE no coincide con MongoDB
+ */
+
+export const DRIFT_FIELDS = [
+  'plan',
+  'addOns',
+  'status',
+  'period',
+  'stripeSubscription',
+  'spaceContract',
+];
+
+const reconciliationDriftSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    stripeSubscriptionId: {
+      type: String,
+    },
+    field: {
+      type: String,
+      enum: DRIFT_FIELDS,
+      required: true,
+    },
+    // Sistema que se tomó como fuente de verdad ('stripe' o 'local')
+    source: {
+      type: String,
+      enum: ['stripe', 'local'],
+      required: true,
+    },
+    // Valor según la fuente de verdad y valor encontrado en el otro sistema
+    expected: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    actual: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    repaired: {
+      type: Boolean,
+      default: false,
+    },
+    repairError: {
+      type: String,
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: 'reconciliation_drifts',
+  }
+);
+
+reconciliationDriftSchema.index(
+  { detectedAt: 1 },
+  { expireAfterSeconds: RECONCILIATION_CONFIG.reportTtlDays * 24 * 60 * 60 }
+);
+reconciliationDriftSchema.index({ field: 1, detectedAt: -1 });
+
+const ReconciliationDrift = mongoose.model(
+  'ReconciliationDrift',
+  reconciliationDriftSchema
+);
+
+export default ReconciliationDrift;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de Reembolso
+ *
+ * Registro local de los reembolsos de Stripe (webhook charge.refunded), ya
+ * sean emitidos desde el dashboard o como resultado de una disputa.
+ */
+
+const refundSchema = new mongoose.Schema(
+  {
+    stripeRefundId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    stripeChargeId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    stripeCustomerId: {
+      type: String,
+    },
+    // Usuario asociado (null si el customer no tiene suscripción local)
+    userId: {
+      type: String,
+      index: true,
+    },
+    // Importe en la unidad mínima de la moneda (céntimos)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+    },
+    reason: {
+      type: String,
+    },
+    status: {
+      type: String,
+    },
+    refundedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'refunds',
+  }
+);
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
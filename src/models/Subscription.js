@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SUPPORTED_PLANS, SUPPORTED_ADDONS } from '../config/plans.config.js';
 
 /**
  * Modelo de Suscripción
@@ -35,6 +36,12 @@ import mongoose from 'mongoose';
  * - 'incomplete': Checkout iniciado pero no completado
  * - 'canceled': Cancelada
  * - 'unpaid': Pago fallido definitivamente
+ * - 'paused': Cobro pausado (pause_collection); SPACE baja a FREE hasta reanudar
+ *
+ * ESTADOS PROPIOS:
+ * - 'suspended': Cuenta suspendida por moderación (USER_BANNED). Cobro pausado
+ *   en Stripe y SPACE en FREE; al levantarla (USER_UNBANNED) se recupera el
+ *   estado anterior. Ver src/services/suspensionService.js
  */
 
 const subscriptionSchema = new mongoose.Schema(
@@ -49,9 +56,9 @@ const subscriptionSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Puede faltar si el alta no lo incluye: lo completa USER_UPDATED
     email: {
       type: String,
-      required: true,
     },
     // Identificadores de Stripe
     stripeCustomerId: {
@@ -79,13 +86,16 @@ const subscriptionSchema = new mongoose.Schema(
         'incomplete',
         'trialing',
         'unpaid',
+        'paused',
+        'suspended',
       ],
       default: 'incomplete',
     },
-    // Plan contratado (FREE, PRO, STUDIO - sincronizado con SPACE)
+    // Plan contratado (FREE, PRO, STUDIO - sincronizado con SPACE). Los
+    // valores admitidos vienen de plans.config.js
     planType: {
       type: String,
-      enum: ['FREE', 'PRO', 'STUDIO'],
+      enum: SUPPORTED_PLANS,
       default: 'FREE',
     },
     // AddOns activos - Array de objetos con info de cada AddOn
@@ -93,11 +103,7 @@ const subscriptionSchema = new mongoose.Schema(
       {
         name: {
           type: String,
-          enum: [
-            'decoratives',
-            'promotedBeat',
-            'extraDashboard',
-          ],
+          enum: SUPPORTED_ADDONS,
           required: true,
         },
         stripeSubscriptionItemId: {
@@ -132,6 +138,77 @@ const subscriptionSchema = new mongoose.Schema(
     canceledAt: {
       type: Date,
     },
+    // Fin de la prueba gratuita (si la suscripción se creó con prueba)
+    trialEnd: {
+      type: Date,
+    },
+    // Pausa: fecha de inicio y reanudación automática programada (opcional)
+    pausedAt: {
+      type: Date,
+    },
+    resumesAt: {
+      type: Date,
+    },
+    // Fecha (campo `created`) del último evento de Stripe aplicado.
+    // Stripe no garantiza el orden de entrega: los eventos más antiguos que
+    // este valor se descartan o se sustituyen por el estado actual de Stripe
+    lastStripeEventAt: {
+      type: Date,
+    },
+    // Estado del dunning (gestión de impagos). Vacío si no hay pagos pendientes
+    // Ver src/config/dunning.config.js para la política
+    dunning: {
+      // Fecha del primer pago fallido (inicio del periodo de gracia)
+      startedAt: {
+        type: Date,
+      },
+      failedInvoiceId: {
+        type: String,
+      },
+      failedAttempts: {
+        type: Number,
+      },
+      remindersSent: {
+        type: Number,
+      },
+      lastReminderAt: {
+        type: Date,
+      },
+      // Fecha en que el contrato de SPACE bajó a FREE por impago
+      downgradedAt: {
+        type: Date,
+      },
+    },
+    // Historial de suspensiones por moderación (se conserva para auditoría).
+    // La suspensión vigente es la última sin liftedAt
+    suspensions: [
+      {
+        reason: {
+          type: String,
+        },
+        suspendedAt: {
+          type: Date,
+          required: true,
+        },
+        liftedAt: {
+          type: Date,
+        },
+        // Estado de la suscripción antes de suspenderla, para restaurarlo
+        previousStatus: {
+          type: String,
+        },
+        // true si la suspensión pausó el cobro en Stripe (y debe reanudarlo)
+        collectionPaused: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Última revisión del worker de reconciliación con Stripe y SPACE
+    lastReconciledAt: {
+      type: Date,
+      index: true,
+    },
     // Metadata adicional
     metadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -169,6 +246,40 @@ subscriptionSchema.methods.hasAddOn = function (addonName) {
   );
 };
 
+// Método para verificar si la suscripción está en proceso de dunning
+subscriptionSchema.methods.isInDunning = function () {
+  return Boolean(this.dunning?.startedAt);
+};
+
+// Método para verificar si la cuenta está suspendida por moderación
+subscriptionSchema.methods.isSuspended = function () {
+  return this.status === 'suspended';
+};
+
+// Método para obtener la suspensión vigente (null si no hay ninguna)
+subscriptionSchema.methods.getActiveSuspension = function () {
+  return this.suspensions?.find((suspension) => !suspension.liftedAt) || null;
+};
+
+// Método para verificar si un evento de Stripe es anterior al último aplicado
+subscriptionSchema.methods.isStaleStripeEvent = function (event) {
+  if (!event?.created || !this.lastStripeEventAt) {
+    return false;
+  }
+  return event.created * 1000 < this.lastStripeEventAt.getTime();
+};
+
+// Método para registrar un evento de Stripe como aplicado (nunca retrocede)
+subscriptionSchema.methods.markStripeEventApplied = function (event) {
+  if (!event?.created) {
+    return;
+  }
+  const createdAt = new Date(event.created * 1000);
+  if (!this.lastStripeEventAt || createdAt > this.lastStripeEventAt) {
+    this.lastStripeEventAt = createdAt;
+  }
+};
+
 // Método para obtener los nombres de AddOns activos
 subscriptionSchema.methods.getActiveAddOnNames = function () {
   return (
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de uso de pruebas gratuitas
+ *
+ * Cada usuario solo puede disfrutar de una prueba gratuita. Se guarda además
+ * la huella (fingerprint) de la tarjeta usada para que no se encadenen
+ * pruebas creando cuentas nuevas con la misma tarjeta.
+ */
+
+const trialUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    planType: {
+      type: String,
+      required: true,
+    },
+    stripeCustomerId: {
+      type: String,
+    },
+    stripeSubscriptionId: {
+      type: String,
+    },
+    // Fingerprint de la tarjeta (igual para la misma tarjeta en distintos customers)
+    cardFingerprint: {
+      type: String,
+      index: true,
+    },
+    trialStart: {
+      type: Date,
+    },
+    trialEnd: {
+      type: Date,
+    },
+    // La prueba se terminó antes de tiempo por no ser elegible
+    revoked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'trial_usages',
+  }
+);
+
+/**
+ * Verificar si un usuario puede iniciar una prueba gratuita
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<boolean>}
+ */
+trialUsageSchema.statics.isEligible = async function (userId) {
+  return !(await this.exists({ userId }));
+};
+
+const TrialUsage = mongoose.model('TrialUsage', trialUsageSchema);
+
+export default TrialUsage;
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+/**
+ * Modelo de bandeja de entrada (inbox) de webhooks de Stripe
+ *
+ * El endpoint de webhooks solo verifica la firma, guarda el evento aquí y
+ * responde a Stripe inmediatamente. Un worker en segundo plano
+ * (webhookInboxWorker) procesa las entradas pendientes y reintenta las
+ * fallidas con backoff exponencial.
+ *
+ * ESTADOS:
+ * - 'pending': Recibido, pendiente de procesar
+ * - 'processing': Un worker lo está procesando
+ * - 'processed': Procesado correctamente
+ * - 'failed': Falló, se reintentará a partir de nextAttemptAt
+ * - 'dead': Agotó los reintentos (poison message), requiere intervención manual
+ */
+
+const webhookInboxEntrySchema = new mongoose.Schema(
+  {
+    // ID del evento de Stripe (evt_...). Único: los reenvíos no se duplican
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    // Evento completo tal y como lo envió Stripe
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'processed', 'failed', 'dead'],
+      default: 'pending',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Momento a partir del cual el worker puede (re)intentar la entrada
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Momento en que un worker reclamó la entrada (para detectar bloqueos)
+    lockedAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_inbox',
+  }
+);
+
+// Índice para la consulta del worker (siguientes entradas a procesar)
+webhookInboxEntrySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Guardar un evento de Stripe en la inbox
+ *
+ * @param {Object} event - Evento de Stripe verificado
+ * @returns {Promise<Object>} { entry, duplicate } - duplicate es true si el evento ya estaba
+ */
+webhookInboxEntrySchema.statics.enqueue = async function (event) {
+  try {
+    const entry = await this.create({
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+    });
+    return { entry, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { entry: null, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const WebhookInboxEntry = mongoose.model(
+  'WebhookInboxEntry',
+  webhookInboxEntrySchema
+);
+
+export default WebhookInboxEntry;
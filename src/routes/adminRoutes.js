@@ -0,0 +1,582 @@
+/**
+ * Admin Routes
+ * Endpoints de operación internos (protegidos por Internal API Key)
+ */
+
+import { Router } from 'express';
+import { requireInternalApiKey } from '../middlewares/internalMiddleware.js';
+import {
+  listInboxEntries,
+  retryInboxEntry,
+} from '../controllers/webhookInboxController.js';
+import {
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+} from '../controllers/deadLetterController.js';
+import {
+  listDisputes,
+  getDispute,
+  restoreDisputeSpaceContract,
+  listRefunds,
+} from '../controllers/disputeController.js';
+import {
+  getDriftReport,
+  reconcileUser,
+} from '../controllers/reconciliationController.js';
+import {
+  listStuckSpaceSyncs,
+  retrySpaceSync,
+} from '../controllers/spaceSyncController.js';
+import {
+  getSpacePricing,
+  diffSpacePricing,
+} from '../controllers/spacePricingController.js';
+
+const router = Router();
+
+// Todas las rutas de administración requieren la Internal API Key
+router.use(requireInternalApiKey);
+
+// ====================================================================
+// WEBHOOK INBOX
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/webhooks/inbox:
+ *   get:
+ *     summary: Listar entradas de la inbox de webhooks de Stripe
+ *     description: Por defecto devuelve las entradas fallidas y muertas (agotaron los reintentos)
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Estados separados por comas (pending, processing, processed, failed, dead)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Tipo de evento de Stripe
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Entradas de la inbox
+ *       400:
+ *         description: Estado inválido
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/webhooks/inbox', listInboxEntries);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/webhooks/inbox/{eventId}/retry:
+ *   post:
+ *     summary: Reintentar una entrada fallida o muerta de la inbox
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del evento de Stripe (evt_...)
+ *     responses:
+ *       200:
+ *         description: Entrada puesta de nuevo en cola
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Entrada no encontrada
+ *       409:
+ *         description: La entrada no está fallida ni muerta
+ */
+router.post('/webhooks/inbox/:eventId/retry', retryInboxEntry);
+
+// ====================================================================
+// KAFKA DLQ
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/kafka/dlq:
+ *   get:
+ *     summary: Listar eventos de Kafka enviados a la DLQ
+ *     description: Por defecto devuelve los eventos fallidos y muertos (agotaron los reintentos)
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Estados separados por comas (pending, processing, processed, failed, dead, discarded)
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *         description: Tipo de evento (p.ej. USER_DELETED)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Eventos de la DLQ
+ *       400:
+ *         description: Estado inválido
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/kafka/dlq', listDeadLetters);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/kafka/dlq/{id}:
+ *   get:
+ *     summary: Obtener un evento de la DLQ con su payload original
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Detalle del evento
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Evento no encontrado
+ */
+router.get('/kafka/dlq/:id', getDeadLetter);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/kafka/dlq/{id}/replay:
+ *   post:
+ *     summary: Volver a procesar un evento de la DLQ
+ *     description: El evento vuelve a la cola con los intentos a cero
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evento puesto de nuevo en cola
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Evento no encontrado
+ *       409:
+ *         description: El evento no está fallido, muerto ni descartado, o no es JSON válido
+ */
+router.post('/kafka/dlq/:id/replay', replayDeadLetter);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/kafka/dlq/{id}/discard:
+ *   post:
+ *     summary: Descartar un evento de la DLQ
+ *     description: El evento se conserva para auditoría pero no se vuelve a procesar
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evento descartado
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Evento no encontrado
+ *       409:
+ *         description: El evento ya se procesó o ya está descartado
+ */
+router.post('/kafka/dlq/:id/discard', discardDeadLetter);
+
+// ====================================================================
+// DISPUTES & REFUNDS
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/disputes:
+ *   get:
+ *     summary: Listar disputas (chargebacks) y sus plazos de evidencia
+ *     description: Por defecto devuelve las disputas abiertas ordenadas por fecha límite de evidencia
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: open
+ *         description: open, closed, all o estados de Stripe separados por comas (needs_response, under_review, won, lost...)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Disputas con su fecha límite de evidencia (evidenceDueBy)
+ *       400:
+ *         description: Estado inválido
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/disputes', listDisputes);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/disputes/{disputeId}:
+ *   get:
+ *     summary: Obtener una disputa y los reembolsos de su cargo
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la disputa de Stripe (du_...)
+ *     responses:
+ *       200:
+ *         description: Detalle de la disputa
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Disputa no encontrada
+ */
+router.get('/disputes/:disputeId', getDispute);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/disputes/{disputeId}/restore-space:
+ *   post:
+ *     summary: Restaurar SPACE tras revisar una disputa perdida
+ *     description: |
+ *       Una disputa perdida con SPACE bajado a FREE (DISPUTE_DOWNGRADE_ON_OPEN)
+ *       lo mantiene en FREE hasta esta revisión. Se restaura el plan y los
+ *       add-ons si el usuario no tiene otra disputa abierta.
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la disputa de Stripe (du_...)
+ *     responses:
+ *       200:
+ *         description: Retención levantada (o mantenida por otra disputa abierta)
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Disputa no encontrada
+ *       409:
+ *         description: La disputa no retiene el contrato de SPACE
+ */
+router.post('/disputes/:disputeId/restore-space', restoreDisputeSpaceContract);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/refunds:
+ *   get:
+ *     summary: Listar reembolsos registrados
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chargeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Reembolsos
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/refunds', listRefunds);
+
+// ====================================================================
+// RECONCILIACIÓN (MongoDB, Stripe y SPACE)
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/reconciliation/drifts:
+ *   get:
+ *     summary: Informe de diferencias entre MongoDB, Stripe y SPACE
+ *     description: |
+ *       Diferencias detectadas por el worker de reconciliación, con un resumen
+ *       por campo. Stripe es la fuente de verdad de plan, add-ons, estado y
+ *       periodo; MongoDB lo es del contrato de SPACE.
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Desde cuándo (por defecto las últimas 24 horas)
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Campos separados por comas (plan, addOns, status, period, stripeSubscription, spaceContract)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: repaired
+ *         schema:
+ *           type: boolean
+ *         description: Solo las corregidas (true) o las pendientes (false)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Resumen por campo y diferencias más recientes
+ *       400:
+ *         description: Campo o fecha inválidos
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/reconciliation/drifts', getDriftReport);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/reconciliation/{userId}:
+ *   post:
+ *     summary: Reconciliar en el momento la suscripción de un usuario
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               repair:
+ *                 type: boolean
+ *                 description: Corregir las diferencias (por defecto RECONCILIATION_AUTO_REPAIR); false para solo informar
+ *     responses:
+ *       200:
+ *         description: Diferencias encontradas y corregidas
+ *       400:
+ *         description: repair no es booleano
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.post('/reconciliation/:userId', reconcileUser);
+
+// ====================================================================
+// SINCRONIZACIÓN CON SPACE
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/space/sync/stuck:
+ *   get:
+ *     summary: Listar sincronizaciones con SPACE atascadas
+ *     description: |
+ *       Última operación de SPACE de cada usuario (plan y add-ons que se
+ *       quieren aplicar, o eliminación del contrato) que falló, agotó los
+ *       reintentos o lleva más de SPACE_SYNC_STUCK_AFTER sin entregarse.
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Sincronizaciones atascadas, de la más antigua a la más reciente
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/space/sync/stuck', listStuckSpaceSyncs);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/space/sync/{id}/retry:
+ *   post:
+ *     summary: Volver a encolar una sincronización con SPACE fallida
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sincronización encolada
+ *       401:
+ *         description: Internal API key inválida
+ *       404:
+ *         description: Sincronización no encontrada
+ *       409:
+ *         description: La sincronización no está fallida
+ */
+router.post('/space/sync/:id/retry', retrySpaceSync);
+
+// ====================================================================
+// PRICING DE SPACE
+// ====================================================================
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/space/pricing:
+ *   get:
+ *     summary: Generar el YAML de pricing de SPACE
+ *     description: |
+ *       Pricing (formato SocialBeats-1.0.yaml) generado a partir de los planes
+ *       y AddOns de plans.config.js: features, límites de uso, disponibilidad
+ *       de los AddOns y precios.
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     responses:
+ *       200:
+ *         description: YAML de pricing
+ *         content:
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.get('/space/pricing', getSpacePricing);
+
+/**
+ * @swagger
+ * /api/v1/payments/internal/admin/space/pricing/diff:
+ *   post:
+ *     summary: Comparar plans.config.js con un YAML de pricing de SPACE
+ *     description: |
+ *       Compara los valores efectivos (precios, unidades, disponibilidad de
+ *       AddOns, features y límites de cada plan). Las descripciones, la fecha
+ *       y la versión no cuentan como diferencia.
+ *     tags: [Admin]
+ *     security:
+ *       - internalAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - yaml
+ *             properties:
+ *               yaml:
+ *                 type: string
+ *                 description: YAML de pricing existente
+ *     responses:
+ *       200:
+ *         description: Diferencias (expected es plans.config.js, actual el YAML; null significa sin límite)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inSync:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 differences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                         example: plans.PRO.usageLimits.maxBeats
+ *                       expected: {}
+ *                       actual: {}
+ *       400:
+ *         description: YAML ausente o inválido
+ *       401:
+ *         description: Internal API key inválida
+ */
+router.post('/space/pricing/diff', diffSpacePricing);
+
+export default router;
@@ -1,6 +1,9 @@
 import { getVersion } from '../utils/versionUtils.js';
 import mongoose from 'mongoose';
-import { isKafkaConnected, isKafkaEnabled } from '../services/kafkaConsumer.js';
+import {
+  getKafkaConsumerStatus,
+  isKafkaEnabled,
+} from '../services/kafkaConsumer.js';
 
 export default function healthRoutes(app) {
   const version = getVersion();
@@ -50,15 +53,57 @@ export default function healthRoutes(app) {
    *                       type: boolean
    *                     connected:
    *                       type: boolean
+   *                     consumers:
+   *                       type: array
+   *                       description: Only present when Kafka is enabled
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           groupId:
+   *                             type: string
+   *                             example: payments-interaction-group
+   *                           topic:
+   *                             type: string
+   *                             example: users-events
+   *                           running:
+   *                             type: boolean
+   *                           lastError:
+   *                             type: string
+   *                             nullable: true
+   *                           partitions:
+   *                             type: array
+   *                             items:
+   *                               type: object
+   *                               properties:
+   *                                 partition:
+   *                                   type: integer
+   *                                 committedOffset:
+   *                                   type: string
+   *                                   nullable: true
+   *                                 highWatermark:
+   *                                   type: string
+   *                                 lag:
+   *                                   type: integer
+   *                                   nullable: true
+   *                                   description: Messages not yet committed by the group
+   *                                 lastOffset:
+   *                                   type: string
+   *                                   nullable: true
+   *                                   description: Last offset processed by this instance
+   *                                 lastProcessedAt:
+   *                                   type: string
+   *                                   format: date-time
+   *                                   nullable: true
    */
   app.get('/api/v1/health', async (req, res) => {
     const dbStatus =
       mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
     
     const kafkaEnabled = isKafkaEnabled();
-    let kafkaConnected = false;
+    let kafka = { enabled: kafkaEnabled, connected: false };
     if (kafkaEnabled) {
-      kafkaConnected = await isKafkaConnected();
+      const { connected, consumers } = await getKafkaConsumerStatus();
+      kafka = { enabled: kafkaEnabled, connected, consumers };
     }
 
     res.status(200).json({
@@ -69,10 +114,7 @@ export default function healthRoutes(app) {
       timestamp: new Date().toISOString(),
       environment: process.env.NODE_ENV,
       db: dbStatus,
-      kafka: {
-        enabled: kafkaEnabled,
-        connected: kafkaConnected,
-      },
+      kafka,
     });
   });
 }
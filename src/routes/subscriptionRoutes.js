@@ -1,5 +1,9 @@
 import express from 'express';
 import * as subscriptionController from '../controllers/subscriptionController.js';
+import {
+  getMyEntitlements,
+  getUserEntitlementsInternal,
+} from '../controllers/entitlementsController.js';
 import verifyToken from '../middlewares/authMiddlewares.js';
 import {
   webhookMiddleware,
@@ -57,7 +61,10 @@ const router = express.Router();
  *               email:
  *                 type: string
  *                 format: email
- *                 description: Email del usuario (opcional si viene en headers)
+ *                 description: Email del usuario (solo si aún no tiene registro; si no, se usa el guardado)
+ *               trial:
+ *                 type: boolean
+ *                 description: Iniciar con prueba gratuita (solo una por usuario, según trialDays del plan)
  *     responses:
  *       200:
  *         description: Sesión de checkout creada exitosamente
@@ -73,12 +80,17 @@ const router = express.Router();
  *                   description: URL de redirección a Stripe Checkout
  *                 sessionId:
  *                   type: string
+ *                 trialDays:
+ *                   type: integer
+ *                   description: Días de prueba gratuita (0 si no hay prueba)
  *       400:
- *         description: Datos inválidos
+ *         description: Datos inválidos o plan sin prueba gratuita
  *       401:
  *         description: No autenticado
+ *       403:
+ *         description: Cuenta suspendida (ACCOUNT_SUSPENDED)
  *       409:
- *         description: Usuario ya tiene suscripción activa
+ *         description: Usuario ya tiene suscripción activa o ya usó su prueba gratuita
  *       500:
  *         description: Error del servidor
  */
@@ -202,13 +214,110 @@ router.get(
  *         description: Datos inválidos o usuario ya tiene ese plan
  *       401:
  *         description: No autenticado
+ *       403:
+ *         description: Cuenta suspendida (ACCOUNT_SUSPENDED)
  *       404:
  *         description: Suscripción no encontrada
+ *       409:
+ *         description: Suscripción pausada (SUBSCRIPTION_PAUSED)
  *       500:
  *         description: Error del servidor
  */
 router.put('/subscription', verifyToken, subscriptionController.updateSubscriptionPlan);
 
+/**
+ * @swagger
+ * /api/v1/payments/subscription/preview:
+ *   post:
+ *     summary: Previsualizar el cobro de un cambio de plan y/o AddOns
+ *     description: |
+ *       Usa la factura de previsualización de Stripe (no modifica la suscripción).
+ *       Los importes están en la unidad mínima de la moneda (céntimos).
+ *       - Upgrade: se factura el prorrateo en el momento (amountDueNow)
+ *       - Downgrade: se aplica al final del periodo, sin prorrateo
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planType
+ *             properties:
+ *               planType:
+ *                 type: string
+ *                 enum: [FREE, PRO, STUDIO]
+ *               addOns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: AddOns propuestos. Si se omite se conservan los AddOns actuales compatibles con el plan
+ *     responses:
+ *       200:
+ *         description: Previsualización del cambio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preview:
+ *                   type: object
+ *                   properties:
+ *                     changeType:
+ *                       type: string
+ *                       enum: [upgrade, downgrade, addons, none]
+ *                     effectiveDate:
+ *                       type: string
+ *                       format: date-time
+ *                     currency:
+ *                       type: string
+ *                     amountDueNow:
+ *                       type: integer
+ *                     proration:
+ *                       type: object
+ *                       properties:
+ *                         charges:
+ *                           type: integer
+ *                         credits:
+ *                           type: integer
+ *                         net:
+ *                           type: integer
+ *                     recurringTotal:
+ *                       type: integer
+ *                     nextInvoice:
+ *                       type: object
+ *                       properties:
+ *                         date:
+ *                           type: string
+ *                           format: date-time
+ *                         total:
+ *                           type: integer
+ *                     droppedAddOns:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     addedAddOns:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Plan o AddOns inválidos
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.post(
+  '/subscription/preview',
+  verifyToken,
+  subscriptionController.previewSubscriptionChange
+);
+
 /**
  * @swagger
  * /api/v1/payments/subscription/complete-upgrade:
@@ -236,6 +345,8 @@ router.put('/subscription', verifyToken, subscriptionController.updateSubscripti
  *         description: Sesión de setup no completada o datos inválidos
  *       404:
  *         description: Suscripción no encontrada
+ *       409:
+ *         description: Suscripción pausada (SUBSCRIPTION_PAUSED)
  *       500:
  *         description: Error del servidor
  */
@@ -298,6 +409,295 @@ router.delete(
   subscriptionController.cancelSubscription
 );
 
+/**
+ * @swagger
+ * /api/v1/payments/subscription/reactivate:
+ *   post:
+ *     summary: Deshacer la cancelación programada al final del periodo
+ *     description: |
+ *       Reactiva una suscripción cancelada con immediate=false antes de que
+ *       termine el periodo. Los add-ons y un downgrade pendiente se mantienen.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suscripción reactivada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 subscription:
+ *                   type: object
+ *                   properties:
+ *                     planType:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     cancelAtPeriodEnd:
+ *                       type: boolean
+ *                     activeAddOns:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     pendingPlanChange:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada
+ *       409:
+ *         description: La suscripción no tiene una cancelación programada o ya está cancelada
+ *       500:
+ *         description: Error del servidor
+ */
+router.post(
+  '/subscription/reactivate',
+  verifyToken,
+  subscriptionController.reactivateSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/subscription/pause:
+ *   post:
+ *     summary: Pausar la suscripción
+ *     description: |
+ *       Pausa el cobro en Stripe y baja el contrato de SPACE a FREE mientras
+ *       dure la pausa. Si se indica resumesAt, la suscripción se reanuda sola
+ *       en esa fecha.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha futura de reanudación automática
+ *     responses:
+ *       200:
+ *         description: Suscripción pausada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 subscription:
+ *                   type: object
+ *                   properties:
+ *                     planType:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     pausedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     resumesAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       400:
+ *         description: Fecha de reanudación inválida o plan FREE
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada
+ *       409:
+ *         description: La suscripción no está activa
+ *       500:
+ *         description: Error del servidor
+ */
+router.post(
+  '/subscription/pause',
+  verifyToken,
+  subscriptionController.pauseSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/subscription/resume:
+ *   post:
+ *     summary: Reanudar una suscripción pausada
+ *     description: |
+ *       Reanuda el cobro en Stripe y restaura en SPACE el plan y los add-ons
+ *       activos.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suscripción reanudada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 subscription:
+ *                   type: object
+ *                   properties:
+ *                     planType:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     activeAddOns:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     currentPeriodEnd:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada
+ *       409:
+ *         description: La suscripción no está pausada
+ *       500:
+ *         description: Error del servidor
+ */
+router.post(
+  '/subscription/resume',
+  verifyToken,
+  subscriptionController.resumeSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/subscription/pending-change:
+ *   get:
+ *     summary: Obtener el cambio de plan pendiente (downgrade programado)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cambio pendiente (null si no hay ninguno)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pendingChange:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     effectiveDate:
+ *                       type: string
+ *                       format: date-time
+ *                     scheduleId:
+ *                       type: string
+ *                     addOnsToRemove:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: AddOns que se eliminarán al aplicarse el cambio
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada
+ *       500:
+ *         description: Error del servidor
+ *   delete:
+ *     summary: Cancelar el cambio de plan pendiente
+ *     description: Libera el subscription schedule de Stripe. Se mantiene el plan actual y sus AddOns.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cambio pendiente cancelado (canceledChange incluye los AddOns que se habrían eliminado)
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Suscripción no encontrada o sin cambio pendiente
+ *       500:
+ *         description: Error del servidor
+ */
+router.get(
+  '/subscription/pending-change',
+  verifyToken,
+  subscriptionController.getPendingPlanChange
+);
+
+router.delete(
+  '/subscription/pending-change',
+  verifyToken,
+  subscriptionController.cancelPendingPlanChange
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/entitlements:
+ *   get:
+ *     summary: Obtener las features y límites efectivos del usuario
+ *     description: |
+ *       Combina las features y límites del plan con los de los AddOns activos.
+ *       Si la suscripción está pausada, suspendida, cancelada o bajada por
+ *       impago se aplican los de FREE, igual que en SPACE.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Features y límites efectivos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 plan:
+ *                   type: string
+ *                   description: Plan que se aplica (FREE si la suscripción no da derecho a su plan)
+ *                 subscribedPlan:
+ *                   type: string
+ *                   description: Plan contratado
+ *                 status:
+ *                   type: string
+ *                   description: Estado de la suscripción ('none' si no tiene)
+ *                 restricted:
+ *                   type: boolean
+ *                   description: true si se aplica FREE en lugar del plan contratado (pausa, suspensión o impago)
+ *                 addOns:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 features:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: boolean
+ *                 usageLimits:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                     nullable: true
+ *                   description: Límites de uso (null significa sin límite)
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get('/entitlements', verifyToken, getMyEntitlements);
+
 /**
  * @swagger
  * /api/v1/payments/webhook:
@@ -379,4 +779,68 @@ router.post(
   subscriptionController.createFreeContract
 );
 
+/**
+ * @swagger
+ * /api/v1/payments/internal/entitlements/{userId}:
+ *   get:
+ *     summary: Obtener las features y límites efectivos de un usuario
+ *     description: |
+ *       Para que otros servicios apliquen los límites sin consultar a SPACE.
+ *       Un usuario sin suscripción recibe los de FREE.
+ *     tags: [Payments]
+ *     security:
+ *       - internalAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Features y límites efectivos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 plan:
+ *                   type: string
+ *                   description: Plan que se aplica (FREE si la suscripción no da derecho a su plan)
+ *                 subscribedPlan:
+ *                   type: string
+ *                   description: Plan contratado
+ *                 status:
+ *                   type: string
+ *                   description: Estado de la suscripción ('none' si no tiene)
+ *                 restricted:
+ *                   type: boolean
+ *                   description: true si se aplica FREE en lugar del plan contratado (pausa, suspensión o impago)
+ *                 addOns:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 features:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: boolean
+ *                 usageLimits:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                     nullable: true
+ *                   description: Límites de uso (null significa sin límite)
+ *       401:
+ *         description: Internal API key inválida
+ *       500:
+ *         description: Error del servidor
+ */
+router.get(
+  '/internal/entitlements/:userId',
+  requireInternalApiKey,
+  getUserEntitlementsInternal
+);
+
 export default router;
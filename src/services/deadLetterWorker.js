@@ -0,0 +1,167 @@
+import logger from '../../logger.js';
+import DeadLetterEvent from '../models/DeadLetterEvent.js';
+import { processEvent } from './kafkaConsumer.js';
+import { isTransientError } from '../utils/eventErrors.js';
+
+const POLL_INTERVAL = Number(process.env.DLQ_POLL_INTERVAL || 5000);
+const BATCH_SIZE = Number(process.env.DLQ_BATCH_SIZE || 10);
+const MAX_ATTEMPTS = Number(process.env.DLQ_MAX_ATTEMPTS || 5);
+const RETRY_BASE_DELAY = Number(process.env.DLQ_RETRY_BASE_DELAY || 30000);
+const RETRY_MAX_DELAY = Number(
+  process.env.DLQ_RETRY_MAX_DELAY || 6 * 60 * 60 * 1000
+);
+// Un evento en 'processing' más tiempo que esto se considera abandonado
+const LOCK_TIMEOUT = Number(process.env.DLQ_LOCK_TIMEOUT || 10 * 60 * 1000);
+
+let timer = null;
+let running = false;
+let currentBatch = null;
+
+/**
+ * Calcular el retraso antes del siguiente intento (backoff exponencial)
+ *
+ * @param {number} attempts - Intentos realizados hasta ahora
+ * @returns {number} Retraso en milisegundos
+ */
+export function getDeadLetterRetryDelay(attempts) {
+  const delay = RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, RETRY_MAX_DELAY);
+}
+
+/**
+ * Reclamar el siguiente evento listo para reprocesar
+ * La actualización es atómica, por lo que varias instancias del servicio
+ * pueden ejecutar el worker a la vez sin reprocesar dos veces el mismo evento.
+ */
+async function claimNextEvent() {
+  const now = new Date();
+
+  return DeadLetterEvent.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: { $in: ['pending', 'failed'] },
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) },
+        },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { receivedAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Reprocesar el siguiente evento de la DLQ
+ *
+ * @returns {Promise<Object|null>} Evento procesado o null si no había ninguno
+ */
+export async function processNextDeadLetter() {
+  const entry = await claimNextEvent();
+
+  if (!entry) {
+    return null;
+  }
+
+  try {
+    await processEvent(entry.payload);
+
+    entry.status = 'processed';
+    entry.processedAt = new Date();
+    entry.lastError = null;
+    entry.lockedAt = undefined;
+    await entry.save();
+
+    logger.info(`DLQ event ${entry._id} (${entry.eventType}) reprocessed`);
+  } catch (error) {
+    entry.lastError = error.message;
+    entry.lockedAt = undefined;
+
+    // Un error permanente no se soluciona reintentando
+    if (entry.attempts >= MAX_ATTEMPTS || !isTransientError(error)) {
+      entry.status = 'dead';
+      logger.error(
+        `DLQ event ${entry._id} (${entry.eventType}) marked as dead after ${entry.attempts} attempts: ${error.message}`
+      );
+    } else {
+      const delay = getDeadLetterRetryDelay(entry.attempts);
+      entry.status = 'failed';
+      entry.nextAttemptAt = new Date(Date.now() + delay);
+      logger.warn(
+        `DLQ event ${entry._id} (${entry.eventType}) failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}), retrying in ${delay / 1000}s: ${error.message}`
+      );
+    }
+
+    await entry.save();
+  }
+
+  return entry;
+}
+
+/**
+ * Reprocesar un lote de eventos pendientes
+ *
+ * @param {number} limit - Número máximo de eventos a procesar
+ * @returns {Promise<number>} Número de eventos procesados
+ */
+export async function processDeadLetterBatch(limit = BATCH_SIZE) {
+  let processed = 0;
+
+  while (processed < limit) {
+    const entry = await processNextDeadLetter();
+    if (!entry) break;
+    processed++;
+  }
+
+  return processed;
+}
+
+/**
+ * Iniciar el worker de reprocesado de la DLQ
+ */
+export function startDeadLetterWorker() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(`DLQ worker started (poll interval: ${POLL_INTERVAL / 1000}s)`);
+
+  const tick = async () => {
+    currentBatch = processDeadLetterBatch().catch((error) => {
+      logger.error(`DLQ worker error: ${error.message}`);
+    });
+    await currentBatch;
+    currentBatch = null;
+
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Detener el worker esperando a que termine el lote en curso
+ */
+export async function stopDeadLetterWorker() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentBatch) {
+    await currentBatch;
+  }
+
+  logger.info('DLQ worker stopped');
+}
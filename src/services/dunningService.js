@@ -0,0 +1,165 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import { notifyUser } from './notificationService.js';
+import { withOutbox, createSpaceContractEntry } from './outboxService.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+import {
+  DUNNING_POLICY,
+  getDueReminderCount,
+  isGracePeriodOver,
+  getGracePeriodEnd,
+} from '../config/dunning.config.js';
+
+/**
+ * Registrar un pago fallido en el estado de dunning de la suscripción
+ * El periodo de gracia empieza con el primer fallo; los reintentos de Stripe
+ * no lo reinician. No guarda el documento.
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} invoice - Factura de Stripe que no se pudo cobrar
+ */
+export const startDunning = (subscription, invoice) => {
+  if (!subscription.isInDunning()) {
+    subscription.dunning = {
+      startedAt: new Date(),
+      failedAttempts: 0,
+      remindersSent: 0,
+    };
+    logger.info(
+      `Dunning started for user ${subscription.userId}, grace period ends ${getGracePeriodEnd(subscription.dunning.startedAt).toISOString()}`
+    );
+  }
+
+  // attempt_count evita contar dos veces un mismo evento reprocesado
+  subscription.dunning.failedInvoiceId = invoice.id;
+  subscription.dunning.failedAttempts =
+    invoice.attempt_count || (subscription.dunning.failedAttempts || 0) + 1;
+};
+
+/**
+ * Avanzar el dunning de una suscripción: enviar el recordatorio pendiente y
+ * bajar a FREE en SPACE si terminó el periodo de gracia.
+ * Las actualizaciones son condicionales, así que el webhook y el worker (o
+ * varias instancias) pueden ejecutarlo a la vez sin duplicar acciones.
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} { reminderSent, downgraded }
+ */
+export const advanceDunning = async (subscription, now = new Date()) => {
+  const result = { reminderSent: false, downgraded: false };
+  const { dunning } = subscription;
+
+  if (!subscription.isInDunning() || dunning.downgradedAt) {
+    return result;
+  }
+
+  const gracePeriodEnd = getGracePeriodEnd(dunning.startedAt);
+
+  if (isGracePeriodOver(dunning.startedAt, now)) {
+    // La bajada de SPACE se guarda en el outbox junto con la marca: si SPACE
+    // falla, el relay la reintenta
+    const claimed = await withOutbox(
+      (session) =>
+        Subscription.updateOne(
+          { _id: subscription._id, 'dunning.downgradedAt': null },
+          { $set: { 'dunning.downgradedAt': now } },
+          { session }
+        ),
+      ({ modifiedCount }) =>
+        modifiedCount > 0
+          ? [
+              createSpaceContractEntry(subscription, {
+                plan: FREE_PLAN,
+                addOns: [],
+              }),
+            ]
+          : []
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return result;
+    }
+
+    dunning.downgradedAt = now;
+    result.downgraded = true;
+    logger.warn(
+      `User ${subscription.userId} downgraded to FREE after ${DUNNING_POLICY.gracePeriodDays} days unpaid`
+    );
+
+    await notifyUser('SUBSCRIPTION_DOWNGRADED', subscription, {
+      planType: subscription.planType,
+      reason: 'payment_overdue',
+      invoiceId: dunning.failedInvoiceId,
+    });
+    return result;
+  }
+
+  const sent = dunning.remindersSent || 0;
+  const due = getDueReminderCount(dunning.startedAt, now);
+
+  // Si se acumulan varios recordatorios (worker parado) solo se envía uno
+  if (due > sent) {
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, 'dunning.remindersSent': sent },
+      { $set: { 'dunning.remindersSent': due, 'dunning.lastReminderAt': now } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return result;
+    }
+
+    dunning.remindersSent = due;
+    dunning.lastReminderAt = now;
+    result.reminderSent = true;
+
+    await notifyUser('PAYMENT_REMINDER', subscription, {
+      planType: subscription.planType,
+      invoiceId: dunning.failedInvoiceId,
+      reminder: due,
+      totalReminders: DUNNING_POLICY.reminderDays.length,
+      downgradeAt: gracePeriodEnd.toISOString(),
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Cerrar el dunning tras un pago recuperado
+ * No guarda el documento: si devuelve true, quien llama debe guardarlo con
+ * la entrada de outbox que restaura el plan y los add-ons en SPACE.
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @returns {Promise<boolean>} true si hay que restaurar el contrato de SPACE
+ */
+export const resolveDunning = async (subscription) => {
+  if (!subscription.isInDunning()) {
+    return false;
+  }
+
+  // Una cuenta suspendida sigue en FREE: SPACE se restaura al levantarla
+  const restore =
+    Boolean(subscription.dunning.downgradedAt) && !subscription.isSuspended();
+
+  if (restore) {
+    logger.info(
+      `Restoring SPACE contract to ${subscription.planType} for user ${subscription.userId} after payment recovery`
+    );
+  }
+
+  subscription.dunning = undefined;
+
+  await notifyUser('PAYMENT_RECOVERED', subscription, {
+    planType: subscription.planType,
+    restored: restore,
+  });
+
+  return restore;
+};
+
+export default {
+  startDunning,
+  advanceDunning,
+  resolveDunning,
+};
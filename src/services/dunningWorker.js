@@ -0,0 +1,98 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import { advanceDunning } from './dunningService.js';
+
+const CHECK_INTERVAL = Number(
+  process.env.DUNNING_CHECK_INTERVAL || 60 * 60 * 1000
+);
+const BATCH_SIZE = Number(process.env.DUNNING_BATCH_SIZE || 100);
+
+let timer = null;
+let running = false;
+let currentRun = null;
+
+/**
+ * Revisar las suscripciones impagadas y avanzar su dunning
+ *
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} { checked, reminders, downgrades }
+ */
+export async function processDunning(now = new Date()) {
+  const summary = { checked: 0, reminders: 0, downgrades: 0 };
+
+  const subscriptions = await Subscription.find({
+    status: { $in: ['past_due', 'unpaid'] },
+    'dunning.startedAt': { $ne: null },
+    'dunning.downgradedAt': null,
+  })
+    .sort({ 'dunning.startedAt': 1 })
+    .limit(BATCH_SIZE);
+
+  for (const subscription of subscriptions) {
+    summary.checked++;
+
+    try {
+      const result = await advanceDunning(subscription, now);
+      if (result.reminderSent) summary.reminders++;
+      if (result.downgraded) summary.downgrades++;
+    } catch (error) {
+      logger.error(
+        `Dunning failed for user ${subscription.userId}: ${error.message}`
+      );
+    }
+  }
+
+  if (summary.reminders > 0 || summary.downgrades > 0) {
+    logger.info(
+      `Dunning run: ${summary.checked} checked, ${summary.reminders} reminders, ${summary.downgrades} downgrades`
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Iniciar el job periódico de dunning
+ */
+export function startDunningWorker() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(
+    `Dunning worker started (check interval: ${CHECK_INTERVAL / 1000}s)`
+  );
+
+  const tick = async () => {
+    currentRun = processDunning().catch((error) => {
+      logger.error(`Dunning worker error: ${error.message}`);
+    });
+    await currentRun;
+    currentRun = null;
+
+    if (running) {
+      timer = setTimeout(tick, CHECK_INTERVAL);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Detener el job de dunning esperando a que termine la ejecución en curso
+ */
+export async function stopDunningWorker() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentRun) {
+    await currentRun;
+  }
+
+  logger.info('Dunning worker stopped');
+}
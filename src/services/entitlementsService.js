@@ -0,0 +1,62 @@
+import Subscription from '../models/Subscription.js';
+import { getEntitledSpaceContract } from './spaceContractService.js';
+import { FREE_PLAN, getEffectiveEntitlements } from '../config/plans.config.js';
+
+/**
+ * Serializar los límites de uso para JSON
+ * JSON no representa Infinity: los límites ilimitados se devuelven como null
+ * (igual que en los eventos de payments-events).
+ *
+ * @param {Object} usageLimits - Límites de uso (pueden ser Infinity)
+ * @returns {Object} Límites con null en lugar de Infinity
+ */
+export const serializeUsageLimits = (usageLimits) =>
+  Object.fromEntries(
+    Object.entries(usageLimits).map(([limit, value]) => [
+      limit,
+      Number.isFinite(value) ? value : null,
+    ])
+  );
+
+/**
+ * Calcular las features y límites efectivos de una suscripción
+ * Son los del contrato que aplica SPACE: el plan y los add-ons activos, o FREE
+ * sin add-ons si la suscripción no da derecho a su plan (pausada, suspendida,
+ * cancelada, bajada por impago o con una disputa abierta). Sin suscripción se
+ * aplica FREE.
+ *
+ * @param {Object|null} subscription - Documento de suscripción de MongoDB
+ * @returns {Promise<Object>} { plan, subscribedPlan, status, restricted, addOns, features, usageLimits }
+ */
+export const getSubscriptionEntitlements = async (subscription) => {
+  const { plan, addOns } = await getEntitledSpaceContract(subscription);
+  const entitlements = getEffectiveEntitlements(plan, addOns);
+
+  return {
+    plan,
+    subscribedPlan: subscription?.planType || FREE_PLAN,
+    status: subscription?.status || 'none',
+    restricted: Boolean(subscription) && plan !== subscription.planType,
+    addOns: entitlements.addOns,
+    features: entitlements.features,
+    usageLimits: serializeUsageLimits(entitlements.usageLimits),
+  };
+};
+
+/**
+ * Obtener las features y límites efectivos de un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} Entitlements (ver getSubscriptionEntitlements)
+ */
+export const getUserEntitlements = async (userId) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  return { userId, ...(await getSubscriptionEntitlements(subscription)) };
+};
+
+export default {
+  serializeUsageLimits,
+  getSubscriptionEntitlements,
+  getUserEntitlements,
+};
@@ -0,0 +1,76 @@
+import logger from '../../logger.js';
+import { createKafkaEventBus } from './kafkaEventBus.js';
+import { createInMemoryEventBus } from './inMemoryEventBus.js';
+
+/**
+ * Bus de eventos del servicio
+ *
+ * Abstrae el broker para que consumidores y productores no dependan de Kafka.
+ * Todos los adaptadores implementan la misma interfaz:
+ * - connect(): Promise
+ * - publish(topic, messages): Promise - messages: [{ key, value, headers }]
+ * - subscribe(topic, handler, { groupId, fromBeginning }): Promise
+ *   handler recibe { topic, partition, offset, key, value, headers, heartbeat }
+ *   con value y headers como texto
+ * - isConnected(): Promise<boolean>
+ * - getStatus(): Promise<{ connected, consumers }> - por consumidor: groupId,
+ *   topic, running y por partición lastOffset, lastProcessedAt y lag
+ * - disconnect(): Promise - espera a los mensajes en curso
+ *
+ * Adaptadores (EVENT_BUS_ADAPTER): 'kafka' (por defecto) y 'memory'.
+ */
+
+const ADAPTERS = {
+  kafka: createKafkaEventBus,
+  memory: createInMemoryEventBus,
+};
+
+let eventBus = null;
+
+/**
+ * Obtener el bus de eventos configurado
+ * Se crea la primera vez que se usa, no al importar el módulo.
+ *
+ * @returns {Object} Bus de eventos
+ */
+export function getEventBus() {
+  if (!eventBus) {
+    const adapter = process.env.EVENT_BUS_ADAPTER || 'kafka';
+    const createEventBus = ADAPTERS[adapter];
+
+    if (!createEventBus) {
+      throw new Error(
+        `Unknown EVENT_BUS_ADAPTER "${adapter}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`
+      );
+    }
+
+    eventBus = createEventBus();
+    logger.info(`Event bus adapter: ${eventBus.name}`);
+  }
+
+  return eventBus;
+}
+
+/**
+ * Sustituir el bus de eventos (tests)
+ *
+ * @param {Object|null} bus - Bus a usar; null para volver al configurado
+ */
+export function setEventBus(bus) {
+  eventBus = bus;
+}
+
+/**
+ * Desconectar el bus de eventos si se llegó a crear
+ */
+export async function disconnectEventBus() {
+  if (eventBus) {
+    await eventBus.disconnect();
+  }
+}
+
+export default {
+  getEventBus,
+  setEventBus,
+  disconnectEventBus,
+};
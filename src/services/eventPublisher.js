@@ -0,0 +1,122 @@
+import { randomUUID } from 'crypto';
+import logger from '../../logger.js';
+import { isKafkaEnabled } from './kafkaConsumer.js';
+import { getEffectiveEntitlements } from '../config/plans.config.js';
+
+const PAYMENTS_EVENTS_TOPIC =
+  process.env.KAFKA_PAYMENTS_EVENTS_TOPIC || 'payments-events';
+
+const EVENT_SOURCE = 'payments-and-suscriptions';
+
+/**
+ * Versión del formato de los eventos de pagos
+ * Se incrementa solo con cambios incompatibles en el payload.
+ */
+export const PAYMENTS_EVENT_VERSION = 1;
+
+/**
+ * Tipos de eventos de dominio publicados en payments-events
+ */
+export const PAYMENTS_EVENT_TYPES = Object.freeze({
+  SUBSCRIPTION_CREATED: 'SUBSCRIPTION_CREATED',
+  PLAN_UPGRADED: 'PLAN_UPGRADED',
+  PLAN_DOWNGRADE_SCHEDULED: 'PLAN_DOWNGRADE_SCHEDULED',
+  PLAN_DOWNGRADED: 'PLAN_DOWNGRADED',
+  ADDON_PURCHASED: 'ADDON_PURCHASED',
+  ADDON_CANCELED: 'ADDON_CANCELED',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  SUBSCRIPTION_CANCELLATION_SCHEDULED: 'SUBSCRIPTION_CANCELLATION_SCHEDULED',
+  SUBSCRIPTION_CANCELED: 'SUBSCRIPTION_CANCELED',
+});
+
+/**
+ * Serializar valores que JSON no representa (Infinity se publica como null,
+ * es decir, sin límite)
+ */
+const jsonReplacer = (key, value) =>
+  typeof value === 'number' && !Number.isFinite(value) ? null : value;
+
+/**
+ * Construir el sobre (envelope) versionado de un evento de pagos
+ * Por defecto previousPlan y newPlan son el plan actual de la suscripción;
+ * los entitlements son siempre los vigentes (plan actual + AddOns activos).
+ *
+ * @param {string} type - Tipo de evento (PAYMENTS_EVENT_TYPES)
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} data - Datos del evento (previousPlan, newPlan y extras)
+ * @returns {Object} Evento listo para publicar
+ */
+export const buildPaymentsEvent = (type, subscription, data = {}) => {
+  const {
+    previousPlan = subscription.planType,
+    newPlan = subscription.planType,
+    ...details
+  } = data;
+
+  const activeAddOns = subscription.getActiveAddOnNames();
+
+  return {
+    eventId: randomUUID(),
+    type,
+    version: PAYMENTS_EVENT_VERSION,
+    source: EVENT_SOURCE,
+    occurredAt: new Date().toISOString(),
+    payload: {
+      userId: subscription.userId,
+      username: subscription.username,
+      previousPlan,
+      newPlan,
+      status: subscription.status,
+      activeAddOns,
+      entitlements: getEffectiveEntitlements(
+        subscription.planType,
+        activeAddOns
+      ),
+      ...details,
+    },
+  };
+};
+
+/**
+ * Crear la entrada de outbox que publicará un evento de dominio de pagos
+ * Se guarda junto al cambio de la suscripción (saveWithOutbox) y el relay la
+ * publica en Kafka. Devuelve null si Kafka está deshabilitado.
+ *
+ * @param {string} type - Tipo de evento (PAYMENTS_EVENT_TYPES)
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} data - Datos del evento (previousPlan, newPlan y extras)
+ * @returns {Object|null} Datos de la entrada de outbox
+ */
+export const createPaymentsEventEntry = (type, subscription, data = {}) => {
+  if (!isKafkaEnabled()) {
+    logger.info(
+      `Payments event ${type} for user ${subscription.userId} not published (Kafka disabled)`
+    );
+    return null;
+  }
+
+  const event = buildPaymentsEvent(type, subscription, data);
+
+  return {
+    kind: 'KAFKA_MESSAGE',
+    userId: subscription.userId,
+    payload: {
+      topic: PAYMENTS_EVENTS_TOPIC,
+      // La clave por usuario mantiene el orden de sus eventos
+      key: subscription.userId,
+      value: JSON.stringify(event, jsonReplacer),
+      headers: {
+        'event-id': event.eventId,
+        'event-type': type,
+        'event-version': String(PAYMENTS_EVENT_VERSION),
+      },
+    },
+  };
+};
+
+export default {
+  PAYMENTS_EVENT_TYPES,
+  PAYMENTS_EVENT_VERSION,
+  buildPaymentsEvent,
+  createPaymentsEventEntry,
+};
@@ -0,0 +1,128 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import * as stripeService from './stripeService.js';
+import * as spaceService from './spaceService.js';
+import {
+  createPaymentsEventEntry,
+  PAYMENTS_EVENT_TYPES,
+} from './eventPublisher.js';
+import { withOutbox } from './outboxService.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+
+/**
+ * Dar de alta el plan gratuito de un usuario
+ * Crea el contrato en SPACE, el customer y la suscripción de €0 en Stripe y el
+ * registro local de Subscription. Es idempotente: si el usuario ya tiene una
+ * suscripción en Stripe no se crea nada. El customer se guarda antes de crear
+ * la suscripción de Stripe, que usa una clave de idempotencia por usuario, para
+ * que un reintento tras un fallo parcial no genere un segundo customer ni una
+ * segunda suscripción.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - ID del usuario
+ * @param {string} params.username - Nombre de usuario
+ * @param {string} params.email - Email del usuario (opcional)
+ * @returns {Promise<Object>} { subscription, contract, created }
+ */
+export const provisionFreeContract = async ({ userId, username, email }) => {
+  const existing = await Subscription.findOne({ userId });
+
+  if (existing?.stripeSubscriptionId) {
+    logger.info(
+      `User ${userId} already has a subscription (${existing.planType}), skipping free contract`
+    );
+    return { subscription: existing, contract: null, created: false };
+  }
+
+  logger.info(`Creating free contract for user ${userId} (${username})`);
+
+  // 1. Crear contrato en SPACE
+  const contract = await spaceService.createSpaceContract({
+    userId,
+    username,
+    plan: FREE_PLAN,
+  });
+
+  logger.info(`✅ SPACE contract created for user ${userId}`);
+
+  // 2. Crear Customer en Stripe (o reutilizar el del registro local). Sin
+  // email no se inventa ninguno: USER_UPDATED lo completa después
+  const customerEmail = email || existing?.email;
+  let customerId = existing?.stripeCustomerId;
+  if (!customerId) {
+    const customer = await stripeService.getOrCreateCustomer(customerEmail, {
+      userId,
+      username,
+    });
+    customerId = customer.id;
+
+    // Guardar el customer antes de crear la suscripción: un reintento tras un
+    // fallo lo reutiliza y la clave de idempotencia sigue siendo válida
+    await Subscription.updateOne(
+      { userId },
+      {
+        $set: { username, email: customerEmail, stripeCustomerId: customerId },
+        $setOnInsert: { planType: FREE_PLAN, status: 'incomplete' },
+      },
+      { upsert: true }
+    );
+  }
+
+  logger.info(`✅ Stripe customer created/retrieved: ${customerId}`);
+
+  // 3. Crear suscripción gratuita en Stripe
+  const freePriceId = stripeService.getPriceIdForPlan(FREE_PLAN);
+  const stripeSubscription = await stripeService.createFreeSubscription({
+    customerId,
+    priceId: freePriceId,
+    metadata: {
+      userId,
+      username,
+      planType: FREE_PLAN,
+    },
+    idempotencyKey: `free-contract-${userId}`,
+  });
+
+  logger.info(`✅ Free Stripe subscription created: ${stripeSubscription.id}`);
+
+  // 4. Crear/Actualizar suscripción local en MongoDB con todos los datos
+  const subscription = await withOutbox(
+    (session) =>
+      Subscription.findOneAndUpdate(
+        { userId },
+        {
+          userId,
+          username,
+          email: customerEmail,
+          planType: FREE_PLAN,
+          status: 'active',
+          stripeCustomerId: customerId,
+          stripeSubscriptionId: stripeSubscription.id,
+          stripePriceId: freePriceId,
+          currentPeriodStart: new Date(
+            stripeSubscription.current_period_start * 1000
+          ),
+          currentPeriodEnd: new Date(
+            stripeSubscription.current_period_end * 1000
+          ),
+          cancelAtPeriodEnd: false,
+        },
+        { upsert: true, new: true, session }
+      ),
+    (created) => [
+      createPaymentsEventEntry(
+        PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CREATED,
+        created,
+        { previousPlan: null }
+      ),
+    ]
+  );
+
+  logger.info(`✅ Local subscription created in MongoDB for user ${userId}`);
+
+  return { subscription, contract, created: true };
+};
+
+export default {
+  provisionFreeContract,
+};
@@ -0,0 +1,135 @@
+import logger from '../../logger.js';
+
+/**
+ * Crear el adaptador en memoria del bus de eventos
+ * Pensado para tests y desarrollo local sin broker: cada topic es una lista de
+ * mensajes y publish entrega el mensaje a los suscriptores antes de resolver,
+ * por lo que un test puede esperar a que un flujo completo termine.
+ * Como en Kafka, cada groupId recibe todos los mensajes del topic y los
+ * errores de un suscriptor no llegan a quien publica.
+ *
+ * @returns {Object} Bus de eventos (ver eventBus.js) con getMessages y reset
+ */
+export function createInMemoryEventBus() {
+  const topics = new Map();
+  const subscribers = new Map();
+
+  const getTopic = (topic) => {
+    if (!topics.has(topic)) {
+      topics.set(topic, []);
+    }
+    return topics.get(topic);
+  };
+
+  const deliver = async (subscriber, message) => {
+    try {
+      await subscriber.handler({ ...message, heartbeat: async () => {} });
+      subscriber.lastOffset = message.offset;
+      subscriber.lastProcessedAt = new Date();
+    } catch (error) {
+      logger.error(
+        `In-memory consumer ${subscriber.groupId} failed on ${message.topic}: ${error.message}`
+      );
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async connect() {},
+
+    async publish(topic, messages) {
+      const log = getTopic(topic);
+
+      for (const { key = null, value, headers } of messages) {
+        const message = {
+          topic,
+          partition: 0,
+          offset: String(log.length),
+          key,
+          value: typeof value === 'string' ? value : String(value),
+          headers: Object.fromEntries(
+            Object.entries(headers || {}).map(([k, v]) => [k, String(v)])
+          ),
+        };
+        log.push(message);
+
+        for (const subscriber of subscribers.get(topic) || []) {
+          await deliver(subscriber, message);
+        }
+      }
+    },
+
+    async subscribe(topic, handler, { groupId, fromBeginning = true } = {}) {
+      const subscriber = {
+        groupId,
+        topic,
+        handler,
+        lastOffset: null,
+        lastProcessedAt: null,
+      };
+
+      if (!subscribers.has(topic)) {
+        subscribers.set(topic, []);
+      }
+      subscribers.get(topic).push(subscriber);
+
+      if (fromBeginning) {
+        for (const message of [...getTopic(topic)]) {
+          await deliver(subscriber, message);
+        }
+      }
+    },
+
+    async isConnected() {
+      return true;
+    },
+
+    async getStatus() {
+      // La entrega es síncrona con publish: nunca hay lag
+      const consumers = [...subscribers.values()]
+        .flat()
+        .map(({ groupId, topic, lastOffset, lastProcessedAt }) => ({
+          groupId,
+          topic,
+          running: true,
+          lastError: null,
+          partitions: [
+            {
+              partition: 0,
+              // Como en Kafka, el offset confirmado es el siguiente a leer
+              committedOffset:
+                lastOffset === null ? null : String(Number(lastOffset) + 1),
+              highWatermark: String(getTopic(topic).length),
+              lag: 0,
+              lastOffset,
+              lastProcessedAt,
+            },
+          ],
+        }));
+
+      return { connected: true, consumers };
+    },
+
+    async disconnect() {
+      subscribers.clear();
+    },
+
+    /**
+     * Mensajes publicados en un topic (para tests)
+     */
+    getMessages(topic) {
+      return [...getTopic(topic)];
+    },
+
+    /**
+     * Vaciar topics y suscripciones
+     */
+    reset() {
+      topics.clear();
+      subscribers.clear();
+    },
+  };
+}
+
+export default createInMemoryEventBus;
@@ -1,26 +1,99 @@
 import logger from '../../logger.js';
-import { Kafka } from 'kafkajs';
 import Subscription from '../models/Subscription.js';
+import DeadLetterEvent from '../models/DeadLetterEvent.js';
 import * as stripeService from './stripeService.js';
-import * as spaceService from './spaceService.js';
+import { provisionFreeContract } from './freeContractService.js';
+import { syncUserProfile } from './userProfileService.js';
+import { suspendUser, reinstateUser } from './suspensionService.js';
+import {
+  enqueueOutbox,
+  createSpaceContractDeleteEntry,
+} from './outboxService.js';
+import {
+  PermanentEventError,
+  EventValidationError,
+  isTransientError,
+} from '../utils/eventErrors.js';
+import { validateEvent } from '../config/eventSchemas.config.js';
+import { getEventBus, disconnectEventBus } from './eventBus.js';
 
-const kafka = new Kafka({
-  clientId: 'payments-and-suscriptions',
-  brokers: [process.env.KAFKA_BROKER || 'localhost:9092'],
-});
+const USERS_EVENTS_TOPIC = 'users-events';
+const DLQ_TOPIC = 'payments-interaction-dlq';
 
-const consumer = kafka.consumer({ groupId: 'payments-interaction-group' });
-const producer = kafka.producer();
+// Reintentos de cada mensaje antes de enviarlo a la DLQ. El total de esperas
+// debe quedar muy por debajo del sessionTimeout del consumidor (30s)
+const MESSAGE_MAX_ATTEMPTS = Number(
+  process.env.KAFKA_MESSAGE_MAX_ATTEMPTS || 4
+);
+const MESSAGE_RETRY_BASE_DELAY = Number(
+  process.env.KAFKA_MESSAGE_RETRY_BASE_DELAY || 500
+);
+const MESSAGE_RETRY_MAX_DELAY = Number(
+  process.env.KAFKA_MESSAGE_RETRY_MAX_DELAY || 5000
+);
 
-const admin = kafka.admin();
+// Se activa al parar el consumidor para cortar el bucle de reconexión
+let stopping = false;
 
 /**
  * Procesar evento de Kafka
+ * El evento se valida antes contra su esquema (tipo + versión); si no lo
+ * cumple se lanza un EventValidationError con el motivo, que acaba en la DLQ.
  */
-async function processEvent(event) {
+async function processEvent(rawEvent) {
+  const validation = validateEvent(rawEvent);
+
+  if (!validation.valid) {
+    throw new EventValidationError(validation.reason);
+  }
+
+  const { event } = validation;
   const data = event.payload;
 
   switch (event.type) {
+    case 'USER_CREATED': {
+      const { userId, username, email } = data;
+
+      logger.info(`Processing USER_CREATED for user ${userId}`);
+
+      const { created } = await provisionFreeContract({
+        userId,
+        username,
+        email,
+      });
+
+      logger.info(
+        created
+          ? `Successfully provisioned free plan for user ${userId}`
+          : `USER_CREATED for user ${userId} already processed, nothing to do`
+      );
+      break;
+    }
+
+    case 'USER_UPDATED': {
+      const { userId, username, email } = data;
+
+      logger.info(`Processing USER_UPDATED for user ${userId}`);
+      await syncUserProfile({ userId, username, email });
+      break;
+    }
+
+    case 'USER_BANNED': {
+      const { userId, reason } = data;
+
+      logger.info(`Processing USER_BANNED for user ${userId}`);
+      await suspendUser({ userId, reason });
+      break;
+    }
+
+    case 'USER_UNBANNED': {
+      const { userId } = data;
+
+      logger.info(`Processing USER_UNBANNED for user ${userId}`);
+      await reinstateUser({ userId });
+      break;
+    }
+
     case 'USER_DELETED':
       try {
         const userId = data.userId;
@@ -28,36 +101,52 @@ async function processEvent(event) {
 
         // Buscar todas las suscripciones del usuario
         const subscriptions = await Subscription.find({ userId });
-        logger.info(`Found ${subscriptions.length} subscriptions for user ${userId}`);
+        logger.info(
+          `Found ${subscriptions.length} subscriptions for user ${userId}`
+        );
 
         for (const subscription of subscriptions) {
           try {
-            // Cancelar suscripción en Stripe si existe
+            // Cancelar suscripción en Stripe si existe. Se comprueba antes
+            // su estado para que un reintento no falle al cancelarla otra vez
             if (subscription.stripeSubscriptionId) {
-              await stripeService.cancelSubscriptionImmediately(
-                subscription.stripeSubscriptionId,
+              const stripeSubscription = await stripeService.findSubscription(
+                subscription.stripeSubscriptionId
               );
-              logger.info(`Canceled Stripe subscription ${subscription.stripeSubscriptionId}`);
+              if (
+                stripeSubscription &&
+                stripeSubscription.status !== 'canceled'
+              ) {
+                await stripeService.cancelSubscriptionImmediately(
+                  subscription.stripeSubscriptionId
+                );
+                logger.info(
+                  `Canceled Stripe subscription ${subscription.stripeSubscriptionId}`
+                );
+              }
             }
 
             // Eliminar registro de la base de datos
             await Subscription.deleteOne({ _id: subscription._id });
-            logger.info(`Deleted subscription ${subscription._id} from database`);
+            logger.info(
+              `Deleted subscription ${subscription._id} from database`
+            );
           } catch (err) {
             logger.error(
               `Failed to delete subscription ${subscription._id} for user ${userId}:`,
               err.message
             );
+            // Stripe o MongoDB caídos: se reintenta el evento para no dejar
+            // cobrando la suscripción de un usuario eliminado
+            if (isTransientError(err)) {
+              throw err;
+            }
           }
         }
 
-        // Eliminar contrato en SPACE (fuera del loop, una sola vez por usuario)
-        try {
-          await spaceService.deleteSpaceContract(userId);
-          logger.info(`Deleted SPACE contract for user ${userId}`);
-        } catch (spaceError) {
-          logger.warn(`Failed to delete SPACE contract: ${spaceError.message}`);
-        }
+        // Eliminar contrato en SPACE (fuera del loop, una sola vez por usuario).
+        // Va por el outbox: si SPACE falla, el relay lo reintenta
+        await enqueueOutbox([createSpaceContractDeleteEntry(userId)]);
 
         logger.info(`Successfully processed USER_DELETED for user ${userId}`);
       } catch (error) {
@@ -67,77 +156,219 @@ async function processEvent(event) {
       break;
 
     default:
-      logger.warn('⚠ Unknown event detected:', event.type);
+      // Tipo con esquema registrado pero sin manejador
+      throw new PermanentEventError(`No handler for event type ${event.type}`);
+  }
+}
+
+/**
+ * Calcular la espera antes de reintentar un mensaje
+ * Backoff exponencial con jitter: la mitad del retraso es fija y la otra mitad
+ * aleatoria, para que varias instancias no reintenten a la vez.
+ *
+ * @param {number} attempt - Intento que acaba de fallar (empieza en 1)
+ * @param {Function} random - Generador de números en [0, 1)
+ * @returns {number} Retraso en milisegundos
+ */
+export function getMessageRetryDelay(attempt, random = Math.random) {
+  const delay = Math.min(
+    MESSAGE_RETRY_BASE_DELAY * 2 ** Math.max(attempt - 1, 0),
+    MESSAGE_RETRY_MAX_DELAY
+  );
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+/**
+ * Procesar un evento reintentando los errores transitorios
+ * Los errores permanentes se lanzan en el primer intento. El error lanzado
+ * lleva los datos de los reintentos (attempts, transient, firstFailureAt)
+ * para adjuntarlos al mensaje de la DLQ.
+ *
+ * @param {Object} event - Evento de Kafka
+ * @param {Function} heartbeat - heartbeat de kafkajs, evita que el consumidor
+ *   se dé por caído mientras espera (opcional)
+ */
+async function processEventWithRetry(event, heartbeat) {
+  let firstFailureAt = null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await processEvent(event);
+      return;
+    } catch (error) {
+      firstFailureAt = firstFailureAt || new Date();
+      const transient = isTransientError(error);
+
+      if (!transient || attempt >= MESSAGE_MAX_ATTEMPTS) {
+        error.attempts = attempt;
+        error.transient = transient;
+        error.firstFailureAt = firstFailureAt;
+        throw error;
+      }
+
+      const delay = getMessageRetryDelay(attempt);
+      logger.warn(
+        `Event ${event.type} failed (attempt ${attempt}/${MESSAGE_MAX_ATTEMPTS}), retrying in ${delay}ms: ${error.message}`
+      );
+      await new Promise((res) => setTimeout(res, delay));
+
+      if (heartbeat) {
+        await heartbeat();
+      }
+    }
   }
 }
 
 /**
  * Enviar evento fallido a Dead Letter Queue
+ * Las cabeceras describen los reintentos realizados y el mensaje original.
+ *
+ * @param {string} event - Mensaje original (texto)
+ * @param {Error} error - Último error al procesarlo
+ * @param {Object} source - { topic, partition, offset } del mensaje original
  */
-async function sendToDLQ(event, reason) {
+async function sendToDLQ(event, error, source = {}) {
+  const now = new Date().toISOString();
+
   try {
-    await producer.send({
-      topic: 'payments-interaction-dlq',
-      messages: [
-        {
-          value: JSON.stringify({
-            originalEvent: event,
-            error: reason,
-            timestamp: new Date().toISOString(),
-          }),
+    await getEventBus().publish(DLQ_TOPIC, [
+      {
+        value: JSON.stringify({
+          originalEvent: event,
+          error: error.message,
+          timestamp: now,
+        }),
+        headers: {
+          'retry-attempts': String(error.attempts || 1),
+          'error-type': isTransientError(error) ? 'transient' : 'permanent',
+          'error-name': error.name || 'Error',
+          'original-topic': String(source.topic ?? ''),
+          'original-partition': String(source.partition ?? ''),
+          'original-offset': String(source.offset ?? ''),
+          'first-failure-at': (
+            error.firstFailureAt || new Date(now)
+          ).toISOString(),
+          'last-failure-at': now,
         },
-      ],
-    });
-    logger.warn(`Event sent to DLQ: ${event.type}, reason: ${reason}`);
+      },
+    ]);
+    logger.warn(
+      `Event sent to DLQ after ${error.attempts || 1} attempt(s), reason: ${error.message}`
+    );
   } catch (err) {
     logger.error('Failed to send event to DLQ:', err);
   }
 }
 
+/**
+ * Procesar un mensaje de users-events
+ * Los eventos que fallan tras los reintentos se envían a la DLQ.
+ *
+ * @param {Object} message - Mensaje del bus de eventos
+ */
+export async function handleUserEventMessage({
+  topic,
+  partition,
+  offset,
+  value,
+  heartbeat,
+}) {
+  try {
+    // Un JSON inválido (SyntaxError) es un error permanente
+    const event = JSON.parse(value);
+    logger.debug(`Received event from ${topic}:`, event.type);
+    await processEventWithRetry(event, heartbeat);
+  } catch (err) {
+    logger.error('Error processing message:', err, 'Message:', value);
+    await sendToDLQ(value, err, { topic, partition, offset });
+  }
+}
+
+/**
+ * Guardar un mensaje de la DLQ para que deadLetterWorker lo reprocese
+ * Los eventos con error permanente se guardan como 'dead' y solo se
+ * reprocesan manualmente (replay). Si el evento no se puede guardar (p.ej.
+ * MongoDB caído) el error se propaga y Kafka vuelve a entregar el mensaje;
+ * los duplicados se ignoran.
+ *
+ * @param {Object} message - Mensaje del bus de eventos
+ */
+export async function handleDeadLetterMessage({
+  topic,
+  partition,
+  offset,
+  value,
+  headers,
+}) {
+  const { entry, duplicate } = await DeadLetterEvent.enqueue(
+    `${topic}:${partition}:${offset}`,
+    value,
+    headers
+  );
+
+  if (!duplicate) {
+    logger.info(
+      `DLQ event stored for reprocessing: ${entry._id} (${entry.eventType}, ${entry.status})`
+    );
+  }
+}
+
 /**
  * Iniciar consumidor de Kafka
+ * Se suscribe a users-events y a la DLQ (con un grupo aparte) a través del
+ * bus de eventos.
  */
 export async function startKafkaConsumer() {
   const MAX_RETRIES = Number(process.env.KAFKA_CONNECTION_MAX_RETRIES || 5);
   const RETRY_DELAY = Number(process.env.KAFKA_CONNECTION_RETRY_DELAY || 5000);
   const COOLDOWN_AFTER_FAIL = Number(process.env.KAFKA_COOLDOWN || 30000);
 
+  const eventBus = getEventBus();
+  const subscriptions = [
+    {
+      topic: USERS_EVENTS_TOPIC,
+      handler: handleUserEventMessage,
+      groupId: 'payments-interaction-group',
+    },
+    {
+      topic: DLQ_TOPIC,
+      handler: handleDeadLetterMessage,
+      groupId: 'payments-interaction-dlq-group',
+    },
+  ];
+  // Un reintento no vuelve a suscribir los topics que ya tienen consumidor
+  const subscribed = new Set();
   let attempt = 1;
+  stopping = false;
 
-  while (true) {
+  while (!stopping) {
     try {
       logger.info(`Connecting to Kafka... (Attempt ${attempt}/${MAX_RETRIES})`);
-      await consumer.connect();
-      await producer.connect();
-      
-      // Suscribirse al topic de usuarios
-      await consumer.subscribe({ topic: 'users-events', fromBeginning: true });
+      await eventBus.connect();
 
-      logger.info('✅ Kafka connected & listening to users-events');
+      for (const { topic, handler, groupId } of subscriptions) {
+        if (subscribed.has(topic)) {
+          continue;
+        }
 
-      await consumer.run({
-        eachMessage: async ({ topic, message }) => {
-          try {
-            const event = JSON.parse(message.value.toString());
-            logger.debug(`Received event from ${topic}:`, event.type);
-            await processEvent(event);
-          } catch (err) {
-            logger.error(
-              'Error processing message:',
-              err,
-              'Message:',
-              message.value.toString()
-            );
-            await sendToDLQ(message.value.toString(), err.message);
-          }
-        },
-      });
+        await eventBus.subscribe(topic, handler, {
+          groupId,
+          fromBeginning: true,
+        });
+        subscribed.add(topic);
+
+        logger.info(`✅ Kafka listening to ${topic}`);
+      }
 
       attempt = 1;
       break;
     } catch (err) {
       logger.error(`Kafka connection failed: ${err.message}`);
 
+      if (stopping) {
+        break;
+      }
+
       if (attempt >= MAX_RETRIES) {
         logger.warn(
           `Max retries reached. Cooling down for ${COOLDOWN_AFTER_FAIL / 1000}s before trying again...`
@@ -154,19 +385,35 @@ export async function startKafkaConsumer() {
 }
 
 /**
- * Verificar si Kafka está conectado
+ * Parar el consumidor de Kafka
+ * Deja de reintentar la conexión y desconecta el bus: los consumidores
+ * terminan los mensajes en curso y después se cierra el productor.
  */
-export async function isKafkaConnected() {
+export async function stopKafkaConsumer() {
+  stopping = true;
+
   try {
-    await admin.connect();
-    await admin.describeCluster();
-    await admin.disconnect();
-    return true;
-  } catch (err) {
-    return false;
+    await disconnectEventBus();
+    logger.info('Kafka consumer and producer disconnected');
+  } catch (error) {
+    logger.error(`Error disconnecting from Kafka: ${error.message}`);
   }
 }
 
+/**
+ * Verificar si Kafka está conectado
+ */
+export async function isKafkaConnected() {
+  return getEventBus().isConnected();
+}
+
+/**
+ * Estado de los consumidores: conexión, running y lag por partición
+ */
+export async function getKafkaConsumerStatus() {
+  return getEventBus().getStatus();
+}
+
 /**
  * Verificar si Kafka está habilitado
  */
@@ -174,4 +421,4 @@ export function isKafkaEnabled() {
   return process.env.ENABLE_KAFKA?.toLowerCase() === 'true';
 }
 
-export { consumer, producer, processEvent };
+export { processEvent, processEventWithRetry };
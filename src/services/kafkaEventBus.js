@@ -0,0 +1,243 @@
+import { Kafka } from 'kafkajs';
+import logger from '../../logger.js';
+
+/**
+ * Convertir las cabeceras de kafkajs (Buffers) a texto
+ */
+const decodeHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key, value?.toString()])
+  );
+
+/**
+ * Calcular el lag de un consumidor por partición
+ * lag = último offset del topic (high watermark) - offset confirmado del
+ * grupo. Si el grupo aún no ha confirmado nada (-1), se cuenta desde el
+ * primer offset disponible.
+ */
+const computeLag = (topicOffsets, groupOffsets) => {
+  const committed = new Map(
+    groupOffsets.map(({ partition, offset }) => [partition, Number(offset)])
+  );
+
+  return topicOffsets.map(({ partition, high, low }) => {
+    const offset = committed.get(partition) ?? -1;
+    const start = offset >= 0 ? offset : Number(low);
+
+    return {
+      partition,
+      committedOffset: offset >= 0 ? String(offset) : null,
+      highWatermark: high,
+      lag: Math.max(Number(high) - start, 0),
+    };
+  });
+};
+
+/**
+ * Crear el adaptador de Kafka del bus de eventos
+ * El cliente se crea al llamar a esta función (no al importar el módulo); el
+ * productor y el cliente de administración se conectan la primera vez que se
+ * usan y se reutilizan.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - clientId de Kafka
+ * @param {string[]} options.brokers - Brokers de Kafka
+ * @returns {Object} Bus de eventos (ver eventBus.js)
+ */
+export function createKafkaEventBus({
+  clientId = 'payments-and-suscriptions',
+  brokers = [process.env.KAFKA_BROKER || 'localhost:9092'],
+} = {}) {
+  const kafka = new Kafka({ clientId, brokers });
+  const producer = kafka.producer();
+  const admin = kafka.admin();
+  const consumers = [];
+  let producerConnection = null;
+  let adminConnection = null;
+
+  // Conectar una sola vez; si falla, el siguiente uso lo vuelve a intentar
+  const connectOnce = (client, getConnection, setConnection) => {
+    if (!getConnection()) {
+      setConnection(
+        client.connect().catch((error) => {
+          setConnection(null);
+          throw error;
+        })
+      );
+    }
+    return getConnection();
+  };
+
+  const ensureProducer = () =>
+    connectOnce(
+      producer,
+      () => producerConnection,
+      (connection) => (producerConnection = connection)
+    );
+
+  const ensureAdmin = () =>
+    connectOnce(
+      admin,
+      () => adminConnection,
+      (connection) => (adminConnection = connection)
+    );
+
+  return {
+    name: 'kafka',
+
+    async connect() {
+      await ensureProducer();
+    },
+
+    async publish(topic, messages) {
+      await ensureProducer();
+      await producer.send({ topic, messages });
+    },
+
+    async subscribe(topic, handler, { groupId, fromBeginning = true } = {}) {
+      const consumer = kafka.consumer({ groupId });
+      const state = {
+        consumer,
+        groupId,
+        topic,
+        running: false,
+        lastError: null,
+        partitions: new Map(),
+      };
+
+      consumer.on(consumer.events.GROUP_JOIN, () => {
+        state.running = true;
+      });
+      consumer.on(consumer.events.STOP, () => {
+        state.running = false;
+      });
+      consumer.on(consumer.events.CRASH, ({ payload }) => {
+        state.running = payload.restart;
+        state.lastError = payload.error?.message || null;
+      });
+
+      // Si falla se desconecta el consumidor: un reintento crea otro y no
+      // debe quedar uno huérfano en el grupo
+      try {
+        await consumer.connect();
+        await consumer.subscribe({ topic, fromBeginning });
+
+        await consumer.run({
+          eachMessage: async ({ partition, message, heartbeat }) => {
+            await handler({
+              topic,
+              partition,
+              offset: message.offset,
+              key: message.key?.toString() ?? null,
+              value: message.value?.toString() ?? '',
+              headers: decodeHeaders(message.headers),
+              heartbeat,
+            });
+
+            state.partitions.set(partition, {
+              lastOffset: message.offset,
+              lastProcessedAt: new Date(),
+            });
+          },
+        });
+      } catch (error) {
+        await consumer.disconnect().catch(() => {});
+        throw error;
+      }
+
+      state.running = true;
+      consumers.push(state);
+      logger.info(`Kafka consumer ${groupId} subscribed to ${topic}`);
+    },
+
+    async isConnected() {
+      try {
+        await ensureAdmin();
+        await admin.describeCluster();
+        return true;
+      } catch {
+        // Forzar una nueva conexión en la siguiente comprobación
+        await admin.disconnect().catch(() => {});
+        adminConnection = null;
+        return false;
+      }
+    },
+
+    async getStatus() {
+      const connected = await this.isConnected();
+
+      const status = await Promise.all(
+        consumers.map(async (state) => {
+          let partitions = [];
+
+          if (connected) {
+            try {
+              const [topicOffsets, [groupOffsets]] = await Promise.all([
+                admin.fetchTopicOffsets(state.topic),
+                admin.fetchOffsets({
+                  groupId: state.groupId,
+                  topics: [state.topic],
+                }),
+              ]);
+              partitions = computeLag(
+                topicOffsets,
+                groupOffsets?.partitions || []
+              );
+            } catch (error) {
+              logger.warn(
+                `Failed to fetch lag for ${state.groupId}: ${error.message}`
+              );
+            }
+          }
+
+          // Añadir lo procesado por esta instancia
+          const partitionIds = new Set([
+            ...partitions.map(({ partition }) => partition),
+            ...state.partitions.keys(),
+          ]);
+
+          return {
+            groupId: state.groupId,
+            topic: state.topic,
+            running: state.running,
+            lastError: state.lastError,
+            partitions: [...partitionIds]
+              .sort((a, b) => a - b)
+              .map((partition) => ({
+                partition,
+                lag: null,
+                ...partitions.find((p) => p.partition === partition),
+                lastOffset: state.partitions.get(partition)?.lastOffset ?? null,
+                lastProcessedAt:
+                  state.partitions.get(partition)?.lastProcessedAt ?? null,
+              })),
+          };
+        })
+      );
+
+      return { connected, consumers: status };
+    },
+
+    async disconnect() {
+      // kafkajs espera a que terminen los mensajes en curso antes de
+      // desconectar cada consumidor
+      await Promise.all(consumers.map(({ consumer }) => consumer.disconnect()));
+      consumers.forEach((state) => (state.running = false));
+      consumers.length = 0;
+
+      // El productor se desconecta al final: los mensajes en curso pueden
+      // publicar en la DLQ o en el outbox
+      if (producerConnection) {
+        await producer.disconnect();
+        producerConnection = null;
+      }
+
+      if (adminConnection) {
+        await admin.disconnect();
+        adminConnection = null;
+      }
+    },
+  };
+}
+
+export default createKafkaEventBus;
@@ -0,0 +1,56 @@
+import logger from '../../logger.js';
+import { isKafkaEnabled } from './kafkaConsumer.js';
+import { getEventBus } from './eventBus.js';
+
+const NOTIFICATIONS_TOPIC =
+  process.env.KAFKA_NOTIFICATIONS_TOPIC || 'payments-notifications';
+
+/**
+ * Enviar una notificación para un usuario
+ * Se publica en Kafka para que el servicio de notificaciones la entregue.
+ * Un fallo al notificar nunca interrumpe el flujo de pagos: solo se registra.
+ *
+ * @param {string} type - Tipo de notificación (PAYMENT_FAILED, PAYMENT_REMINDER...)
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} data - Datos adicionales de la notificación
+ * @returns {Promise<boolean>} true si la notificación se publicó
+ */
+export const notifyUser = async (type, subscription, data = {}) => {
+  const payload = {
+    userId: subscription.userId,
+    username: subscription.username,
+    email: subscription.email,
+    ...data,
+  };
+
+  if (!isKafkaEnabled()) {
+    logger.info(
+      `Notification ${type} for user ${subscription.userId} not sent (Kafka disabled)`
+    );
+    return false;
+  }
+
+  try {
+    await getEventBus().publish(NOTIFICATIONS_TOPIC, [
+      {
+        key: subscription.userId,
+        value: JSON.stringify({
+          type,
+          payload,
+          timestamp: new Date().toISOString(),
+        }),
+      },
+    ]);
+    logger.info(`Notification ${type} sent for user ${subscription.userId}`);
+    return true;
+  } catch (error) {
+    logger.error(
+      `Failed to send notification ${type} for user ${subscription.userId}: ${error.message}`
+    );
+    return false;
+  }
+};
+
+export default {
+  notifyUser,
+};
@@ -0,0 +1,293 @@
+import logger from '../../logger.js';
+import OutboxEntry, { SPACE_CONTRACT_KINDS } from '../models/OutboxEntry.js';
+import * as spaceService from './spaceService.js';
+import { getEventBus } from './eventBus.js';
+
+const POLL_INTERVAL = Number(process.env.OUTBOX_POLL_INTERVAL || 1000);
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE || 20);
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+const RETRY_BASE_DELAY = Number(process.env.OUTBOX_RETRY_BASE_DELAY || 2000);
+const RETRY_MAX_DELAY = Number(
+  process.env.OUTBOX_RETRY_MAX_DELAY || 60 * 60 * 1000
+);
+// Una entrada en 'processing' más tiempo que esto se considera abandonada
+const LOCK_TIMEOUT = Number(process.env.OUTBOX_LOCK_TIMEOUT || 5 * 60 * 1000);
+
+let timer = null;
+let running = false;
+let currentBatch = null;
+
+/**
+ * Calcular el retraso antes del siguiente intento (backoff exponencial)
+ *
+ * @param {number} attempts - Intentos realizados hasta ahora
+ * @returns {number} Retraso en milisegundos
+ */
+export function getOutboxRetryDelay(attempts) {
+  const delay = RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, RETRY_MAX_DELAY);
+}
+
+/**
+ * Reclamar una entrada lista para entregar
+ * La actualización es atómica, por lo que varias instancias del servicio
+ * pueden ejecutar el relay a la vez sin entregar dos veces la misma entrada.
+ *
+ * @param {Object} filter - Filtro adicional (p.ej. un _id concreto)
+ */
+async function claimEntry(filter = {}) {
+  const now = new Date();
+
+  return OutboxEntry.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        {
+          status: { $in: ['pending', 'failed'] },
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) },
+        },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Entregar una operación de SPACE respetando el orden por usuario
+ * Las operaciones de SPACE son el estado completo del contrato: si ya hay una
+ * más reciente para el usuario, aplicar esta devolvería SPACE a un estado
+ * antiguo. Si otra más antigua se está entregando todavía, se espera a que
+ * termine para no aplicarlas desordenadas.
+ *
+ * @param {Object} entry - Entrada de outbox reclamada
+ * @returns {Promise<string>} 'delivered', 'superseded' o 'deferred'
+ */
+async function deliverSpaceOperation(entry) {
+  const { payload } = entry;
+  const sameUser = {
+    kind: { $in: SPACE_CONTRACT_KINDS },
+    userId: entry.userId,
+  };
+
+  const superseded = await OutboxEntry.exists({
+    ...sameUser,
+    createdAt: { $gt: entry.createdAt },
+  });
+
+  if (superseded) {
+    return 'superseded';
+  }
+
+  const olderInFlight = await OutboxEntry.exists({
+    ...sameUser,
+    _id: { $ne: entry._id },
+    createdAt: { $lte: entry.createdAt },
+    status: 'processing',
+    lockedAt: { $gte: new Date(Date.now() - LOCK_TIMEOUT) },
+  });
+
+  if (olderInFlight) {
+    return 'deferred';
+  }
+
+  if (entry.kind === 'SPACE_CONTRACT_DELETE') {
+    await spaceService.deleteSpaceContract(entry.userId);
+  } else {
+    // createSpaceContract actualiza el contrato si existe o lo crea si no
+    await spaceService.createSpaceContract({
+      userId: entry.userId,
+      username: payload.username,
+      plan: payload.plan,
+      addOns: spaceService.formatSpaceAddOns(payload.addOns),
+    });
+  }
+
+  // Las operaciones anteriores pendientes de reintento ya no hacen falta
+  await OutboxEntry.updateMany(
+    {
+      ...sameUser,
+      createdAt: { $lt: entry.createdAt },
+      status: { $in: ['pending', 'failed', 'dead'] },
+    },
+    { $set: { status: 'superseded', lastError: null } }
+  );
+
+  return 'delivered';
+}
+
+/**
+ * Entregar una entrada a su destino
+ *
+ * @param {Object} entry - Entrada de outbox reclamada
+ * @returns {Promise<string>} 'delivered', 'superseded' o 'deferred'
+ */
+async function deliver(entry) {
+  const { payload } = entry;
+
+  if (entry.kind === 'KAFKA_MESSAGE') {
+    await getEventBus().publish(payload.topic, [
+      { key: payload.key, value: payload.value, headers: payload.headers },
+    ]);
+    return 'delivered';
+  }
+
+  return deliverSpaceOperation(entry);
+}
+
+/**
+ * Entregar una entrada reclamada y registrar el resultado
+ *
+ * @param {Object} entry - Entrada de outbox reclamada
+ * @returns {Promise<Object>} Entrada actualizada
+ */
+async function processEntry(entry) {
+  try {
+    const outcome = await deliver(entry);
+
+    entry.lockedAt = undefined;
+
+    if (outcome === 'deferred') {
+      // No cuenta como intento: se vuelve a probar tras el retraso base
+      entry.status = 'pending';
+      entry.attempts -= 1;
+      entry.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY);
+      await entry.save();
+      return entry;
+    }
+
+    entry.status = outcome;
+    entry.deliveredAt = outcome === 'delivered' ? new Date() : undefined;
+    entry.lastError = null;
+    await entry.save();
+
+    logger.info(
+      `Outbox entry ${entry._id} (${entry.kind}) ${entry.status} for user ${entry.userId}`
+    );
+  } catch (error) {
+    entry.lastError = error.message;
+    entry.lockedAt = undefined;
+
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = 'dead';
+      logger.error(
+        `Outbox entry ${entry._id} (${entry.kind}) marked as dead after ${entry.attempts} attempts: ${error.message}`
+      );
+    } else {
+      const delay = getOutboxRetryDelay(entry.attempts);
+      entry.status = 'failed';
+      entry.nextAttemptAt = new Date(Date.now() + delay);
+      logger.warn(
+        `Outbox entry ${entry._id} (${entry.kind}) failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}), retrying in ${delay / 1000}s: ${error.message}`
+      );
+    }
+
+    await entry.save();
+  }
+
+  return entry;
+}
+
+/**
+ * Entregar la siguiente entrada pendiente del outbox
+ *
+ * @returns {Promise<Object|null>} Entrada procesada o null si no había ninguna
+ */
+export async function processNextOutboxEntry() {
+  const entry = await claimEntry();
+
+  if (!entry) {
+    return null;
+  }
+
+  return processEntry(entry);
+}
+
+/**
+ * Procesar un lote de entradas pendientes
+ *
+ * @param {number} limit - Número máximo de entradas a procesar
+ * @returns {Promise<number>} Número de entradas procesadas
+ */
+export async function processOutboxBatch(limit = BATCH_SIZE) {
+  let processed = 0;
+
+  while (processed < limit) {
+    const entry = await processNextOutboxEntry();
+    if (!entry) break;
+    processed++;
+  }
+
+  return processed;
+}
+
+/**
+ * Intentar entregar ya unas entradas recién guardadas
+ * Evita esperar al siguiente ciclo del relay. Si la entrega falla, la
+ * entrada queda registrada y el relay la reintentará; nunca lanza errores.
+ *
+ * @param {Object[]} entries - Entradas de outbox guardadas
+ */
+export async function dispatchOutboxEntries(entries) {
+  for (const { _id } of entries) {
+    try {
+      const entry = await claimEntry({ _id });
+      if (entry) {
+        await processEntry(entry);
+      }
+    } catch (error) {
+      logger.error(`Failed to dispatch outbox entry ${_id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Iniciar el relay del outbox
+ */
+export function startOutboxRelay() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(`Outbox relay started (poll interval: ${POLL_INTERVAL / 1000}s)`);
+
+  const tick = async () => {
+    currentBatch = processOutboxBatch().catch((error) => {
+      logger.error(`Outbox relay error: ${error.message}`);
+    });
+    await currentBatch;
+    currentBatch = null;
+
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Detener el relay esperando a que termine el lote en curso
+ */
+export async function stopOutboxRelay() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentBatch) {
+    await currentBatch;
+  }
+
+  logger.info('Outbox relay stopped');
+}
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import logger from '../../logger.js';
+import OutboxEntry from '../models/OutboxEntry.js';
+import { dispatchOutboxEntries } from './outboxRelay.js';
+import { hasOpenSpaceDispute } from './spaceContractService.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+
+// Código de MongoDB para operaciones no soportadas (transacciones en un
+// servidor standalone, sin replica set)
+const ILLEGAL_OPERATION = 20;
+
+// Se desactiva tras el primer fallo para no intentarlo en cada escritura
+let transactionsSupported = true;
+
+/**
+ * Verificar si un error indica que MongoDB no soporta transacciones
+ */
+const isTransactionUnsupported = (error) =>
+  error.code === ILLEGAL_OPERATION ||
+  /Transaction numbers are only allowed/.test(error.message);
+
+/**
+ * Crear la entrada de outbox del contrato de SPACE de un usuario
+ * Guarda el estado completo deseado; por defecto el plan y los AddOns
+ * activos de la suscripción. Al guardarla, withOutbox la deja en FREE si el
+ * usuario tiene una disputa abierta (ver holdSpaceContractsInDispute).
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} overrides - { plan, addOns } para bajadas temporales a FREE
+ *   y username si el documento aún no lo tiene
+ * @returns {Object} Datos de la entrada de outbox
+ */
+export const createSpaceContractEntry = (subscription, overrides = {}) => {
+  const {
+    username = subscription.username,
+    plan = subscription.planType,
+    addOns = subscription.getActiveAddOnNames(),
+  } = overrides;
+
+  return {
+    kind: 'SPACE_CONTRACT',
+    userId: subscription.userId,
+    payload: { username, plan, addOns },
+  };
+};
+
+/**
+ * Crear la entrada de outbox que elimina el contrato de SPACE de un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Object} Datos de la entrada de outbox
+ */
+export const createSpaceContractDeleteEntry = (userId) => ({
+  kind: 'SPACE_CONTRACT_DELETE',
+  userId,
+  payload: { plan: null, addOns: [] },
+});
+
+/**
+ * Mantener en FREE los contratos de SPACE de usuarios con una disputa abierta
+ * Se comprueba al guardar las entradas, después de la escritura y en su misma
+ * transacción, para que ningún camino (webhooks, dunning, USER_UNBANNED,
+ * reconciliación...) devuelva el plan de pago mientras dure el contracargo y
+ * el cierre de la propia disputa ya cuente como cerrado.
+ *
+ * @param {Object[]} entries - Entradas de outbox
+ * @param {Object|null} session - Sesión de la transacción
+ * @returns {Promise<Object[]>} Entradas, con los contratos retenidos en FREE
+ */
+const holdSpaceContractsInDispute = (entries, session) =>
+  Promise.all(
+    entries.map(async (entry) => {
+      const { plan, addOns } = entry.payload;
+      if (
+        entry.kind !== 'SPACE_CONTRACT' ||
+        (plan === FREE_PLAN && addOns.length === 0) ||
+        !(await hasOpenSpaceDispute(entry.userId, { session }))
+      ) {
+        return entry;
+      }
+
+      logger.info(
+        `User ${entry.userId} has an open dispute, SPACE contract stays on FREE instead of ${plan}`
+      );
+      return {
+        ...entry,
+        payload: { ...entry.payload, plan: FREE_PLAN, addOns: [] },
+      };
+    })
+  );
+
+/**
+ * Ejecutar una escritura y guardar sus entradas de outbox de forma atómica
+ * Usa una transacción de MongoDB; en un servidor standalone (sin replica set)
+ * se escribe primero el cambio y después el outbox. Tras confirmar, intenta
+ * entregar las entradas en el momento; el relay reintenta las que fallen.
+ *
+ * @param {Function} work - (session) => Promise, escritura a realizar
+ * @param {Object[]|Function} entries - Entradas de outbox (las nulas se
+ *   ignoran) o (result) => entradas, si dependen del resultado de work
+ * @returns {Promise<*>} Resultado de work
+ */
+export const withOutbox = async (work, entries = []) => {
+  const buildEntries = (result, session) =>
+    holdSpaceContractsInDispute(
+      (typeof entries === 'function' ? entries(result) : entries).filter(
+        Boolean
+      ),
+      session
+    );
+  let result;
+  let saved = [];
+
+  if (transactionsSupported) {
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        result = await work(session);
+        saved = await OutboxEntry.insertMany(
+          await buildEntries(result, session),
+          { session }
+        );
+      });
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) {
+        throw error;
+      }
+      transactionsSupported = false;
+      logger.warn(
+        'MongoDB does not support transactions (standalone server), writing outbox entries without a transaction'
+      );
+    }
+  }
+
+  if (!transactionsSupported) {
+    result = await work(null);
+    saved = await OutboxEntry.insertMany(await buildEntries(result, null));
+  }
+
+  if (saved.length > 0) {
+    await dispatchOutboxEntries(saved);
+  }
+
+  return result;
+};
+
+/**
+ * Guardar un documento junto con sus entradas de outbox
+ *
+ * @param {Object} document - Documento de Mongoose a guardar
+ * @param {Object[]} entries - Entradas de outbox (las nulas se ignoran)
+ * @returns {Promise<Object>} Documento guardado
+ */
+export const saveWithOutbox = (document, entries) =>
+  withOutbox((session) => document.save({ session }), entries);
+
+/**
+ * Guardar entradas de outbox que no acompañan a ninguna escritura
+ *
+ * @param {Object[]} entries - Entradas de outbox (las nulas se ignoran)
+ * @returns {Promise<void>}
+ */
+export const enqueueOutbox = async (entries) => {
+  await withOutbox(async () => null, entries);
+};
+
+export default {
+  createSpaceContractEntry,
+  createSpaceContractDeleteEntry,
+  withOutbox,
+  saveWithOutbox,
+  enqueueOutbox,
+};
@@ -0,0 +1,304 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import ReconciliationDrift from '../models/ReconciliationDrift.js';
+import OutboxEntry from '../models/OutboxEntry.js';
+import * as stripeService from './stripeService.js';
+import * as spaceService from './spaceService.js';
+import { saveWithOutbox, createSpaceContractEntry } from './outboxService.js';
+import { getEntitledSpaceContract } from './spaceContractService.js';
+import {
+  getPlanNameFromPriceId,
+  getAddOnNameFromPriceId,
+} from '../config/plans.config.js';
+import {
+  RECONCILIATION_POLICY,
+  RECONCILIATION_CONFIG,
+} from '../config/reconciliation.config.js';
+
+// Estados que se pueden guardar en MongoDB
+const LOCAL_STATUSES = Subscription.schema.path('status').enumValues;
+
+const sameList = (a, b) =>
+  a.length === b.length && [...a].sort().join() === [...b].sort().join();
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const sameDate = (a, b) =>
+  (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Extraer de una suscripción de Stripe los datos que se reconcilian
+ * El plan es el item cuyo precio corresponde a un plan; los add-ons, los
+ * items cuyo precio corresponde a un AddOn.
+ *
+ * @param {Object} stripeSubscription - Suscripción de Stripe
+ * @returns {Object} { plan, priceId, addOns, status, currentPeriodStart, currentPeriodEnd }
+ */
+export const getStripeState = (stripeSubscription) => {
+  const items = stripeSubscription.items?.data || [];
+  const planItem = items.find((item) => getPlanNameFromPriceId(item.price.id));
+  const paused =
+    stripeSubscription.status === 'paused' ||
+    Boolean(stripeSubscription.pause_collection);
+
+  return {
+    plan: planItem ? getPlanNameFromPriceId(planItem.price.id) : null,
+    priceId: planItem?.price.id || null,
+    addOns: items
+      .filter((item) => getAddOnNameFromPriceId(item.price.id))
+      .map((item) => ({
+        name: getAddOnNameFromPriceId(item.price.id),
+        stripeSubscriptionItemId: item.id,
+        stripePriceId: item.price.id,
+      })),
+    status: paused ? 'paused' : stripeSubscription.status,
+    currentPeriodStart: toDate(stripeSubscription.current_period_start),
+    currentPeriodEnd: toDate(stripeSubscription.current_period_end),
+  };
+};
+
+/**
+ * Comparar una suscripción local con su estado en Stripe
+ * Cada diferencia incluye apply(subscription), que la corrige en el
+ * documento (sin guardarlo) y es null si no se puede corregir.
+ *
+ * @returns {Object[]} Diferencias encontradas
+ */
+export const findStripeDrifts = (subscription, stripeState) => {
+  const drifts = [];
+
+  if (stripeState.plan && stripeState.plan !== subscription.planType) {
+    drifts.push({
+      field: 'plan',
+      source: RECONCILIATION_POLICY.plan,
+      expected: stripeState.plan,
+      actual: subscription.planType,
+      apply: (doc) => {
+        doc.planType = stripeState.plan;
+        doc.stripePriceId = stripeState.priceId;
+      },
+    });
+  }
+
+  const stripeAddOns = stripeState.addOns.map(({ name }) => name);
+  const localAddOns = subscription.getActiveAddOnNames();
+
+  if (!sameList(stripeAddOns, localAddOns)) {
+    drifts.push({
+      field: 'addOns',
+      source: RECONCILIATION_POLICY.addOns,
+      expected: stripeAddOns,
+      actual: localAddOns,
+      apply: (doc) => {
+        for (const addon of doc.activeAddOns) {
+          if (addon.status === 'active' && !stripeAddOns.includes(addon.name)) {
+            addon.status = 'canceled';
+          }
+        }
+        for (const addon of stripeState.addOns) {
+          if (!localAddOns.includes(addon.name)) {
+            doc.activeAddOns.push({ ...addon, status: 'active' });
+          }
+        }
+      },
+    });
+  }
+
+  // Una suspensión solo se levanta con USER_UNBANNED
+  if (
+    !subscription.isSuspended() &&
+    stripeState.status !== subscription.status
+  ) {
+    drifts.push({
+      field: 'status',
+      source: RECONCILIATION_POLICY.status,
+      expected: stripeState.status,
+      actual: subscription.status,
+      apply: LOCAL_STATUSES.includes(stripeState.status)
+        ? (doc) => {
+            doc.status = stripeState.status;
+          }
+        : null,
+    });
+  }
+
+  if (
+    !sameDate(
+      stripeState.currentPeriodStart,
+      subscription.currentPeriodStart
+    ) ||
+    !sameDate(stripeState.currentPeriodEnd, subscription.currentPeriodEnd)
+  ) {
+    drifts.push({
+      field: 'period',
+      source: RECONCILIATION_POLICY.period,
+      expected: {
+        start: stripeState.currentPeriodStart,
+        end: stripeState.currentPeriodEnd,
+      },
+      actual: {
+        start: subscription.currentPeriodStart || null,
+        end: subscription.currentPeriodEnd || null,
+      },
+      apply: (doc) => {
+        doc.currentPeriodStart = stripeState.currentPeriodStart;
+        doc.currentPeriodEnd = stripeState.currentPeriodEnd;
+      },
+    });
+  }
+
+  return drifts;
+};
+
+/**
+ * Comparar el contrato de SPACE con el que corresponde a la suscripción
+ *
+ * @param {Object} expected - { plan, addOns } según MongoDB
+ * @param {Object|null} contract - { plan, addOns } en SPACE (null si no hay)
+ * @returns {Object|null} Diferencia o null si coinciden
+ */
+export const findSpaceDrift = (expected, contract) => {
+  if (
+    contract &&
+    contract.plan === expected.plan &&
+    sameList(contract.addOns, expected.addOns)
+  ) {
+    return null;
+  }
+
+  return {
+    field: 'spaceContract',
+    source: RECONCILIATION_POLICY.space,
+    expected,
+    actual: contract,
+  };
+};
+
+/**
+ * Reconciliar una suscripción con Stripe y SPACE
+ * Primero se corrige MongoDB con Stripe y después se compara SPACE con el
+ * resultado, para que un solo paso deje los tres sistemas alineados. Las
+ * correcciones se guardan junto con la entrada de outbox del contrato de
+ * SPACE; si la suscripción cambió mientras tanto (p. ej. un webhook) no se
+ * corrige nada y la siguiente revisión lo vuelve a intentar.
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} options
+ * @param {boolean} options.repair - Corregir las diferencias (por defecto
+ *   RECONCILIATION_AUTO_REPAIR) o solo informar de ellas
+ * @returns {Promise<Object>} { userId, drifts, repaired }
+ */
+export const reconcileSubscription = async (
+  subscription,
+  { repair = RECONCILIATION_CONFIG.autoRepair } = {}
+) => {
+  const { userId, stripeSubscriptionId } = subscription;
+  const drifts = [];
+
+  // 1. MongoDB <-> Stripe
+  if (stripeSubscriptionId) {
+    const stripeSubscription =
+      await stripeService.findSubscription(stripeSubscriptionId);
+
+    if (!stripeSubscription) {
+      drifts.push({
+        field: 'stripeSubscription',
+        source: 'stripe',
+        expected: null,
+        actual: stripeSubscriptionId,
+        apply: null,
+      });
+    } else {
+      drifts.push(
+        ...findStripeDrifts(subscription, getStripeState(stripeSubscription))
+      );
+    }
+  }
+
+  const fixable = repair ? drifts.filter((drift) => drift.apply) : [];
+  fixable.forEach((drift) => drift.apply(subscription));
+
+  // 2. MongoDB -> SPACE (con las correcciones ya aplicadas). Si el outbox
+  // aún tiene un contrato por entregar, SPACE todavía no está al día
+  const expected = await getEntitledSpaceContract(subscription);
+  const spacePending = await OutboxEntry.exists({
+    kind: 'SPACE_CONTRACT',
+    userId,
+    status: { $in: ['pending', 'processing', 'failed'] },
+  });
+  const spaceDrift = spacePending
+    ? null
+    : findSpaceDrift(expected, await spaceService.getSpaceContract(userId));
+
+  if (spaceDrift) {
+    drifts.push(spaceDrift);
+    if (repair) {
+      fixable.push(spaceDrift);
+    }
+  }
+
+  let repairError = null;
+
+  if (fixable.length > 0) {
+    const unchanged = await Subscription.exists({
+      _id: subscription._id,
+      updatedAt: subscription.updatedAt,
+    });
+
+    if (unchanged) {
+      try {
+        // Un contrato pendiente del outbox se calculó antes de corregir
+        // MongoDB: se sustituye por el actual
+        await saveWithOutbox(subscription, [
+          spaceDrift || spacePending
+            ? createSpaceContractEntry(subscription, expected)
+            : null,
+        ]);
+      } catch (error) {
+        repairError = error.message;
+      }
+    } else {
+      repairError = 'Subscription changed during reconciliation';
+    }
+  }
+
+  const report = drifts.map((drift) => {
+    const attempted = fixable.includes(drift);
+
+    return {
+      userId,
+      subscriptionId: subscription._id,
+      stripeSubscriptionId,
+      field: drift.field,
+      source: drift.source,
+      expected: drift.expected,
+      actual: drift.actual,
+      repaired: attempted && !repairError,
+      repairError: attempted ? repairError : undefined,
+    };
+  });
+
+  if (report.length > 0) {
+    await ReconciliationDrift.insertMany(report);
+    logger.warn(
+      `Reconciliation drift for user ${userId}: ${report
+        .map(
+          ({ field, repaired }) => `${field}${repaired ? ' (repaired)' : ''}`
+        )
+        .join(', ')}`
+    );
+  }
+
+  return {
+    userId,
+    drifts: report,
+    repaired: report.filter(({ repaired }) => repaired).length,
+  };
+};
+
+export default {
+  getStripeState,
+  findStripeDrifts,
+  findSpaceDrift,
+  reconcileSubscription,
+};
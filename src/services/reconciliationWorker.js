@@ -0,0 +1,131 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import { reconcileSubscription } from './reconciliationService.js';
+import { RECONCILIATION_CONFIG } from '../config/reconciliation.config.js';
+
+const { pollInterval: POLL_INTERVAL, batchSize: BATCH_SIZE } =
+  RECONCILIATION_CONFIG;
+
+let timer = null;
+let running = false;
+let currentBatch = null;
+
+/**
+ * Reclamar la siguiente suscripción pendiente de revisar
+ * Las que nunca se revisaron van primero. La actualización es atómica (varias
+ * instancias no revisan la misma suscripción) y no toca updatedAt, que se usa
+ * para detectar cambios durante la revisión.
+ */
+async function claimNextSubscription(now = new Date()) {
+  const { interval, settleTime } = RECONCILIATION_CONFIG;
+
+  return Subscription.findOneAndUpdate(
+    {
+      $or: [
+        { lastReconciledAt: null },
+        { lastReconciledAt: { $lt: new Date(now.getTime() - interval) } },
+      ],
+      updatedAt: { $lt: new Date(now.getTime() - settleTime) },
+    },
+    { $set: { lastReconciledAt: now } },
+    { sort: { lastReconciledAt: 1 }, new: true, timestamps: false }
+  );
+}
+
+/**
+ * Revisar la siguiente suscripción pendiente
+ *
+ * @returns {Promise<Object|null>} Resultado de la reconciliación o null si
+ *   no había ninguna pendiente
+ */
+export async function processNextReconciliation() {
+  const subscription = await claimNextSubscription();
+
+  if (!subscription) {
+    return null;
+  }
+
+  try {
+    return await reconcileSubscription(subscription);
+  } catch (error) {
+    // Se vuelve a revisar en el siguiente intervalo
+    logger.error(
+      `Reconciliation failed for user ${subscription.userId}: ${error.message}`
+    );
+    return { userId: subscription.userId, drifts: [], error: error.message };
+  }
+}
+
+/**
+ * Revisar un lote de suscripciones
+ *
+ * @param {number} limit - Número máximo de suscripciones a revisar
+ * @returns {Promise<Object>} { checked, drifted, repaired, failed }
+ */
+export async function processReconciliationBatch(limit = BATCH_SIZE) {
+  const summary = { checked: 0, drifted: 0, repaired: 0, failed: 0 };
+
+  while (summary.checked < limit) {
+    const result = await processNextReconciliation();
+    if (!result) break;
+
+    summary.checked++;
+    if (result.error) summary.failed++;
+    if (result.drifts.length > 0) summary.drifted++;
+    summary.repaired += result.repaired || 0;
+  }
+
+  if (summary.drifted > 0 || summary.failed > 0) {
+    logger.info(
+      `Reconciliation: ${summary.checked} checked, ${summary.drifted} with drift, ${summary.repaired} repaired, ${summary.failed} failed`
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Iniciar el worker de reconciliación
+ */
+export function startReconciliationWorker() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(
+    `Reconciliation worker started (poll interval: ${POLL_INTERVAL / 1000}s, auto repair: ${RECONCILIATION_CONFIG.autoRepair})`
+  );
+
+  const tick = async () => {
+    currentBatch = processReconciliationBatch().catch((error) => {
+      logger.error(`Reconciliation worker error: ${error.message}`);
+    });
+    await currentBatch;
+    currentBatch = null;
+
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  timer = setTimeout(tick, POLL_INTERVAL);
+}
+
+/**
+ * Detener el worker esperando a que termine el lote en curso
+ */
+export async function stopReconciliationWorker() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentBatch) {
+    await currentBatch;
+  }
+
+  logger.info('Reconciliation worker stopped');
+}
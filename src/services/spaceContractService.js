@@ -0,0 +1,89 @@
+import Dispute, { OPEN_DISPUTE_STATUSES } from '../models/Dispute.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+import { SPACE_ENTITLED_STATUSES } from '../config/reconciliation.config.js';
+
+/**
+ * Verificar si un usuario tiene una disputa abierta que mantiene su contrato
+ * de SPACE en FREE (política DISPUTE_DOWNGRADE_ON_OPEN)
+ * Una disputa perdida lo mantiene también hasta que se revise a mano
+ * (POST /internal/admin/disputes/:disputeId/restore-space).
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - session para leer dentro de una transacción y
+ *   excludeDisputeId para no contar una disputa concreta (la que se cierra)
+ * @returns {Promise<boolean>}
+ */
+export const hasOpenSpaceDispute = async (
+  userId,
+  { session = null, excludeDisputeId } = {}
+) => {
+  if (!userId) {
+    return false;
+  }
+
+  const filter = {
+    userId,
+    spaceDowngraded: true,
+    $or: [
+      { status: { $in: OPEN_DISPUTE_STATUSES } },
+      { status: 'lost', spaceRestoredAt: null },
+    ],
+  };
+  if (excludeDisputeId) {
+    filter.stripeDisputeId = { $ne: excludeDisputeId };
+  }
+
+  return Boolean(await Dispute.exists(filter).session(session));
+};
+
+/**
+ * Contrato de SPACE que corresponde a una suscripción local
+ * FREE sin add-ons si la suscripción no da derecho a su plan (pausada,
+ * suspendida, cancelada, bajada por impago o con una disputa abierta que
+ * bajó SPACE a FREE).
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @param {Object} options - inDispute: si el usuario tiene una disputa
+ *   abierta con el contrato de SPACE bajado (ver hasOpenSpaceDispute)
+ * @returns {Object} { plan, addOns }
+ */
+export const getExpectedSpaceContract = (
+  subscription,
+  { inDispute = false } = {}
+) => {
+  const entitled =
+    SPACE_ENTITLED_STATUSES.includes(subscription.status) &&
+    !subscription.dunning?.downgradedAt &&
+    !inDispute;
+
+  return entitled
+    ? {
+        plan: subscription.planType,
+        addOns: subscription.getActiveAddOnNames(),
+      }
+    : { plan: FREE_PLAN, addOns: [] };
+};
+
+/**
+ * Contrato de SPACE al que tiene derecho una suscripción, comprobando sus
+ * disputas abiertas
+ * Es lo que aplica SPACE: lo usan la reconciliación y los entitlements.
+ *
+ * @param {Object|null} subscription - Documento de suscripción de MongoDB
+ * @returns {Promise<Object>} { plan, addOns } (FREE sin suscripción)
+ */
+export const getEntitledSpaceContract = async (subscription) => {
+  if (!subscription) {
+    return { plan: FREE_PLAN, addOns: [] };
+  }
+
+  return getExpectedSpaceContract(subscription, {
+    inDispute: await hasOpenSpaceDispute(subscription.userId),
+  });
+};
+
+export default {
+  hasOpenSpaceDispute,
+  getExpectedSpaceContract,
+  getEntitledSpaceContract,
+};
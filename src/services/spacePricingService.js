@@ -0,0 +1,45 @@
+import { PLANS, ADDONS, FREE_PLAN } from '../config/plans.config.js';
+import {
+  buildSpacePricing,
+  dumpSpacePricing,
+  parseSpacePricing,
+  diffSpacePricing,
+} from '../utils/spacePricing.js';
+
+const SPACE_SERVICE_VERSION = process.env.SPACE_SERVICE_VERSION || '1.0';
+
+/**
+ * Generar el pricing de SPACE del catálogo actual (PLANS y ADDONS)
+ *
+ * @returns {Object} Pricing de SPACE
+ */
+export const generateSpacePricing = () =>
+  buildSpacePricing(PLANS, ADDONS, {
+    defaultPlan: FREE_PLAN,
+    version: SPACE_SERVICE_VERSION,
+  });
+
+/**
+ * Generar el YAML de pricing de SPACE del catálogo actual
+ *
+ * @returns {string} YAML
+ */
+export const generateSpacePricingYaml = () =>
+  dumpSpacePricing(generateSpacePricing());
+
+/**
+ * Comparar el catálogo actual con un YAML de pricing de SPACE existente
+ *
+ * @param {string} source - YAML existente (p. ej. SocialBeats-1.0.yaml)
+ * @returns {Object[]} Diferencias { path, expected, actual }, donde expected
+ *   es el valor de plans.config.js y actual el del YAML
+ * @throws {Error} Si el YAML no es válido
+ */
+export const compareSpacePricing = (source) =>
+  diffSpacePricing(generateSpacePricing(), parseSpacePricing(source));
+
+export default {
+  generateSpacePricing,
+  generateSpacePricingYaml,
+  compareSpacePricing,
+};
@@ -178,3 +178,126 @@ export const deleteSpaceContract = async (userId) => {
     throw error;
   }
 };
+
+/**
+ * Actualizar los datos de contacto (userContact) de un contrato de SPACE
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} userContact - Datos de contacto ({ username, email })
+ * @returns {Promise<boolean>} false si el usuario no tiene contrato
+ */
+export const updateSpaceUserContact = async (userId, userContact) => {
+  try {
+    logger.info(`Updating SPACE user contact for user ${userId}`);
+
+    const response = await fetch(
+      `${SPACE_URL}/api/v1/contracts/${userId}/userContact`,
+      {
+        method: 'PUT',
+        headers: {
+          'x-api-key': SPACE_API_KEY,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(userContact),
+      }
+    );
+
+    if (response.ok) {
+      logger.info(`SPACE user contact updated successfully for user ${userId}`);
+      return true;
+    }
+
+    // Sin contrato no hay nada que actualizar
+    if (response.status === 404) {
+      logger.info(`SPACE contract not found for user ${userId}, skipping`);
+      return false;
+    }
+
+    const errorText = await response.text();
+    throw new Error(
+      `Failed to update SPACE user contact: ${response.status} ${errorText}`
+    );
+  } catch (error) {
+    logger.error(
+      `Error updating SPACE user contact for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+};
+
+/**
+ * Obtener el plan y los add-ons contratados en SPACE por un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object|null>} { plan, addOns } (nombres de los add-ons
+ *   con cantidad > 0) o null si el usuario no tiene contrato
+ */
+export const getSpaceContract = async (userId) => {
+  try {
+    const response = await fetch(`${SPACE_URL}/api/v1/contracts/${userId}`, {
+      method: 'GET',
+      headers: {
+        'x-api-key': SPACE_API_KEY,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `Failed to get SPACE contract: ${response.status} ${errorText}`
+      );
+    }
+
+    const contract = await response.json();
+    const addOns = contract.subscriptionAddOns?.[SPACE_SERVICE_NAME] || {};
+
+    return {
+      plan: contract.subscriptionPlans?.[SPACE_SERVICE_NAME] || null,
+      addOns: Object.keys(addOns).filter((name) => addOns[name] > 0),
+    };
+  } catch (error) {
+    logger.error(
+      `Error getting SPACE contract for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+};
+
+/**
+ * Formatear nombres de add-ons al formato de subscriptionAddOns de SPACE
+ * SPACE espera: { [servicio]: { addonName: cantidad } }
+ *
+ * @param {string[]} addonNames - Nombres de los add-ons activos
+ * @returns {Object} Add-ons en formato SPACE
+ */
+export const formatSpaceAddOns = (addonNames = []) => {
+  const addOns = {};
+  for (const name of addonNames) {
+    addOns[name] = 1; // Cantidad siempre 1 para nuestros add-ons
+  }
+  return { [SPACE_SERVICE_NAME]: addOns };
+};
+
+/**
+ * Sincronizar el contrato de SPACE con el plan y los add-ons activos de
+ * una suscripción local (p. ej. al restaurar tras una bajada temporal a FREE)
+ *
+ * @param {Object} subscription - Documento de suscripción de MongoDB
+ * @returns {Promise<void>}
+ */
+export const syncSpaceContract = async (subscription) => {
+  const activeAddOns = (subscription.activeAddOns || [])
+    .filter((addon) => addon.status === 'active')
+    .map((addon) => addon.name);
+
+  await updateSpaceContract({
+    userId: subscription.userId,
+    plan: subscription.planType,
+    addOns: formatSpaceAddOns(activeAddOns),
+  });
+};
@@ -16,6 +16,9 @@ const stripe = new Stripe(
   }
 );
 
+// Secreto para verificar la firma de los webhooks (whsec_...)
+const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
 // Exportar cliente de Stripe para uso directo cuando sea necesario
 export { stripe };
 
@@ -182,17 +185,17 @@ export const setDefaultPaymentMethod = async (customerId, paymentMethodId) => {
 /**
  * Crear o recuperar un Customer de Stripe
  *
- * @param {string} email - Email del usuario
+ * @param {string} email - Email del usuario (opcional: sin él se crea un
+ *   customer nuevo, que USER_UPDATED completa después)
  * @param {Object} metadata - Metadata adicional (userId, username)
  * @returns {Promise<Object>} Customer de Stripe
  */
 export const getOrCreateCustomer = async (email, metadata = {}) => {
   try {
-    // Buscar customer existente por email
-    const existingCustomers = await stripe.customers.list({
-      email,
-      limit: 1,
-    });
+    // Buscar customer existente por email (sin email se listarían todos)
+    const existingCustomers = email
+      ? await stripe.customers.list({ email, limit: 1 })
+      : { data: [] };
 
     if (existingCustomers.data.length > 0) {
       logger.info(`Stripe customer found for email: ${email}`);
@@ -213,6 +216,33 @@ export const getOrCreateCustomer = async (email, metadata = {}) => {
   }
 };
 
+/**
+ * Actualizar los datos de contacto de un customer
+ * La metadata se combina con la existente (Stripe solo sobrescribe las claves
+ * enviadas).
+ *
+ * @param {string} customerId - ID del customer de Stripe
+ * @param {Object} params
+ * @param {string} params.email - Nuevo email (opcional)
+ * @param {string} params.name - Nuevo nombre (opcional)
+ * @param {Object} params.metadata - Metadata a actualizar (opcional)
+ * @returns {Promise<Object>} Customer actualizado
+ */
+export const updateCustomer = async (customerId, { email, name, metadata }) => {
+  try {
+    const customer = await stripe.customers.update(customerId, {
+      ...(email && { email }),
+      ...(name && { name }),
+      ...(metadata && { metadata }),
+    });
+    logger.info(`Stripe customer updated: ${customerId}`);
+    return customer;
+  } catch (error) {
+    logger.error(`Error updating Stripe customer: ${error.message}`);
+    throw new Error('Failed to update Stripe customer');
+  }
+};
+
 /**
  * Crear una sesión de Checkout de Stripe
  *
@@ -222,6 +252,7 @@ export const getOrCreateCustomer = async (email, metadata = {}) => {
  * @param {string} params.successUrl - URL de redirección en caso de éxito
  * @param {string} params.cancelUrl - URL de redirección en caso de cancelación
  * @param {Object} params.metadata - Metadata para identificar el usuario
+ * @param {number} params.trialDays - Días de prueba gratuita (opcional)
  * @returns {Promise<Object>} Sesión de checkout de Stripe
  */
 export const createCheckoutSession = async ({
@@ -230,6 +261,7 @@ export const createCheckoutSession = async ({
   successUrl,
   cancelUrl,
   metadata = {},
+  trialDays = 0,
 }) => {
   try {
     const session = await stripe.checkout.sessions.create({
@@ -247,7 +279,10 @@ export const createCheckoutSession = async ({
       metadata,
       subscription_data: {
         metadata, // También incluir metadata en la subscription
+        ...(trialDays > 0 && { trial_period_days: trialDays }),
       },
+      // Pedir tarjeta también en pruebas gratuitas (necesaria para el fingerprint)
+      payment_method_collection: 'always',
       allow_promotion_codes: true, // Permitir códigos promocionales
       billing_address_collection: 'auto',
     });
@@ -279,6 +314,90 @@ export const getSubscription = async (subscriptionId) => {
   }
 };
 
+/**
+ * Obtener una suscripción de Stripe si existe
+ *
+ * @param {string} subscriptionId - ID de la suscripción
+ * @returns {Promise<Object|null>} Suscripción o null si no existe en Stripe
+ */
+export const findSubscription = async (subscriptionId) => {
+  try {
+    return await stripe.subscriptions.retrieve(subscriptionId);
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return null;
+    }
+    logger.error(`Error retrieving subscription: ${error.message}`);
+    throw new Error('Failed to retrieve subscription');
+  }
+};
+
+/**
+ * Obtener un cargo de Stripe
+ *
+ * @param {string} chargeId - ID del cargo (ch_...)
+ * @returns {Promise<Object>} Cargo de Stripe
+ */
+export const getCharge = async (chargeId) => {
+  try {
+    return await stripe.charges.retrieve(chargeId);
+  } catch (error) {
+    logger.error(`Error retrieving charge: ${error.message}`);
+    throw new Error('Failed to retrieve charge');
+  }
+};
+
+/**
+ * Listar los reembolsos de un cargo
+ *
+ * @param {string} chargeId - ID del cargo (ch_...)
+ * @returns {Promise<Array>} Reembolsos del cargo
+ */
+export const listChargeRefunds = async (chargeId) => {
+  try {
+    const refunds = await stripe.refunds.list({ charge: chargeId, limit: 100 });
+    return refunds.data;
+  } catch (error) {
+    logger.error(`Error listing refunds: ${error.message}`);
+    throw new Error('Failed to list refunds');
+  }
+};
+
+/**
+ * Terminar inmediatamente el periodo de prueba de una suscripción
+ * Stripe genera y cobra la primera factura en ese momento.
+ *
+ * @param {string} subscriptionId - ID de la suscripción
+ * @returns {Promise<Object>} Suscripción actualizada
+ */
+export const endTrialNow = async (subscriptionId) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      trial_end: 'now',
+    });
+    logger.info(`Trial ended immediately for subscription ${subscriptionId}`);
+    return subscription;
+  } catch (error) {
+    logger.error(`Error ending trial: ${error.message}`);
+    throw new Error('Failed to end trial');
+  }
+};
+
+/**
+ * Obtener un método de pago de Stripe
+ *
+ * @param {string} paymentMethodId - ID del método de pago (pm_...)
+ * @returns {Promise<Object>} Método de pago
+ */
+export const getPaymentMethod = async (paymentMethodId) => {
+  try {
+    return await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    logger.error(`Error retrieving payment method: ${error.message}`);
+    throw new Error('Failed to retrieve payment method');
+  }
+};
+
 /**
  * Cancelar una suscripción de Stripe
  *
@@ -305,6 +424,133 @@ export const cancelSubscription = async (
   }
 };
 
+/**
+ * Reactivar una suscripción con cancelación programada
+ * Si la suscripción está gestionada por un schedule (downgrade pendiente) la
+ * cancelación puede estar en el schedule (end_behavior 'cancel'): se cambia a
+ * 'release' para que el downgrade siga programado sin cancelar la suscripción.
+ *
+ * @param {string} subscriptionId - ID de la suscripción
+ * @returns {Promise<Object>} Suscripción reactivada
+ */
+export const reactivateSubscription = async (subscriptionId) => {
+  try {
+    let subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+    if (subscription.schedule) {
+      const scheduleId =
+        typeof subscription.schedule === 'string'
+          ? subscription.schedule
+          : subscription.schedule.id;
+      const schedule = await stripe.subscriptionSchedules.retrieve(scheduleId);
+
+      if (schedule.end_behavior === 'cancel') {
+        await stripe.subscriptionSchedules.update(scheduleId, {
+          end_behavior: 'release',
+        });
+        logger.info(`Schedule ${scheduleId} set to release instead of cancel`);
+      }
+    }
+
+    if (subscription.cancel_at_period_end) {
+      subscription = await stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: false,
+      });
+    }
+
+    logger.info(`Subscription ${subscriptionId} reactivated`);
+    return subscription;
+  } catch (error) {
+    logger.error(`Error reactivating subscription: ${error.message}`);
+    throw new Error('Failed to reactivate subscription');
+  }
+};
+
+/**
+ * Pausar el cobro de una suscripción (pause_collection)
+ * Las facturas generadas durante la pausa se anulan (behavior 'void').
+ *
+ * @param {string} subscriptionId - ID de la suscripción
+ * @param {Date} resumesAt - Fecha de reanudación automática (opcional)
+ * @returns {Promise<Object>} Suscripción actualizada
+ */
+export const pauseSubscription = async (subscriptionId, resumesAt = null) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      pause_collection: {
+        behavior: 'void',
+        ...(resumesAt && {
+          resumes_at: Math.floor(new Date(resumesAt).getTime() / 1000),
+        }),
+      },
+    });
+    logger.info(
+      `Subscription ${subscriptionId} paused${resumesAt ? ` until ${new Date(resumesAt).toISOString()}` : ''}`
+    );
+    return subscription;
+  } catch (error) {
+    logger.error(`Error pausing subscription: ${error.message}`);
+    throw new Error('Failed to pause subscription');
+  }
+};
+
+/**
+ * Reanudar una suscripción pausada
+ * Las suscripciones con estado 'paused' (prueba terminada sin método de pago)
+ * se reanudan con la API resume; el resto quitando pause_collection.
+ *
+ * @param {string} subscriptionId - ID de la suscripción
+ * @returns {Promise<Object>} Suscripción reanudada
+ */
+export const resumeSubscription = async (subscriptionId) => {
+  try {
+    const current = await stripe.subscriptions.retrieve(subscriptionId);
+
+    const subscription =
+      current.status === 'paused'
+        ? await stripe.subscriptions.resume(subscriptionId, {
+            billing_cycle_anchor: 'now',
+          })
+        : await stripe.subscriptions.update(subscriptionId, {
+            pause_collection: '',
+          });
+
+    logger.info(`Subscription ${subscriptionId} resumed`);
+    return subscription;
+  } catch (error) {
+    logger.error(`Error resuming subscription: ${error.message}`);
+    throw new Error('Failed to resume subscription');
+  }
+};
+
+/**
+ * Liberar un subscription schedule (cancelar un cambio de plan programado)
+ * La suscripción sigue activa con su plan actual. Si el schedule ya no está
+ * activo (completado, liberado o cancelado) no se hace nada.
+ *
+ * @param {string} scheduleId - ID del schedule (sub_sched_...)
+ * @returns {Promise<Object>} Schedule de Stripe
+ */
+export const releaseSubscriptionSchedule = async (scheduleId) => {
+  try {
+    const schedule = await stripe.subscriptionSchedules.retrieve(scheduleId);
+
+    if (!['active', 'not_started'].includes(schedule.status)) {
+      logger.info(
+        `Schedule ${scheduleId} is already ${schedule.status}, nothing to release`
+      );
+      return schedule;
+    }
+
+    const released = await stripe.subscriptionSchedules.release(scheduleId);
+    logger.info(`Schedule ${scheduleId} released`);
+    return released;
+  } catch (error) {
+    logger.error(`Error releasing subscription schedule: ${error.message}`);
+    throw new Error('Failed to release subscription schedule');
+  }
+};
+
 /**
  * Cancelar inmediatamente una suscripción
  *
@@ -397,20 +643,26 @@ export const getPlanTypeFromPriceId = (priceId) => {
  * @param {string} params.customerId - ID del customer de Stripe
  * @param {string} params.priceId - Price ID del plan FREE (debe ser €0)
  * @param {Object} params.metadata - Metadata adicional
+ * @param {string} params.idempotencyKey - Clave de idempotencia de Stripe
+ *   (opcional), evita duplicar la suscripción al reintentar
  * @returns {Promise<Object>} Suscripción creada
  */
 export const createFreeSubscription = async ({
   customerId,
   priceId,
   metadata = {},
+  idempotencyKey,
 }) => {
   try {
-    const subscription = await stripe.subscriptions.create({
-      customer: customerId,
-      items: [{ price: priceId }],
-      metadata,
-      // No requiere payment_method porque el precio es €0
-    });
+    const subscription = await stripe.subscriptions.create(
+      {
+        customer: customerId,
+        items: [{ price: priceId }],
+        metadata,
+        // No requiere payment_method porque el precio es €0
+      },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
 
     logger.info(
       `Free subscription created: ${subscription.id} for customer: ${customerId}`
@@ -557,6 +809,67 @@ export const updateSubscriptionPlan = async ({
 // ADDON MANAGEMENT - Subscription Items
 // ====================================================================
 
+/**
+ * Previsualizar la factura resultante de cambiar el plan y los AddOns
+ * Usa la API de facturas de previsualización (upcoming invoice) de Stripe:
+ * no modifica la suscripción.
+ *
+ * @param {Object} params - Parámetros de la previsualización
+ * @param {string} params.subscriptionId - ID de la suscripción
+ * @param {string} params.planPriceId - Price ID del plan propuesto
+ * @param {string[]} params.addOnPriceIds - Price IDs de los AddOns propuestos
+ * @param {string} params.prorationBehavior - always_invoice (factura inmediata), create_prorations o none
+ * @returns {Promise<Object>} Factura de previsualización de Stripe
+ */
+export const previewSubscriptionChange = async ({
+  subscriptionId,
+  planPriceId,
+  addOnPriceIds = [],
+  prorationBehavior = 'create_prorations',
+}) => {
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+    // El item del plan es el que tiene un precio de plan; el resto son AddOns
+    const planItem =
+      subscription.items.data.find((item) =>
+        getPlanNameFromPriceId(item.price.id)
+      ) || subscription.items.data[0];
+
+    const pendingAddOnPrices = [...addOnPriceIds];
+    const items = [{ id: planItem.id, price: planPriceId }];
+
+    for (const item of subscription.items.data) {
+      if (item.id === planItem.id) continue;
+
+      const index = pendingAddOnPrices.indexOf(item.price.id);
+      if (index >= 0) {
+        pendingAddOnPrices.splice(index, 1);
+        items.push({ id: item.id });
+      } else {
+        items.push({ id: item.id, deleted: true });
+      }
+    }
+
+    for (const price of pendingAddOnPrices) {
+      items.push({ price, quantity: 1 });
+    }
+
+    return await stripe.invoices.createPreview({
+      customer: subscription.customer,
+      subscription: subscriptionId,
+      subscription_details: {
+        items,
+        proration_behavior: prorationBehavior,
+        proration_date: Math.floor(Date.now() / 1000),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error previewing subscription change: ${error.message}`);
+    throw new Error('Failed to preview subscription change');
+  }
+};
+
 /**
  * Add an AddOn to an existing subscription as a new subscription item
  * @param {Object} params - Parameters for adding subscription item
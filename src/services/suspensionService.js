@@ -0,0 +1,122 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import * as stripeService from './stripeService.js';
+import { saveWithOutbox, createSpaceContractEntry } from './outboxService.js';
+import { FREE_PLAN } from '../config/plans.config.js';
+
+// Estados en los que Stripe sigue cobrando y hay que pausar el cobro
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Suspender la cuenta de un usuario (USER_BANNED)
+ * Pausa el cobro en Stripe, marca la suscripción como 'suspended' y baja el
+ * contrato de SPACE a FREE. Se guarda el estado anterior y el motivo en el
+ * historial de suspensiones para poder restaurarlo y auditarlo.
+ * Si la cuenta ya está suspendida no se hace nada.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - ID del usuario
+ * @param {string} params.reason - Motivo de la suspensión (opcional)
+ * @returns {Promise<Object>} { suspended, subscription }
+ */
+export const suspendUser = async ({ userId, reason }) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  if (!subscription) {
+    logger.info(`No subscription found for user ${userId}, nothing to suspend`);
+    return { suspended: false, subscription: null };
+  }
+
+  if (subscription.isSuspended()) {
+    logger.info(`Subscription of user ${userId} is already suspended`);
+    return { suspended: false, subscription };
+  }
+
+  const previousStatus = subscription.status;
+
+  // Las suscripciones FREE (0 €) no generan cobros
+  const collectionPaused = Boolean(
+    subscription.stripeSubscriptionId &&
+      subscription.planType !== FREE_PLAN &&
+      BILLABLE_STATUSES.includes(previousStatus)
+  );
+
+  // 1. Pausar el cobro en Stripe (antes de guardar: si falla, el evento se
+  // reintenta sin haber marcado la suspensión)
+  if (collectionPaused) {
+    await stripeService.pauseSubscription(subscription.stripeSubscriptionId);
+  }
+
+  // 2. Registro local + bajada de SPACE a FREE
+  subscription.status = 'suspended';
+  subscription.suspensions.push({
+    reason: reason || null,
+    suspendedAt: new Date(),
+    previousStatus,
+    collectionPaused,
+  });
+  await saveWithOutbox(subscription, [
+    createSpaceContractEntry(subscription, { plan: FREE_PLAN, addOns: [] }),
+  ]);
+
+  logger.info(
+    `Subscription of user ${userId} suspended${reason ? ` (reason: ${reason})` : ''}`
+  );
+  return { suspended: true, subscription };
+};
+
+/**
+ * Levantar la suspensión de un usuario (USER_UNBANNED)
+ * Reanuda el cobro en Stripe si la suspensión lo pausó, recupera el estado
+ * anterior y restaura en SPACE el plan y los AddOns. El motivo de la
+ * suspensión se conserva en el historial con la fecha en que se levantó.
+ * Si la cuenta no está suspendida no se hace nada.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - ID del usuario
+ * @returns {Promise<Object>} { reinstated, subscription }
+ */
+export const reinstateUser = async ({ userId }) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  if (!subscription || !subscription.isSuspended()) {
+    logger.info(`Subscription of user ${userId} is not suspended`);
+    return { reinstated: false, subscription };
+  }
+
+  const suspension = subscription.getActiveSuspension();
+  let status = suspension?.previousStatus || 'active';
+
+  // 1. Reanudar el cobro en Stripe
+  if (suspension?.collectionPaused) {
+    const stripeSubscription = await stripeService.resumeSubscription(
+      subscription.stripeSubscriptionId
+    );
+    status = stripeSubscription.status;
+  }
+
+  // 2. Registro local + restauración de SPACE. Una pausa del usuario o una
+  // bajada por impago anteriores a la suspensión mantienen SPACE en FREE
+  subscription.status = status;
+  if (suspension) {
+    suspension.liftedAt = new Date();
+  }
+
+  const restoreSpace =
+    ['active', 'trialing'].includes(status) ||
+    (status === 'past_due' && !subscription.dunning?.downgradedAt);
+
+  await saveWithOutbox(subscription, [
+    restoreSpace ? createSpaceContractEntry(subscription) : null,
+  ]);
+
+  logger.info(
+    `Suspension of user ${userId} lifted, subscription back to ${status}`
+  );
+  return { reinstated: true, subscription };
+};
+
+export default {
+  suspendUser,
+  reinstateUser,
+};
@@ -0,0 +1,124 @@
+import logger from '../../logger.js';
+import TrialUsage from '../models/TrialUsage.js';
+import * as stripeService from './stripeService.js';
+
+/**
+ * Obtener el fingerprint de la tarjeta por defecto de una suscripción
+ *
+ * @param {Object} stripeSubscription - Suscripción de Stripe
+ * @returns {Promise<string|null>} Fingerprint o null si no hay tarjeta
+ */
+const getCardFingerprint = async (stripeSubscription) => {
+  const paymentMethod = stripeSubscription.default_payment_method;
+
+  if (!paymentMethod) {
+    return null;
+  }
+
+  const method =
+    typeof paymentMethod === 'string'
+      ? await stripeService.getPaymentMethod(paymentMethod)
+      : paymentMethod;
+
+  return method.card?.fingerprint || null;
+};
+
+/**
+ * Terminar una prueba revocada si en Stripe sigue en periodo de prueba
+ * Se lee el estado actual de Stripe: el del evento puede estar desfasado.
+ *
+ * @param {string} subscriptionId - ID de la suscripción de Stripe
+ */
+const endTrialIfStillTrialing = async (subscriptionId) => {
+  const current = await stripeService.getSubscription(subscriptionId);
+
+  if (current.status === 'trialing') {
+    await stripeService.endTrialNow(subscriptionId);
+    logger.warn(
+      `Revoked trial of subscription ${subscriptionId} was still running, billed now`
+    );
+  }
+};
+
+/**
+ * Registrar el inicio de una prueba gratuita
+ * Si el usuario ya tuvo una prueba o la tarjeta ya se usó en la prueba de
+ * otro usuario, la prueba se termina en el momento (Stripe cobra la primera
+ * factura) para que no se puedan encadenar pruebas.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - ID del usuario
+ * @param {string} params.planType - Plan de la prueba
+ * @param {Object} params.stripeSubscription - Suscripción de Stripe en 'trialing'
+ * @returns {Promise<Object>} { revoked, reason }
+ */
+export const registerTrial = async ({
+  userId,
+  planType,
+  stripeSubscription,
+}) => {
+  const cardFingerprint = await getCardFingerprint(stripeSubscription);
+
+  let reason = null;
+
+  if (cardFingerprint) {
+    const usedByOtherUser = await TrialUsage.exists({
+      cardFingerprint,
+      userId: { $ne: userId },
+    });
+    if (usedByOtherUser) {
+      reason = 'CARD_ALREADY_USED';
+    }
+  }
+
+  try {
+    await TrialUsage.create({
+      userId,
+      planType,
+      stripeCustomerId: stripeSubscription.customer,
+      stripeSubscriptionId: stripeSubscription.id,
+      cardFingerprint,
+      trialStart: stripeSubscription.trial_start
+        ? new Date(stripeSubscription.trial_start * 1000)
+        : new Date(),
+      trialEnd: stripeSubscription.trial_end
+        ? new Date(stripeSubscription.trial_end * 1000)
+        : undefined,
+      revoked: Boolean(reason),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // El registro ya existe: es la misma prueba (evento reprocesado) o una
+    // segunda prueba iniciada antes de que se registrara la primera
+    const existing = await TrialUsage.findOne({ userId });
+    if (existing.stripeSubscriptionId === stripeSubscription.id) {
+      // La revocación se guarda antes de terminar la prueba en Stripe: si
+      // aquello falló, el reintento del webhook tiene que terminarla
+      if (existing.revoked) {
+        await endTrialIfStillTrialing(stripeSubscription.id);
+      }
+      return { revoked: existing.revoked, reason: null };
+    }
+    reason = 'TRIAL_ALREADY_USED';
+  }
+
+  if (reason) {
+    await stripeService.endTrialNow(stripeSubscription.id);
+    logger.warn(
+      `Trial revoked for user ${userId} (${reason}), subscription ${stripeSubscription.id} billed now`
+    );
+    return { revoked: true, reason };
+  }
+
+  logger.info(
+    `Trial registered for user ${userId} on plan ${planType} until ${stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000).toISOString() : 'unknown'}`
+  );
+  return { revoked: false, reason: null };
+};
+
+export default {
+  registerTrial,
+};
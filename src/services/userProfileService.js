@@ -0,0 +1,70 @@
+import logger from '../../logger.js';
+import Subscription from '../models/Subscription.js';
+import * as stripeService from './stripeService.js';
+import * as spaceService from './spaceService.js';
+
+/**
+ * Sincronizar los cambios de perfil de un usuario (USER_UPDATED)
+ * Propaga username y email al customer de Stripe (para que los recibos lleguen
+ * a la dirección real), al userContact de SPACE y al registro local. El
+ * registro local se guarda el último: si Stripe o SPACE fallan, el reintento
+ * del evento vuelve a detectar el cambio.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - ID del usuario
+ * @param {string} params.username - Nuevo nombre de usuario (opcional)
+ * @param {string} params.email - Nuevo email (opcional)
+ * @returns {Promise<Object>} { updated, changes }
+ */
+export const syncUserProfile = async ({ userId, username, email }) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  if (!subscription) {
+    logger.info(`No subscription found for user ${userId}, nothing to sync`);
+    return { updated: false, changes: [] };
+  }
+
+  const changes = [];
+  if (username && username !== subscription.username) {
+    changes.push('username');
+  }
+  if (email && email !== subscription.email) {
+    changes.push('email');
+  }
+
+  if (changes.length === 0) {
+    logger.info(`Profile of user ${userId} already up to date`);
+    return { updated: false, changes };
+  }
+
+  const newUsername = username || subscription.username;
+  const newEmail = email || subscription.email;
+
+  // 1. Customer de Stripe
+  if (subscription.stripeCustomerId) {
+    await stripeService.updateCustomer(subscription.stripeCustomerId, {
+      email: newEmail,
+      name: newUsername,
+      metadata: { userId, username: newUsername },
+    });
+  }
+
+  // 2. Datos de contacto del contrato de SPACE
+  await spaceService.updateSpaceUserContact(userId, {
+    userId,
+    username: newUsername,
+    email: newEmail,
+  });
+
+  // 3. Registro local
+  subscription.username = newUsername;
+  subscription.email = newEmail;
+  await subscription.save();
+
+  logger.info(`Profile of user ${userId} synced (${changes.join(', ')})`);
+  return { updated: true, changes };
+};
+
+export default {
+  syncUserProfile,
+};
@@ -0,0 +1,171 @@
+import logger from '../../logger.js';
+import WebhookInboxEntry from '../models/WebhookInboxEntry.js';
+import { processWebhookEvent } from '../controllers/subscriptionController.js';
+
+const POLL_INTERVAL = Number(process.env.WEBHOOK_INBOX_POLL_INTERVAL || 2000);
+const BATCH_SIZE = Number(process.env.WEBHOOK_INBOX_BATCH_SIZE || 10);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_INBOX_MAX_ATTEMPTS || 8);
+const RETRY_BASE_DELAY = Number(
+  process.env.WEBHOOK_INBOX_RETRY_BASE_DELAY || 5000
+);
+const RETRY_MAX_DELAY = Number(
+  process.env.WEBHOOK_INBOX_RETRY_MAX_DELAY || 60 * 60 * 1000
+);
+// Una entrada en 'processing' más tiempo que esto se considera abandonada
+const LOCK_TIMEOUT = Number(
+  process.env.WEBHOOK_INBOX_LOCK_TIMEOUT || 10 * 60 * 1000
+);
+
+let timer = null;
+let running = false;
+let currentBatch = null;
+
+/**
+ * Calcular el retraso antes del siguiente intento (backoff exponencial)
+ *
+ * @param {number} attempts - Intentos realizados hasta ahora
+ * @returns {number} Retraso en milisegundos
+ */
+export function getRetryDelay(attempts) {
+  const delay = RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, RETRY_MAX_DELAY);
+}
+
+/**
+ * Reclamar la siguiente entrada lista para procesar
+ * La actualización es atómica, por lo que varias instancias del servicio
+ * pueden ejecutar el worker a la vez sin procesar dos veces la misma entrada.
+ */
+async function claimNextEntry() {
+  const now = new Date();
+
+  return WebhookInboxEntry.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: { $in: ['pending', 'failed'] },
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) },
+        },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { receivedAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Procesar la siguiente entrada de la inbox
+ *
+ * @returns {Promise<Object|null>} Entrada procesada o null si no había ninguna
+ */
+export async function processNextInboxEntry() {
+  const entry = await claimNextEntry();
+
+  if (!entry) {
+    return null;
+  }
+
+  try {
+    await processWebhookEvent(entry.payload);
+
+    entry.status = 'processed';
+    entry.processedAt = new Date();
+    entry.lastError = null;
+    entry.lockedAt = undefined;
+    await entry.save();
+
+    logger.info(`Inbox entry ${entry.eventId} (${entry.type}) processed`);
+  } catch (error) {
+    entry.lastError = error.message;
+    entry.lockedAt = undefined;
+
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = 'dead';
+      logger.error(
+        `Inbox entry ${entry.eventId} (${entry.type}) marked as dead after ${entry.attempts} attempts: ${error.message}`
+      );
+    } else {
+      const delay = getRetryDelay(entry.attempts);
+      entry.status = 'failed';
+      entry.nextAttemptAt = new Date(Date.now() + delay);
+      logger.warn(
+        `Inbox entry ${entry.eventId} (${entry.type}) failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}), retrying in ${delay / 1000}s: ${error.message}`
+      );
+    }
+
+    await entry.save();
+  }
+
+  return entry;
+}
+
+/**
+ * Procesar un lote de entradas pendientes
+ *
+ * @param {number} limit - Número máximo de entradas a procesar
+ * @returns {Promise<number>} Número de entradas procesadas
+ */
+export async function processInboxBatch(limit = BATCH_SIZE) {
+  let processed = 0;
+
+  while (processed < limit) {
+    const entry = await processNextInboxEntry();
+    if (!entry) break;
+    processed++;
+  }
+
+  return processed;
+}
+
+/**
+ * Iniciar el worker de la inbox de webhooks
+ */
+export function startWebhookInboxWorker() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(
+    `Webhook inbox worker started (poll interval: ${POLL_INTERVAL / 1000}s)`
+  );
+
+  const tick = async () => {
+    currentBatch = processInboxBatch().catch((error) => {
+      logger.error(`Webhook inbox worker error: ${error.message}`);
+    });
+    await currentBatch;
+    currentBatch = null;
+
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Detener el worker esperando a que termine el lote en curso
+ */
+export async function stopWebhookInboxWorker() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentBatch) {
+    await currentBatch;
+  }
+
+  logger.info('Webhook inbox worker stopped');
+}
@@ -0,0 +1,45 @@
+/**
+ * Errores del procesamiento de eventos de Kafka
+ *
+ * Un error permanente no se soluciona reintentando (JSON inválido, datos que
+ * faltan en el evento...), así que el evento va directamente a la DLQ. El
+ * resto (Stripe, MongoDB o SPACE caídos temporalmente) se reintentan.
+ */
+
+/**
+ * Error que no se soluciona reintentando el mismo evento
+ */
+export class PermanentEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentEventError';
+  }
+}
+
+/**
+ * Evento rechazado por no cumplir su esquema (tipo o versión desconocidos,
+ * campos que faltan...)
+ */
+export class EventValidationError extends PermanentEventError {
+  constructor(message) {
+    super(message);
+    this.name = 'EventValidationError';
+  }
+}
+
+// Errores de mongoose causados por los datos del evento, no por la conexión
+const PERMANENT_ERROR_NAMES = ['SyntaxError', 'ValidationError', 'CastError'];
+
+/**
+ * Verificar si un error es transitorio (merece la pena reintentar)
+ *
+ * @param {Error} error - Error lanzado al procesar el evento
+ * @returns {boolean} false si el error es permanente
+ */
+export function isTransientError(error) {
+  if (error instanceof PermanentEventError) {
+    return false;
+  }
+
+  return !PERMANENT_ERROR_NAMES.includes(error?.name);
+}
@@ -0,0 +1,626 @@
+import yaml from 'js-yaml';
+
+/**
+ * Pricing de SPACE (formato SocialBeats-1.0.yaml)
+ *
+ * Convierte el catálogo de planes y AddOns de plans.config.js al YAML de
+ * pricing que usa SPACE (y al revés, para cargar el catálogo desde el YAML) y
+ * compara dos pricings por sus valores efectivos, de forma que un cambio de
+ * planes no diverja en silencio de SPACE.
+ *
+ * CONVENCIONES:
+ * - Los valores por defecto de features y límites son los del plan gratuito;
+ *   cada plan solo declara los que cambian
+ * - Cada límite maxXxx está ligado a la feature xxx (maxBeats -> beats)
+ * - Los límites ilimitados (Infinity) se escriben como .inf
+ */
+
+export const SAAS_NAME = 'SocialBeats';
+export const SYNTAX_VERSION = '3.0';
+export const CURRENCY = 'EUR';
+
+// Unidad de los límites de uso que no se cuentan en unidades
+const USAGE_LIMIT_UNITS = {
+  maxBeatSize: 'MB',
+  maxStorage: 'MB',
+};
+
+/**
+ * Feature ligada a un límite de uso por convención de nombres
+ */
+export const getLinkedFeature = (limitName) =>
+  limitName.replace(/^max(.)/, (_, first) => first.toLowerCase());
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key, fn(value, key)])
+  );
+
+// { name: valor } -> { name: { value } }, o undefined si no hay ninguno
+const toValueMap = (values) =>
+  Object.keys(values).length > 0
+    ? mapValues(values, (value) => ({ value }))
+    : undefined;
+
+// Valores que difieren de los por defecto
+const overridesOf = (values, defaults) =>
+  Object.fromEntries(
+    Object.entries(values).filter(([key, value]) => value !== defaults[key])
+  );
+
+// Quitar las claves sin valor para que no aparezcan en el YAML
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+/**
+ * Construir el pricing de SPACE a partir del catálogo de planes y AddOns
+ *
+ * @param {Object} plans - Planes (PLANS de plans.config.js)
+ * @param {Object} addOns - AddOns (ADDONS de plans.config.js)
+ * @param {Object} options
+ * @param {string} options.defaultPlan - Plan con los valores por defecto
+ * @param {string} options.version - Versión del pricing
+ * @param {string} options.createdAt - Fecha de creación (YYYY-MM-DD)
+ * @returns {Object} Pricing de SPACE
+ */
+export const buildSpacePricing = (
+  plans,
+  addOns,
+  {
+    defaultPlan = 'FREE',
+    version = '1.0',
+    createdAt = new Date().toISOString().slice(0, 10),
+  } = {}
+) => {
+  const base = plans[defaultPlan];
+
+  if (!base) {
+    throw new Error(`Default plan ${defaultPlan} not found`);
+  }
+
+  const featureNames = [
+    ...new Set(Object.values(plans).flatMap((p) => Object.keys(p.features))),
+  ];
+  const limitNames = [
+    ...new Set(Object.values(plans).flatMap((p) => Object.keys(p.usageLimits))),
+  ];
+
+  const defaults = {
+    features: Object.fromEntries(
+      featureNames.map((name) => [name, base.features[name] ?? false])
+    ),
+    usageLimits: Object.fromEntries(
+      limitNames.map((name) => [name, base.usageLimits[name] ?? 0])
+    ),
+  };
+
+  return {
+    saasName: SAAS_NAME,
+    syntaxVersion: SYNTAX_VERSION,
+    version,
+    createdAt,
+    currency: CURRENCY,
+    features: mapValues(defaults.features, (defaultValue) => ({
+      valueType: 'BOOLEAN',
+      defaultValue,
+      type: 'DOMAIN',
+    })),
+    usageLimits: mapValues(defaults.usageLimits, (defaultValue, name) =>
+      compact({
+        valueType: 'NUMERIC',
+        defaultValue,
+        unit: USAGE_LIMIT_UNITS[name] || 'unit',
+        type: 'NON_RENEWABLE',
+        linkedFeatures: featureNames.includes(getLinkedFeature(name))
+          ? [getLinkedFeature(name)]
+          : undefined,
+      })
+    ),
+    plans: mapValues(plans, (plan) =>
+      compact({
+        description: plan.description,
+        price: plan.price,
+        unit: plan.unit,
+        features: toValueMap(overridesOf(plan.features, defaults.features)),
+        usageLimits: toValueMap(
+          overridesOf(plan.usageLimits, defaults.usageLimits)
+        ),
+      })
+    ),
+    addOns: mapValues(addOns, (addon) =>
+      compact({
+        description: addon.description,
+        availableFor: addon.availableFor,
+        price: addon.price,
+        unit: addon.unit,
+        features: toValueMap(addon.features),
+        usageLimitsExtensions: toValueMap(addon.usageLimitsExtensions),
+      })
+    ),
+  };
+};
+
+/**
+ * Serializar un pricing de SPACE a YAML
+ *
+ * @param {Object} pricing - Pricing de SPACE
+ * @returns {string} YAML
+ */
+export const dumpSpacePricing = (pricing) =>
+  yaml.dump(pricing, { lineWidth: -1, noRefs: true });
+
+/**
+ * Leer un pricing de SPACE desde YAML
+ *
+ * @param {string} source - YAML
+ * @returns {Object} Pricing de SPACE
+ * @throws {Error} Si el YAML no es válido o no es un objeto
+ */
+export const parseSpacePricing = (source) => {
+  const pricing = yaml.load(source);
+
+  if (!isPlainObject(pricing)) {
+    throw new Error('SPACE pricing must be a YAML object');
+  }
+
+  return pricing;
+};
+
+// { name: { value } } -> { name: valor }
+const fromValueMap = (values) =>
+  mapValues(values || {}, (entry) =>
+    isPlainObject(entry) ? entry.value : entry
+  );
+
+/**
+ * Calcular los valores efectivos de un pricing de SPACE
+ * Aplica los valores por defecto a cada plan, de forma que dos pricings con
+ * los mismos valores se comparan igual aunque declaren distintos overrides.
+ *
+ * @param {Object} pricing - Pricing de SPACE
+ * @returns {Object} { plans, addOns } con features y límites completos
+ */
+export const normalizeSpacePricing = (pricing) => {
+  const defaults = {
+    features: mapValues(pricing.features || {}, (f) => f?.defaultValue),
+    usageLimits: mapValues(pricing.usageLimits || {}, (l) => l?.defaultValue),
+  };
+  const plans = pricing.plans || {};
+
+  return {
+    plans: mapValues(plans, (plan) => ({
+      price: plan?.price,
+      unit: plan?.unit,
+      features: { ...defaults.features, ...fromValueMap(plan?.features) },
+      usageLimits: {
+        ...defaults.usageLimits,
+        ...fromValueMap(plan?.usageLimits),
+      },
+    })),
+    addOns: mapValues(pricing.addOns || {}, (addon) => ({
+      price: addon?.price,
+      unit: addon?.unit,
+      // Sin availableFor el AddOn está disponible para todos los planes
+      availableFor: [...(addon?.availableFor || Object.keys(plans))].sort(),
+      features: fromValueMap(addon?.features),
+      usageLimitsExtensions: fromValueMap(addon?.usageLimitsExtensions),
+    })),
+  };
+};
+
+// Las listas (availableFor) ya vienen ordenadas
+const sameValue = (a, b) =>
+  Array.isArray(a) && Array.isArray(b)
+    ? JSON.stringify(a) === JSON.stringify(b)
+    : a === b;
+
+/**
+ * Comparar dos valores y acumular sus diferencias por ruta
+ * Un valor que falta en uno de los dos lados queda como undefined.
+ */
+const collectDifferences = (path, expected, actual, differences) => {
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      collectDifferences(
+        path ? `${path}.${key}` : key,
+        expected[key],
+        actual[key],
+        differences
+      );
+    }
+    return;
+  }
+
+  if (!sameValue(expected, actual)) {
+    differences.push({ path, expected, actual });
+  }
+};
+
+/**
+ * Comparar dos pricings de SPACE por sus valores efectivos
+ * Compara precios, unidades, disponibilidad de AddOns, features y límites;
+ * los metadatos (descripciones, fechas, versión) no cuentan como diferencia.
+ *
+ * @param {Object} expected - Pricing de referencia (el generado)
+ * @param {Object} actual - Pricing a comprobar (p. ej. el de SPACE)
+ * @returns {Object[]} Diferencias { path, expected, actual }
+ */
+export const diffSpacePricing = (expected, actual) => {
+  const differences = [];
+
+  collectDifferences(
+    '',
+    normalizeSpacePricing(expected),
+    normalizeSpacePricing(actual),
+    differences
+  );
+
+  return differences;
+};
+
+/**
+ * Error de validación de un pricing de SPACE
+ * Incluye todos los problemas encontrados, no solo el primero.
+ */
+export class SpacePricingValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid SPACE pricing:\n- ${errors.join('\n- ')}`);
+    this.name = 'SpacePricingValidationError';
+    this.errors = errors;
+  }
+}
+
+// Claves admitidas en planes y AddOns: una errata (p. ej. usageLimit) haría
+// que se ignoraran sus valores sin avisar
+const PLAN_KEYS = ['description', 'price', 'unit', 'features', 'usageLimits'];
+const ADDON_KEYS = [
+  'description',
+  'availableFor',
+  'price',
+  'unit',
+  'features',
+  'usageLimitsExtensions',
+];
+
+// Los nombres de los precios de Stripe en el entorno se derivan de estos
+const PLAN_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const ADDON_NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+const isLimit = (value) => typeof value === 'number' && value >= 0;
+const isPrice = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validar un mapa { name: { value } } contra las features o límites declarados
+ */
+const validateValueMap = (path, values, declared, isValid, errors) => {
+  if (values === undefined || values === null) return;
+
+  if (!isPlainObject(values)) {
+    errors.push(`${path} must be a map`);
+    return;
+  }
+
+  for (const [name, entry] of Object.entries(values)) {
+    if (!(name in declared)) {
+      errors.push(`${path}.${name} is not declared`);
+    } else if (!isPlainObject(entry) || !isValid(entry.value)) {
+      errors.push(`${path}.${name} must be { value } with a valid value`);
+    }
+  }
+};
+
+/**
+ * Comprobar que un pricing declara exactamente los nombres admitidos
+ * Uno nuevo no se podría guardar en las suscripciones y quitar uno dejaría sin
+ * catálogo a las que ya lo tienen.
+ */
+const validateNames = (section, declared, supported, errors, skip = []) => {
+  if (!supported) return;
+
+  for (const name of Object.keys(declared)) {
+    if (!supported.includes(name)) {
+      errors.push(
+        `${section}.${name} is not supported (supported: ${supported.join(', ')})`
+      );
+    }
+  }
+  for (const name of supported) {
+    if (!(name in declared) && !skip.includes(name)) {
+      errors.push(`${section}.${name} is missing (subscriptions may use it)`);
+    }
+  }
+};
+
+/**
+ * Validar de forma estricta un pricing de SPACE
+ * Solo admite lo que el catálogo de plans.config.js puede representar:
+ * features booleanas, límites numéricos (.inf = sin límite), precios en EUR
+ * y referencias a features, límites y planes declarados.
+ *
+ * @param {Object} pricing - Pricing de SPACE
+ * @param {Object} options
+ * @param {string} options.defaultPlan - Plan gratuito obligatorio
+ * @param {string[]} options.planNames - Planes que debe declarar exactamente
+ *   (opcional, sin comprobar si no se indica)
+ * @param {string[]} options.addOnNames - AddOns que debe declarar exactamente
+ *   (opcional, sin comprobar si no se indica)
+ * @returns {string[]} Errores encontrados (vacío si es válido)
+ */
+export const validateSpacePricing = (
+  pricing,
+  { defaultPlan = 'FREE', planNames, addOnNames } = {}
+) => {
+  const errors = [];
+
+  if (!isPlainObject(pricing)) {
+    return ['pricing must be a map'];
+  }
+
+  if (pricing.currency !== undefined && pricing.currency !== CURRENCY) {
+    errors.push(`currency must be ${CURRENCY}`);
+  }
+
+  const features = pricing.features;
+  const usageLimits = pricing.usageLimits ?? {};
+  const plans = pricing.plans;
+  const addOns = pricing.addOns ?? {};
+
+  if (!isPlainObject(features) || Object.keys(features).length === 0) {
+    errors.push('features must be a non-empty map');
+  }
+  if (!isPlainObject(usageLimits)) {
+    errors.push('usageLimits must be a map');
+  }
+  if (!isPlainObject(plans) || Object.keys(plans).length === 0) {
+    errors.push('plans must be a non-empty map');
+  }
+  if (!isPlainObject(addOns)) {
+    errors.push('addOns must be a map');
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const [name, feature] of Object.entries(features)) {
+    if (feature?.valueType !== 'BOOLEAN') {
+      errors.push(`features.${name}.valueType must be BOOLEAN`);
+    }
+    if (typeof feature?.defaultValue !== 'boolean') {
+      errors.push(`features.${name}.defaultValue must be a boolean`);
+    }
+  }
+
+  for (const [name, limit] of Object.entries(usageLimits)) {
+    if (limit?.valueType !== 'NUMERIC') {
+      errors.push(`usageLimits.${name}.valueType must be NUMERIC`);
+    }
+    if (!isLimit(limit?.defaultValue)) {
+      errors.push(
+        `usageLimits.${name}.defaultValue must be a non-negative number`
+      );
+    }
+    for (const feature of limit?.linkedFeatures || []) {
+      if (!(feature in features)) {
+        errors.push(
+          `usageLimits.${name}.linkedFeatures: ${feature} is not declared`
+        );
+      }
+    }
+  }
+
+  for (const [name, plan] of Object.entries(plans)) {
+    const path = `plans.${name}`;
+
+    if (!PLAN_NAME_PATTERN.test(name)) {
+      errors.push(`${path}: plan names must be upper case (e.g. PRO)`);
+    }
+    if (!isPlainObject(plan)) {
+      errors.push(`${path} must be a map`);
+      continue;
+    }
+    for (const key of Object.keys(plan)) {
+      if (!PLAN_KEYS.includes(key)) {
+        errors.push(`${path}.${key} is not supported`);
+      }
+    }
+    if (!isPrice(plan.price)) {
+      errors.push(`${path}.price must be a non-negative number`);
+    }
+    if (typeof plan.unit !== 'string' || !plan.unit) {
+      errors.push(`${path}.unit is required`);
+    }
+    validateValueMap(
+      `${path}.features`,
+      plan.features,
+      features,
+      (value) => typeof value === 'boolean',
+      errors
+    );
+    validateValueMap(
+      `${path}.usageLimits`,
+      plan.usageLimits,
+      usageLimits,
+      isLimit,
+      errors
+    );
+  }
+
+  // El plan gratuito que falta ya se indica a continuación
+  validateNames('plans', plans, planNames, errors, [defaultPlan]);
+
+  if (!plans[defaultPlan]) {
+    errors.push(`plans.${defaultPlan} is required (default free plan)`);
+  } else if (plans[defaultPlan].price !== 0) {
+    errors.push(`plans.${defaultPlan}.price must be 0`);
+  }
+
+  validateNames('addOns', addOns, addOnNames, errors);
+
+  for (const [name, addon] of Object.entries(addOns)) {
+    const path = `addOns.${name}`;
+
+    if (!ADDON_NAME_PATTERN.test(name)) {
+      errors.push(
+        `${path}: add-on names must be camelCase (e.g. extraDashboard)`
+      );
+    }
+    if (!isPlainObject(addon)) {
+      errors.push(`${path} must be a map`);
+      continue;
+    }
+    for (const key of Object.keys(addon)) {
+      if (!ADDON_KEYS.includes(key)) {
+        errors.push(`${path}.${key} is not supported`);
+      }
+    }
+    if (!isPrice(addon.price)) {
+      errors.push(`${path}.price must be a non-negative number`);
+    }
+    if (typeof addon.unit !== 'string' || !addon.unit) {
+      errors.push(`${path}.unit is required`);
+    }
+    if (addon.availableFor !== undefined) {
+      if (!Array.isArray(addon.availableFor) || !addon.availableFor.length) {
+        errors.push(`${path}.availableFor must be a non-empty list of plans`);
+      } else {
+        for (const plan of addon.availableFor) {
+          if (!(plan in plans)) {
+            errors.push(`${path}.availableFor: plan ${plan} is not declared`);
+          }
+        }
+      }
+    }
+    validateValueMap(
+      `${path}.features`,
+      addon.features,
+      features,
+      (value) => typeof value === 'boolean',
+      errors
+    );
+    validateValueMap(
+      `${path}.usageLimitsExtensions`,
+      addon.usageLimitsExtensions,
+      usageLimits,
+      isLimit,
+      errors
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Nombre de la variable de entorno con el precio de Stripe de un plan o AddOn
+ * Convención: STRIPE_PRICE_<PLAN> y STRIPE_PRICE_ADDON_<ADDON_EN_SNAKE_CASE>
+ * (p. ej. PRO -> STRIPE_PRICE_PRO, extraDashboard ->
+ * STRIPE_PRICE_ADDON_EXTRA_DASHBOARD).
+ *
+ * @param {string} name - Nombre del plan o AddOn
+ * @param {Object} options
+ * @param {boolean} options.addOn - true si es un AddOn
+ * @returns {string} Nombre de la variable de entorno
+ */
+export const getStripePriceEnvName = (name, { addOn = false } = {}) =>
+  addOn
+    ? `STRIPE_PRICE_ADDON_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`
+    : `STRIPE_PRICE_${name}`;
+
+const capitalize = (name) => name.charAt(0) + name.slice(1).toLowerCase();
+
+/**
+ * Convertir un pricing de SPACE en el catálogo de plans.config.js
+ * El pricing manda en precios, features, límites y disponibilidad. Los datos
+ * que SPACE no tiene (nombre visible, días de prueba, icono) se toman del
+ * catálogo integrado si el plan o AddOn existe en él. Los precios de Stripe
+ * se leen del entorno por convención (ver getStripePriceEnvName).
+ *
+ * @param {Object} pricing - Pricing de SPACE
+ * @param {Object} options
+ * @param {Object} options.builtInPlans - Planes integrados
+ * @param {Object} options.builtInAddOns - AddOns integrados
+ * @param {string} options.defaultPlan - Plan gratuito obligatorio
+ * @param {string[]} options.planNames - Planes admitidos (ver validateSpacePricing)
+ * @param {string[]} options.addOnNames - AddOns admitidos (ver validateSpacePricing)
+ * @param {Object} options.env - Variables de entorno (process.env)
+ * @returns {Object} { plans, addOns }
+ * @throws {SpacePricingValidationError} Si el pricing no es válido
+ */
+export const spacePricingToCatalog = (
+  pricing,
+  {
+    builtInPlans = {},
+    builtInAddOns = {},
+    defaultPlan = 'FREE',
+    planNames,
+    addOnNames,
+    env = process.env,
+  } = {}
+) => {
+  const errors = validateSpacePricing(pricing, {
+    defaultPlan,
+    planNames,
+    addOnNames,
+  });
+
+  if (errors.length > 0) {
+    throw new SpacePricingValidationError(errors);
+  }
+
+  const { plans, addOns } = normalizeSpacePricing(pricing);
+
+  return {
+    plans: mapValues(plans, (plan, name) => {
+      const builtIn = builtInPlans[name];
+
+      return {
+        name,
+        displayName: builtIn?.displayName ?? capitalize(name),
+        description: pricing.plans[name].description ?? builtIn?.description,
+        price: plan.price,
+        unit: plan.unit,
+        stripePriceId: env[getStripePriceEnvName(name)],
+        trialDays: builtIn?.trialDays ?? 0,
+        features: plan.features,
+        usageLimits: plan.usageLimits,
+      };
+    }),
+    addOns: mapValues(addOns, (addon, name) => {
+      const builtIn = builtInAddOns[name];
+
+      return {
+        name,
+        displayName: builtIn?.displayName ?? name,
+        description: pricing.addOns[name].description ?? builtIn?.description,
+        price: addon.price,
+        unit: addon.unit,
+        stripePriceId: env[getStripePriceEnvName(name, { addOn: true })],
+        availableFor: addon.availableFor,
+        icon: builtIn?.icon,
+        features: addon.features,
+        usageLimitsExtensions: addon.usageLimitsExtensions,
+      };
+    }),
+  };
+};
+
+export default {
+  SAAS_NAME,
+  SYNTAX_VERSION,
+  CURRENCY,
+  getLinkedFeature,
+  buildSpacePricing,
+  dumpSpacePricing,
+  parseSpacePricing,
+  normalizeSpacePricing,
+  diffSpacePricing,
+  validateSpacePricing,
+  getStripePriceEnvName,
+  spacePricingToCatalog,
+};
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import DeadLetterEvent from '../../src/models/DeadLetterEvent.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import { setEventBus } from '../../src/services/eventBus.js';
+import { createInMemoryEventBus } from '../../src/services/inMemoryEventBus.js';
+import {
+  startKafkaConsumer,
+  stopKafkaConsumer,
+  getKafkaConsumerStatus,
+} from '../../src/services/kafkaConsumer.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  findSubscription: vi.fn().mockResolvedValue({ status: 'active' }),
+  cancelSubscriptionImmediately: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  deleteSpaceContract: vi.fn().mockResolvedValue(undefined),
+}));
+
+/**
+ * Integration tests for the users-events flows
+ * The consumer runs on the in-memory event bus, without a Kafka broker
+ */
+describe('Integration: users-events flows', () => {
+  let userId;
+  let eventBus;
+
+  const publishUserEvent = (event) =>
+    eventBus.publish('users-events', [
+      { key: userId, value: JSON.stringify(event) },
+    ]);
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    userId = `events-flow-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    eventBus = createInMemoryEventBus();
+    setEventBus(eventBus);
+    await startKafkaConsumer();
+  });
+
+  afterEach(async () => {
+    setEventBus(null);
+    await Subscription.deleteMany({ userId });
+    await DeadLetterEvent.deleteMany({ userId });
+    await OutboxEntry.deleteMany({ userId });
+  });
+
+  it('should cancel and delete everything on USER_DELETED', async () => {
+    await Subscription.create({
+      userId,
+      username: 'deleteduser',
+      email: 'deleted@example.com',
+      planType: 'PRO',
+      stripeSubscriptionId: `sub_${userId}`,
+    });
+
+    await publishUserEvent({ type: 'USER_DELETED', payload: { userId } });
+
+    expect(stripeService.cancelSubscriptionImmediately).toHaveBeenCalledWith(
+      `sub_${userId}`
+    );
+    expect(spaceService.deleteSpaceContract).toHaveBeenCalledWith(userId);
+    expect(await Subscription.exists({ userId })).toBeNull();
+    expect(eventBus.getMessages('payments-interaction-dlq')).toHaveLength(0);
+  });
+
+  it('should retry USER_DELETED when Stripe fails to cancel', async () => {
+    await Subscription.create({
+      userId,
+      username: 'deleteduser',
+      email: 'deleted@example.com',
+      planType: 'PRO',
+      stripeSubscriptionId: `sub_${userId}`,
+    });
+    stripeService.cancelSubscriptionImmediately.mockRejectedValueOnce(
+      new Error('Failed to cancel subscription immediately')
+    );
+
+    await publishUserEvent({ type: 'USER_DELETED', payload: { userId } });
+
+    expect(stripeService.cancelSubscriptionImmediately).toHaveBeenCalledTimes(
+      2
+    );
+    expect(await Subscription.exists({ userId })).toBeNull();
+    expect(eventBus.getMessages('payments-interaction-dlq')).toHaveLength(0);
+  });
+
+  it('should send invalid events to the DLQ with the rejection reason', async () => {
+    await publishUserEvent({
+      type: 'USER_DELETED',
+      version: 9,
+      payload: { userId },
+    });
+
+    const [dlqMessage] = eventBus.getMessages('payments-interaction-dlq');
+    expect(dlqMessage.headers['error-type']).toBe('permanent');
+    expect(dlqMessage.headers['error-name']).toBe('EventValidationError');
+    expect(JSON.parse(dlqMessage.value).error).toBe(
+      'Unsupported version 9 for USER_DELETED (supported: 1)'
+    );
+
+    // The DLQ consumer stores it for manual review
+    const deadLetter = await DeadLetterEvent.findOne({ userId });
+    expect(deadLetter.status).toBe('dead');
+    expect(deadLetter.eventType).toBe('USER_DELETED');
+  });
+
+  it('should report the consumers status and stop them on shutdown', async () => {
+    await publishUserEvent({ type: 'USER_DELETED', payload: { userId } });
+
+    const status = await getKafkaConsumerStatus();
+    expect(status.connected).toBe(true);
+
+    const usersConsumer = status.consumers.find(
+      (consumer) => consumer.topic === 'users-events'
+    );
+    expect(usersConsumer).toMatchObject({
+      groupId: 'payments-interaction-group',
+      running: true,
+    });
+    expect(usersConsumer.partitions[0]).toMatchObject({
+      lastOffset: '0',
+      lag: 0,
+    });
+    expect(usersConsumer.partitions[0].lastProcessedAt).toBeInstanceOf(Date);
+
+    await stopKafkaConsumer();
+
+    expect((await getKafkaConsumerStatus()).consumers).toHaveLength(0);
+  });
+});
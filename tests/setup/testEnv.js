@@ -9,6 +9,8 @@ dotenv.config();
 
 // Disable Kafka for tests
 process.env.ENABLE_KAFKA = 'false';
+// Tests that publish or consume events use the in-memory event bus
+process.env.EVENT_BUS_ADAPTER = 'memory';
 process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error';
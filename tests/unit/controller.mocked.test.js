@@ -5,6 +5,9 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { api, generateTestToken } from '../setup/setup.js';
 import Subscription from '../../src/models/Subscription.js';
+import TrialUsage from '../../src/models/TrialUsage.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
 
 // Mock external services
 vi.mock('../../src/services/stripeService.js', () => ({
@@ -34,6 +37,37 @@ vi.mock('../../src/services/stripeService.js', () => ({
     id: 'sub_mock123',
     status: 'canceled',
   }),
+  previewSubscriptionChange: vi.fn(),
+  getSetupSession: vi.fn().mockResolvedValue({
+    status: 'complete',
+    setup_intent: { payment_method: 'pm_mock123' },
+    metadata: { pendingUpgradeTo: 'STUDIO' },
+  }),
+  setDefaultPaymentMethod: vi.fn().mockResolvedValue(undefined),
+  releaseSubscriptionSchedule: vi.fn().mockResolvedValue({
+    id: 'sub_sched_mock',
+    status: 'released',
+  }),
+  reactivateSubscription: vi.fn().mockResolvedValue({
+    id: 'sub_mock123',
+    status: 'active',
+    cancel_at_period_end: false,
+  }),
+  pauseSubscription: vi.fn().mockImplementation((id, resumesAt) =>
+    Promise.resolve({
+      id,
+      status: 'active',
+      pause_collection: {
+        behavior: 'void',
+        resumes_at: resumesAt ? Math.floor(resumesAt.getTime() / 1000) : null,
+      },
+    })
+  ),
+  resumeSubscription: vi.fn().mockResolvedValue({
+    id: 'sub_mock123',
+    status: 'active',
+    pause_collection: null,
+  }),
   addSubscriptionItem: vi.fn().mockResolvedValue({
     id: 'si_addon_mock123',
   }),
@@ -54,6 +88,10 @@ vi.mock('../../src/services/spaceService.js', () => ({
   updateSpaceContract: vi.fn().mockResolvedValue(undefined),
   cancelSpaceContract: vi.fn().mockResolvedValue(undefined),
   deleteSpaceContract: vi.fn().mockResolvedValue(undefined),
+  syncSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
 }));
 
 describe('Subscription Controller with Mocked Services', () => {
@@ -108,6 +146,69 @@ describe('Subscription Controller with Mocked Services', () => {
       expect(res.status).toBe(400);
       expect(res.body.error).toBe('MISSING_PLAN_TYPE');
     });
+
+    it('should create a trial checkout session', async () => {
+      const res = await api
+        .post('/api/v1/payments/checkout')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'PRO', trial: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.trialDays).toBe(14);
+      expect(stripeService.createCheckoutSession).toHaveBeenCalledWith(
+        expect.objectContaining({ trialDays: 14 })
+      );
+    });
+
+    it('should reject trials for plans without trial', async () => {
+      const res = await api
+        .post('/api/v1/payments/checkout')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'FREE', trial: true });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('TRIAL_NOT_AVAILABLE');
+    });
+
+    it('should reject a second trial for the same user', async () => {
+      await TrialUsage.create({ userId: testUserId, planType: 'PRO' });
+
+      const res = await api
+        .post('/api/v1/payments/checkout')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'STUDIO', trial: true });
+
+      await TrialUsage.deleteMany({ userId: testUserId });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('TRIAL_ALREADY_USED');
+      expect(stripeService.createCheckoutSession).not.toHaveBeenCalled();
+    });
+
+    it('should reuse the Stripe customer and email of the local record', async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: 'updated@example.com',
+        stripeCustomerId: `cus_${testUserId}`,
+        planType: 'FREE',
+        status: 'canceled',
+      });
+
+      const res = await api
+        .post('/api/v1/payments/checkout')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'PRO' });
+
+      expect(res.status).toBe(200);
+      expect(stripeService.getOrCreateCustomer).not.toHaveBeenCalled();
+      expect(stripeService.createCheckoutSession).toHaveBeenCalledWith(
+        expect.objectContaining({ customerId: `cus_${testUserId}` })
+      );
+
+      const subscription = await Subscription.findOne({ userId: testUserId });
+      expect(subscription.email).toBe('updated@example.com');
+    });
   });
 
   describe('PUT /api/v1/payments/subscription (with mocks)', () => {
@@ -185,6 +286,68 @@ describe('Subscription Controller with Mocked Services', () => {
       expect(res.status).toBe(400);
       expect(res.body.error).toBe('INVALID_PRORATION_BEHAVIOR');
     });
+
+    it('should reject plan changes while the account is suspended', async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'suspended',
+        stripeCustomerId: 'cus_mock123',
+        stripeSubscriptionId: 'sub_mock123',
+      });
+
+      const res = await api
+        .put('/api/v1/payments/subscription')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'STUDIO' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('ACCOUNT_SUSPENDED');
+    });
+
+    it('should reject plan changes while the subscription is paused', async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'paused',
+        stripeCustomerId: 'cus_mock123',
+        stripeSubscriptionId: 'sub_mock123',
+      });
+
+      const res = await api
+        .put('/api/v1/payments/subscription')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'STUDIO' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SUBSCRIPTION_PAUSED');
+      expect(stripeService.updateSubscription).not.toHaveBeenCalled();
+    });
+
+    it('should not complete an upgrade while the subscription is paused', async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'paused',
+        stripeCustomerId: 'cus_mock123',
+        stripeSubscriptionId: 'sub_mock123',
+      });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/complete-upgrade')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ setupSessionId: 'seti_mock123' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SUBSCRIPTION_PAUSED');
+      expect(stripeService.setDefaultPaymentMethod).not.toHaveBeenCalled();
+    });
   });
 
   describe('DELETE /api/v1/payments/subscription (with mocks)', () => {
@@ -198,6 +361,342 @@ describe('Subscription Controller with Mocked Services', () => {
     });
   });
 
+  describe('POST /api/v1/payments/subscription/reactivate (with mocks)', () => {
+    const createSubscription = (overrides = {}) =>
+      Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'active',
+        stripeCustomerId: `cus_${testUserId}`,
+        stripeSubscriptionId: 'sub_mock123',
+        ...overrides,
+      });
+
+    it('should return 404 for user without subscription', async () => {
+      const res = await api
+        .post('/api/v1/payments/subscription/reactivate')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should reject subscriptions without scheduled cancellation', async () => {
+      await createSubscription();
+
+      const res = await api
+        .post('/api/v1/payments/subscription/reactivate')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SUBSCRIPTION_NOT_CANCELED');
+    });
+
+    it('should undo the scheduled cancellation keeping add-ons and pending changes', async () => {
+      await createSubscription({
+        planType: 'STUDIO',
+        cancelAtPeriodEnd: true,
+        canceledAt: new Date(),
+        activeAddOns: [{ name: 'decoratives', status: 'active' }],
+        metadata: { pendingPlanChange: 'PRO', scheduleId: 'sub_sched_mock' },
+      });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/reactivate')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription.cancelAtPeriodEnd).toBe(false);
+      expect(res.body.subscription.activeAddOns).toEqual(['decoratives']);
+      expect(res.body.subscription.pendingPlanChange).toBe('PRO');
+
+      const updated = await Subscription.findOne({ userId: testUserId });
+      expect(updated.cancelAtPeriodEnd).toBe(false);
+      expect(updated.canceledAt).toBeUndefined();
+    });
+  });
+
+  describe('Pause and resume (with mocks)', () => {
+    const createSubscription = (overrides = {}) =>
+      Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'active',
+        stripeCustomerId: `cus_${testUserId}`,
+        stripeSubscriptionId: 'sub_mock123',
+        ...overrides,
+      });
+
+    it('should pause the subscription and downgrade SPACE to FREE', async () => {
+      await createSubscription();
+      const resumesAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+      const res = await api
+        .post('/api/v1/payments/subscription/pause')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ resumesAt: resumesAt.toISOString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription.status).toBe('paused');
+      expect(stripeService.pauseSubscription).toHaveBeenCalledWith(
+        'sub_mock123',
+        expect.any(Date)
+      );
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: testUserId,
+          plan: 'FREE',
+          addOns: { socialbeats: {} },
+        })
+      );
+
+      const updated = await Subscription.findOne({ userId: testUserId });
+      expect(updated.status).toBe('paused');
+      expect(updated.pausedAt).toBeDefined();
+      expect(updated.resumesAt).toBeDefined();
+    });
+
+    it('should reject a resume date in the past', async () => {
+      await createSubscription();
+
+      const res = await api
+        .post('/api/v1/payments/subscription/pause')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ resumesAt: '2020-01-01T00:00:00.000Z' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('INVALID_RESUME_DATE');
+    });
+
+    it('should not pause FREE subscriptions', async () => {
+      await createSubscription({ planType: 'FREE' });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/pause')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('CANNOT_PAUSE_FREE_PLAN');
+    });
+
+    it('should resume a paused subscription restoring SPACE', async () => {
+      await createSubscription({
+        status: 'paused',
+        pausedAt: new Date(),
+        activeAddOns: [{ name: 'decoratives', status: 'active' }],
+      });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/resume')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription.status).toBe('active');
+      expect(res.body.subscription.activeAddOns).toEqual(['decoratives']);
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({
+          plan: 'PRO',
+          addOns: { socialbeats: { decoratives: 1 } },
+        })
+      );
+
+      const updated = await Subscription.findOne({ userId: testUserId });
+      expect(updated.status).toBe('active');
+      expect(updated.pausedAt).toBeUndefined();
+    });
+
+    it('should keep a paused subscription paused when reading it from Stripe', async () => {
+      await createSubscription({ status: 'paused', pausedAt: new Date() });
+      stripeService.getSubscription.mockResolvedValueOnce({
+        id: 'sub_mock123',
+        status: 'active',
+        pause_collection: { behavior: 'void', resumes_at: null },
+      });
+
+      const res = await api
+        .get('/api/v1/payments/subscription')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription.status).toBe('paused');
+
+      const updated = await Subscription.findOne({ userId: testUserId });
+      expect(updated.status).toBe('paused');
+    });
+
+    it('should reject resuming a subscription that is not paused', async () => {
+      await createSubscription();
+
+      const res = await api
+        .post('/api/v1/payments/subscription/resume')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SUBSCRIPTION_NOT_PAUSED');
+    });
+  });
+
+  describe('/api/v1/payments/subscription/pending-change (with mocks)', () => {
+    const createSubscriptionWithPendingChange = () =>
+      Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'STUDIO',
+        status: 'active',
+        stripeCustomerId: `cus_${testUserId}`,
+        stripeSubscriptionId: 'sub_mock123',
+        activeAddOns: [{ name: 'decoratives', status: 'active' }],
+        metadata: {
+          pendingPlanChange: 'FREE',
+          pendingChangeDate: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+          scheduleId: 'sub_sched_mock',
+        },
+      });
+
+    it('should show the pending change and the add-ons to remove', async () => {
+      await createSubscriptionWithPendingChange();
+
+      const res = await api
+        .get('/api/v1/payments/subscription/pending-change')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.pendingChange.from).toBe('STUDIO');
+      expect(res.body.pendingChange.to).toBe('FREE');
+      expect(res.body.pendingChange.addOnsToRemove).toEqual(['decoratives']);
+    });
+
+    it('should release the schedule and clean up the metadata', async () => {
+      await createSubscriptionWithPendingChange();
+
+      const res = await api
+        .delete('/api/v1/payments/subscription/pending-change')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.canceledChange.addOnsToRemove).toEqual(['decoratives']);
+      expect(stripeService.releaseSubscriptionSchedule).toHaveBeenCalledWith(
+        'sub_sched_mock'
+      );
+
+      const updated = await Subscription.findOne({ userId: testUserId });
+      expect(updated.metadata.pendingPlanChange).toBeUndefined();
+      expect(updated.metadata.scheduleId).toBeUndefined();
+      expect(updated.activeAddOns[0].status).toBe('active');
+    });
+
+    it('should return 404 when there is no pending change', async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'active',
+      });
+
+      const res = await api
+        .delete('/api/v1/payments/subscription/pending-change')
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('NO_PENDING_CHANGE');
+    });
+  });
+
+  describe('POST /api/v1/payments/subscription/preview (with mocks)', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    beforeEach(async () => {
+      await Subscription.create({
+        userId: testUserId,
+        username: testUsername,
+        email: `${testUsername}@test.com`,
+        planType: 'PRO',
+        status: 'active',
+        stripeCustomerId: `cus_${testUserId}`,
+        stripeSubscriptionId: 'sub_mock123',
+        currentPeriodEnd: new Date((now + 20 * 24 * 60 * 60) * 1000),
+        activeAddOns: [{ name: 'decoratives', status: 'active' }],
+      });
+    });
+
+    it('should preview an upgrade with prorations billed now', async () => {
+      stripeService.previewSubscriptionChange
+        .mockResolvedValueOnce({
+          currency: 'eur',
+          amount_due: 1333,
+          total: 1333,
+          lines: {
+            data: [
+              { amount: 2000, proration: true },
+              { amount: -667, proration: true },
+            ],
+          },
+        })
+        .mockResolvedValueOnce({
+          currency: 'eur',
+          total: 2999,
+          next_payment_attempt: now + 20 * 24 * 60 * 60,
+          lines: { data: [{ amount: 2999, proration: false }] },
+        });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/preview')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'STUDIO' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.preview.changeType).toBe('upgrade');
+      expect(res.body.preview.amountDueNow).toBe(1333);
+      expect(res.body.preview.proration).toEqual({
+        charges: 2000,
+        credits: 667,
+        net: 1333,
+      });
+      expect(res.body.preview.recurringTotal).toBe(2999);
+      // decoratives is not available for STUDIO
+      expect(res.body.preview.droppedAddOns).toEqual(['decoratives']);
+      expect(stripeService.previewSubscriptionChange).toHaveBeenCalledWith(
+        expect.objectContaining({ prorationBehavior: 'always_invoice' })
+      );
+    });
+
+    it('should preview a downgrade at period end without charges', async () => {
+      stripeService.previewSubscriptionChange.mockResolvedValueOnce({
+        currency: 'eur',
+        total: 99,
+        next_payment_attempt: now + 20 * 24 * 60 * 60,
+        lines: { data: [{ amount: 0 }, { amount: 99 }] },
+      });
+
+      const res = await api
+        .post('/api/v1/payments/subscription/preview')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'FREE' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.preview.changeType).toBe('downgrade');
+      expect(res.body.preview.amountDueNow).toBe(0);
+      expect(res.body.preview.recurringTotal).toBe(99);
+      expect(res.body.preview.to.addOns).toEqual(['decoratives']);
+      expect(stripeService.previewSubscriptionChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject add-ons not available for the plan', async () => {
+      const res = await api
+        .post('/api/v1/payments/subscription/preview')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ planType: 'FREE', addOns: ['promotedBeat'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('ADDON_NOT_AVAILABLE');
+    });
+  });
+
   describe('Billing Portal', () => {
     it('should require authentication for portal access', async () => {
       const res = await api.get('/api/v1/payments/portal');
@@ -0,0 +1,239 @@
+/**
+ * Tests for the Kafka DLQ reprocessing
+ * Tests the storage of DLQ messages, the background worker and the admin endpoints
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { api } from '../setup/setup.js';
+import DeadLetterEvent from '../../src/models/DeadLetterEvent.js';
+import Subscription from '../../src/models/Subscription.js';
+import {
+  getDeadLetterRetryDelay,
+  processNextDeadLetter,
+} from '../../src/services/deadLetterWorker.js';
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+const ADMIN_DLQ_URL = '/api/v1/payments/internal/admin/kafka/dlq';
+
+// Message written by sendToDLQ (the original event arrives as text)
+const buildDlqMessage = (event) =>
+  JSON.stringify({
+    originalEvent: typeof event === 'string' ? event : JSON.stringify(event),
+    error: 'database unavailable',
+    timestamp: new Date().toISOString(),
+  });
+
+// Events received "long ago" are claimed before any other test's events
+// (USER_UPDATED for a user without subscription succeeds without changes)
+const createEvent = (dlqMessageId, overrides = {}) =>
+  DeadLetterEvent.create({
+    dlqMessageId,
+    eventType: 'USER_UPDATED',
+    payload: { type: 'USER_UPDATED', payload: { userId: 'dlq-missing-user' } },
+    receivedAt: new Date('2000-01-01T00:00:00Z'),
+    ...overrides,
+  });
+
+describe('Kafka DLQ', () => {
+  let dlqMessageId;
+
+  beforeEach(() => {
+    dlqMessageId = `payments-interaction-dlq:0:${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await DeadLetterEvent.deleteMany({ dlqMessageId });
+  });
+
+  describe('DeadLetterEvent.enqueue()', () => {
+    it('should store the original event ready to be reprocessed', async () => {
+      const { entry, duplicate } = await DeadLetterEvent.enqueue(
+        dlqMessageId,
+        buildDlqMessage({ type: 'USER_DELETED', payload: { userId: 'u-1' } })
+      );
+
+      expect(duplicate).toBe(false);
+      expect(entry.status).toBe('pending');
+      expect(entry.eventType).toBe('USER_DELETED');
+      expect(entry.userId).toBe('u-1');
+      expect(entry.originalError).toBe('database unavailable');
+    });
+
+    it('should ignore messages already stored', async () => {
+      const message = buildDlqMessage({ type: 'USER_DELETED', payload: {} });
+      await DeadLetterEvent.enqueue(dlqMessageId, message);
+
+      const { duplicate } = await DeadLetterEvent.enqueue(
+        dlqMessageId,
+        message
+      );
+
+      expect(duplicate).toBe(true);
+      expect(await DeadLetterEvent.countDocuments({ dlqMessageId })).toBe(1);
+    });
+
+    it('should store invalid JSON events as dead', async () => {
+      const { entry } = await DeadLetterEvent.enqueue(
+        dlqMessageId,
+        buildDlqMessage('{not json')
+      );
+
+      expect(entry.status).toBe('dead');
+      expect(entry.payload).toBe('{not json');
+      expect(entry.lastError).toMatch(/Invalid JSON/);
+    });
+
+    it('should store permanent failures as dead with their retry metadata', async () => {
+      const { entry } = await DeadLetterEvent.enqueue(
+        dlqMessageId,
+        buildDlqMessage({ type: 'USER_CREATED', payload: { userId: 'u-1' } }),
+        { 'error-type': 'permanent', 'retry-attempts': '1' }
+      );
+
+      expect(entry.status).toBe('dead');
+      expect(entry.retryMetadata['retry-attempts']).toBe('1');
+    });
+  });
+
+  describe('Worker', () => {
+    it('should grow the retry delay exponentially up to the maximum', () => {
+      expect(getDeadLetterRetryDelay(1)).toBe(30000);
+      expect(getDeadLetterRetryDelay(2)).toBe(60000);
+      expect(getDeadLetterRetryDelay(50)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    it('should reprocess pending events', async () => {
+      await createEvent(dlqMessageId);
+
+      const entry = await processNextDeadLetter();
+
+      expect(entry.dlqMessageId).toBe(dlqMessageId);
+      expect(entry.status).toBe('processed');
+      expect(entry.attempts).toBe(1);
+    });
+
+    it('should schedule a retry when processing fails', async () => {
+      await createEvent(dlqMessageId);
+      vi.spyOn(Subscription, 'findOne').mockRejectedValueOnce(
+        new Error('database unavailable')
+      );
+
+      const entry = await processNextDeadLetter();
+
+      expect(entry.status).toBe('failed');
+      expect(entry.lastError).toBe('database unavailable');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should mark events as dead after the last attempt', async () => {
+      await createEvent(dlqMessageId, {
+        status: 'failed',
+        attempts: 4,
+        nextAttemptAt: new Date(Date.now() - 1000),
+      });
+      vi.spyOn(Subscription, 'findOne').mockRejectedValueOnce(
+        new Error('still failing')
+      );
+
+      const entry = await processNextDeadLetter();
+
+      expect(entry.status).toBe('dead');
+      expect(entry.attempts).toBe(5);
+    });
+
+    it('should not retry permanent errors', async () => {
+      // USER_CREATED without username does not match its schema
+      await createEvent(dlqMessageId, {
+        eventType: 'USER_CREATED',
+        payload: { type: 'USER_CREATED', payload: { userId: 'u-1' } },
+      });
+
+      const entry = await processNextDeadLetter();
+
+      expect(entry.status).toBe('dead');
+      expect(entry.attempts).toBe(1);
+      expect(entry.lastError).toMatch(/username is required/);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should require the internal API key', async () => {
+      const res = await api.get(ADMIN_DLQ_URL);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should list dead events without their payload', async () => {
+      const created = await createEvent(dlqMessageId, { status: 'dead' });
+
+      const res = await api
+        .get(`${ADMIN_DLQ_URL}?status=dead`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      const listed = res.body.entries.find(
+        (e) => e.id === created._id.toString()
+      );
+      expect(listed.status).toBe('dead');
+      expect(listed.payload).toBeUndefined();
+    });
+
+    it('should return an event with its payload', async () => {
+      const created = await createEvent(dlqMessageId, { status: 'dead' });
+
+      const res = await api
+        .get(`${ADMIN_DLQ_URL}/${created._id}`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.entry.payload.type).toBe('USER_UPDATED');
+    });
+
+    it('should queue dead events for replay', async () => {
+      const created = await createEvent(dlqMessageId, {
+        status: 'dead',
+        attempts: 5,
+      });
+
+      const res = await api
+        .post(`${ADMIN_DLQ_URL}/${created._id}/replay`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.entry.status).toBe('pending');
+      expect(res.body.entry.attempts).toBe(0);
+    });
+
+    it('should not replay processed events', async () => {
+      const created = await createEvent(dlqMessageId, { status: 'processed' });
+
+      const res = await api
+        .post(`${ADMIN_DLQ_URL}/${created._id}/replay`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('DLQ_EVENT_NOT_REPLAYABLE');
+    });
+
+    it('should discard failed events', async () => {
+      const created = await createEvent(dlqMessageId, { status: 'failed' });
+
+      const res = await api
+        .post(`${ADMIN_DLQ_URL}/${created._id}/discard`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.entry.status).toBe('discarded');
+      expect(res.body.entry.discardedAt).toBeDefined();
+    });
+
+    it('should return 404 for unknown events', async () => {
+      const res = await api
+        .post(`${ADMIN_DLQ_URL}/not-an-id/discard`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('DLQ_EVENT_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Tests for refund and dispute (chargeback) handling
+ * Tests the webhook handlers, the SPACE downgrade policy and the admin endpoints
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { api } from '../setup/setup.js';
+import Subscription from '../../src/models/Subscription.js';
+import Dispute from '../../src/models/Dispute.js';
+import Refund from '../../src/models/Refund.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import ProcessedWebhookEvent from '../../src/models/ProcessedWebhookEvent.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import {
+  handleChargeRefunded,
+  handleDisputeEvent,
+} from '../../src/controllers/disputeController.js';
+import { processWebhookEvent } from '../../src/controllers/subscriptionController.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  getCharge: vi.fn().mockImplementation(async (chargeId) => ({
+    id: chargeId,
+    customer: 'cus_dispute_test',
+  })),
+  listChargeRefunds: vi.fn().mockResolvedValue([]),
+  getPlanTypeFromPriceId: vi.fn().mockReturnValue('PRO'),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  createSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
+}));
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+
+const buildDispute = (id, overrides = {}) => ({
+  id,
+  object: 'dispute',
+  charge: 'ch_dispute_test',
+  payment_intent: 'pi_dispute_test',
+  amount: 999,
+  currency: 'eur',
+  reason: 'fraudulent',
+  status: 'needs_response',
+  evidence_details: {
+    due_by: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60,
+    has_evidence: false,
+  },
+  ...overrides,
+});
+
+describe('Disputes and Refunds', () => {
+  let userId;
+  let disputeId;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    userId = `dispute-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    disputeId = `du_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    await Subscription.create({
+      userId,
+      username: 'disputeuser',
+      email: 'dispute@example.com',
+      stripeCustomerId: 'cus_dispute_test',
+      stripeSubscriptionId: `sub_${disputeId}`,
+      planType: 'PRO',
+      status: 'active',
+      activeAddOns: [{ name: 'decoratives', status: 'active' }],
+    });
+  });
+
+  afterEach(async () => {
+    delete process.env.DISPUTE_DOWNGRADE_ON_OPEN;
+    await Subscription.deleteMany({ userId });
+    await Dispute.deleteMany({ userId });
+    await Refund.deleteMany({ userId });
+    await OutboxEntry.deleteMany({ userId });
+    await ProcessedWebhookEvent.deleteMany({ eventId: `evt_${disputeId}` });
+  });
+
+  describe('handleChargeRefunded()', () => {
+    it('should store the refunds of the charge', async () => {
+      const refundId = `re_${disputeId}`;
+
+      await handleChargeRefunded({
+        id: 'ch_refund_test',
+        customer: 'cus_dispute_test',
+        amount: 999,
+        amount_refunded: 999,
+        currency: 'eur',
+        refunds: {
+          data: [
+            {
+              id: refundId,
+              amount: 999,
+              currency: 'eur',
+              reason: 'requested_by_customer',
+              status: 'succeeded',
+              created: Math.floor(Date.now() / 1000),
+            },
+          ],
+        },
+      });
+
+      const refund = await Refund.findOne({ stripeRefundId: refundId });
+      expect(refund.userId).toBe(userId);
+      expect(refund.amount).toBe(999);
+      expect(refund.status).toBe('succeeded');
+    });
+  });
+
+  describe('handleDisputeEvent()', () => {
+    it('should store the dispute and its evidence deadline', async () => {
+      const stripeDispute = buildDispute(disputeId);
+
+      await handleDisputeEvent(stripeDispute);
+
+      const dispute = await Dispute.findOne({ stripeDisputeId: disputeId });
+      expect(dispute.userId).toBe(userId);
+      expect(dispute.status).toBe('needs_response');
+      expect(dispute.evidenceDueBy.getTime()).toBe(
+        stripeDispute.evidence_details.due_by * 1000
+      );
+      expect(dispute.spaceDowngraded).toBe(false);
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    });
+
+    it('should downgrade SPACE while open and restore it when won', async () => {
+      process.env.DISPUTE_DOWNGRADE_ON_OPEN = 'true';
+
+      await handleDisputeEvent(buildDispute(disputeId));
+
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, plan: 'FREE' })
+      );
+
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'won' }));
+
+      expect(spaceService.createSpaceContract).toHaveBeenLastCalledWith(
+        expect.objectContaining({ userId, plan: 'PRO' })
+      );
+
+      const dispute = await Dispute.findOne({ stripeDisputeId: disputeId });
+      expect(dispute.closedAt).toBeDefined();
+      expect(dispute.spaceRestoredAt).toBeDefined();
+    });
+
+    it('should keep SPACE on FREE when the dispute is lost', async () => {
+      process.env.DISPUTE_DOWNGRADE_ON_OPEN = 'true';
+
+      await handleDisputeEvent(buildDispute(disputeId));
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'lost' }));
+
+      expect(spaceService.createSpaceContract).toHaveBeenCalledTimes(1);
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, plan: 'FREE' })
+      );
+    });
+
+    it('should keep SPACE on FREE when the subscription is updated during the dispute', async () => {
+      process.env.DISPUTE_DOWNGRADE_ON_OPEN = 'true';
+      const now = Math.floor(Date.now() / 1000);
+
+      await handleDisputeEvent(buildDispute(disputeId));
+      await processWebhookEvent({
+        id: `evt_${disputeId}`,
+        type: 'customer.subscription.updated',
+        created: now,
+        data: {
+          object: {
+            id: `sub_${disputeId}`,
+            customer: 'cus_dispute_test',
+            status: 'active',
+            items: { data: [{ id: 'si_pro', price: { id: 'price_pro' } }] },
+            current_period_start: now,
+            current_period_end: now + 30 * 24 * 60 * 60,
+            cancel_at_period_end: false,
+            pause_collection: null,
+          },
+        },
+      });
+
+      expect(spaceService.createSpaceContract).toHaveBeenCalledTimes(2);
+      expect(spaceService.createSpaceContract).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          userId,
+          plan: 'FREE',
+          addOns: { socialbeats: {} },
+        })
+      );
+
+      // Al ganar la disputa se restaura el plan de pago
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'won' }));
+
+      expect(spaceService.createSpaceContract).toHaveBeenLastCalledWith(
+        expect.objectContaining({ userId, plan: 'PRO' })
+      );
+    });
+
+    it('should ignore stale events for closed disputes', async () => {
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'won' }));
+      await handleDisputeEvent(buildDispute(disputeId));
+
+      const dispute = await Dispute.findOne({ stripeDisputeId: disputeId });
+      expect(dispute.status).toBe('won');
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should list open disputes with their evidence deadline', async () => {
+      await handleDisputeEvent(buildDispute(disputeId));
+
+      const res = await api
+        .get(`/api/v1/payments/internal/admin/disputes?userId=${userId}`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.disputes).toHaveLength(1);
+      expect(res.body.disputes[0].disputeId).toBe(disputeId);
+      expect(res.body.disputes[0].evidenceDueBy).toBeDefined();
+      expect(res.body.disputes[0].evidencePastDue).toBe(false);
+    });
+
+    it('should hold SPACE on FREE after a lost dispute until it is reviewed', async () => {
+      process.env.DISPUTE_DOWNGRADE_ON_OPEN = 'true';
+      const now = Math.floor(Date.now() / 1000);
+
+      await handleDisputeEvent(buildDispute(disputeId));
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'lost' }));
+      await processWebhookEvent({
+        id: `evt_${disputeId}`,
+        type: 'customer.subscription.updated',
+        created: now,
+        data: {
+          object: {
+            id: `sub_${disputeId}`,
+            customer: 'cus_dispute_test',
+            status: 'active',
+            items: { data: [{ id: 'si_pro', price: { id: 'price_pro' } }] },
+            current_period_start: now,
+            current_period_end: now + 30 * 24 * 60 * 60,
+            cancel_at_period_end: false,
+            pause_collection: null,
+          },
+        },
+      });
+
+      expect(spaceService.createSpaceContract).toHaveBeenLastCalledWith(
+        expect.objectContaining({ userId, plan: 'FREE' })
+      );
+
+      const res = await api
+        .post(
+          `/api/v1/payments/internal/admin/disputes/${disputeId}/restore-space`
+        )
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.dispute.spaceRestoredAt).toBeDefined();
+      expect(spaceService.createSpaceContract).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          userId,
+          plan: 'PRO',
+          addOns: { socialbeats: { decoratives: 1 } },
+        })
+      );
+    });
+
+    it('should not restore SPACE for disputes that do not hold it', async () => {
+      await handleDisputeEvent(buildDispute(disputeId, { status: 'won' }));
+
+      const res = await api
+        .post(
+          `/api/v1/payments/internal/admin/disputes/${disputeId}/restore-space`
+        )
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SPACE_NOT_HELD');
+    });
+
+    it('should reject unknown statuses', async () => {
+      const res = await api
+        .get('/api/v1/payments/internal/admin/disputes?status=unknown')
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('INVALID_STATUS');
+    });
+
+    it('should return 404 for unknown disputes', async () => {
+      const res = await api
+        .get('/api/v1/payments/internal/admin/disputes/du_missing')
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('DISPUTE_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the dunning workflow (failed payments)
+ * Tests the policy helpers, reminders, the downgrade to FREE and the recovery
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import ProcessedWebhookEvent from '../../src/models/ProcessedWebhookEvent.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import { notifyUser } from '../../src/services/notificationService.js';
+import {
+  DUNNING_POLICY,
+  getDueReminderCount,
+  isGracePeriodOver,
+} from '../../src/config/dunning.config.js';
+import {
+  startDunning,
+  advanceDunning,
+  resolveDunning,
+} from '../../src/services/dunningService.js';
+import { processDunning } from '../../src/services/dunningWorker.js';
+import { processWebhookEvent } from '../../src/controllers/subscriptionController.js';
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  createSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
+}));
+
+vi.mock('../../src/services/notificationService.js', () => ({
+  notifyUser: vi.fn().mockResolvedValue(true),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe('Dunning', () => {
+  describe('Policy', () => {
+    it('should use the default policy', () => {
+      expect(DUNNING_POLICY.gracePeriodDays).toBe(7);
+      expect(DUNNING_POLICY.reminderDays).toEqual([0, 3, 6]);
+    });
+
+    it('should count the reminders that are due', () => {
+      expect(getDueReminderCount(daysAgo(0))).toBe(1);
+      expect(getDueReminderCount(daysAgo(4))).toBe(2);
+      expect(getDueReminderCount(daysAgo(6.5))).toBe(3);
+    });
+
+    it('should detect the end of the grace period', () => {
+      expect(isGracePeriodOver(daysAgo(6))).toBe(false);
+      expect(isGracePeriodOver(daysAgo(7))).toBe(true);
+    });
+  });
+
+  describe('Workflow', () => {
+    let subscription;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      const userId = `dunning-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+      subscription = await Subscription.create({
+        userId,
+        username: 'dunninguser',
+        email: 'dunning@example.com',
+        stripeCustomerId: `cus_${userId}`,
+        stripeSubscriptionId: `sub_${userId}`,
+        planType: 'PRO',
+        status: 'past_due',
+      });
+    });
+
+    afterEach(async () => {
+      await Subscription.deleteMany({ userId: subscription.userId });
+      await OutboxEntry.deleteMany({ userId: subscription.userId });
+      await ProcessedWebhookEvent.deleteMany({
+        eventId: `evt_${subscription.userId}`,
+      });
+    });
+
+    it('should start the grace period on the first failure only', async () => {
+      startDunning(subscription, { id: 'in_1', attempt_count: 1 });
+      const startedAt = subscription.dunning.startedAt;
+
+      startDunning(subscription, { id: 'in_1', attempt_count: 2 });
+
+      expect(subscription.dunning.startedAt).toEqual(startedAt);
+      expect(subscription.dunning.failedAttempts).toBe(2);
+    });
+
+    it('should send each reminder once', async () => {
+      startDunning(subscription, { id: 'in_1', attempt_count: 1 });
+      await subscription.save();
+
+      const first = await advanceDunning(subscription);
+      const second = await advanceDunning(subscription);
+
+      expect(first.reminderSent).toBe(true);
+      expect(second.reminderSent).toBe(false);
+      expect(notifyUser).toHaveBeenCalledTimes(1);
+      expect(notifyUser).toHaveBeenCalledWith(
+        'PAYMENT_REMINDER',
+        expect.anything(),
+        expect.objectContaining({ reminder: 1, totalReminders: 3 })
+      );
+    });
+
+    it('should notify the first failed payment only once', async () => {
+      subscription.status = 'active';
+      await subscription.save();
+
+      await processWebhookEvent({
+        id: `evt_${subscription.userId}`,
+        type: 'invoice.payment_failed',
+        data: {
+          object: {
+            id: 'in_1',
+            subscription: subscription.stripeSubscriptionId,
+            attempt_count: 1,
+          },
+        },
+      });
+
+      expect(notifyUser).toHaveBeenCalledTimes(1);
+      expect(notifyUser).toHaveBeenCalledWith(
+        'PAYMENT_REMINDER',
+        expect.objectContaining({ userId: subscription.userId }),
+        expect.objectContaining({ reminder: 1, invoiceId: 'in_1' })
+      );
+
+      const updated = await Subscription.findById(subscription._id);
+      expect(updated.status).toBe('past_due');
+      expect(updated.dunning.remindersSent).toBe(1);
+    });
+
+    it('should downgrade to FREE after the grace period', async () => {
+      subscription.dunning = {
+        startedAt: daysAgo(8),
+        failedAttempts: 3,
+        remindersSent: 3,
+      };
+      await subscription.save();
+
+      const summary = await processDunning();
+
+      expect(summary.downgrades).toBeGreaterThanOrEqual(1);
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: subscription.userId, plan: 'FREE' })
+      );
+
+      const updated = await Subscription.findById(subscription._id);
+      expect(updated.dunning.downgradedAt).toBeDefined();
+    });
+
+    it('should ask to restore SPACE when the payment is recovered', async () => {
+      subscription.dunning = {
+        startedAt: daysAgo(10),
+        failedAttempts: 4,
+        remindersSent: 3,
+        downgradedAt: daysAgo(3),
+      };
+      await subscription.save();
+
+      const restored = await resolveDunning(subscription);
+      subscription.status = 'active';
+      await subscription.save();
+
+      // The caller saves the SPACE contract through the outbox
+      expect(restored).toBe(true);
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+
+      const updated = await Subscription.findById(subscription._id);
+      expect(updated.isInDunning()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the entitlements endpoints
+ * Tests the merge of plan and add-on features and limits for other services
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { api, generateTestToken } from '../setup/setup.js';
+import Subscription from '../../src/models/Subscription.js';
+import Dispute from '../../src/models/Dispute.js';
+import {
+  serializeUsageLimits,
+  getSubscriptionEntitlements,
+} from '../../src/services/entitlementsService.js';
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+
+describe('Entitlements', () => {
+  let userId;
+
+  const buildSubscription = (overrides = {}) =>
+    new Subscription({
+      userId,
+      username: 'entitlementsuser',
+      email: 'entitlements@example.com',
+      planType: 'PRO',
+      status: 'active',
+      activeAddOns: [
+        { name: 'extraDashboard', status: 'active' },
+        { name: 'decoratives', status: 'canceled' },
+      ],
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    userId = `entitlements-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    await Subscription.deleteMany({ userId });
+    await Dispute.deleteMany({ userId });
+  });
+
+  describe('getSubscriptionEntitlements()', () => {
+    it('should merge the plan with its active add-ons', async () => {
+      const entitlements =
+        await getSubscriptionEntitlements(buildSubscription());
+
+      expect(entitlements).toMatchObject({
+        plan: 'PRO',
+        subscribedPlan: 'PRO',
+        status: 'active',
+        restricted: false,
+        addOns: ['extraDashboard'],
+      });
+      expect(entitlements.features.decoratives).toBe(false);
+      expect(entitlements.usageLimits.maxDashboards).toBe(31);
+    });
+
+    it('should apply FREE while the subscription is suspended', async () => {
+      const entitlements = await getSubscriptionEntitlements(
+        buildSubscription({ status: 'suspended' })
+      );
+
+      expect(entitlements).toMatchObject({
+        plan: 'FREE',
+        subscribedPlan: 'PRO',
+        restricted: true,
+        addOns: [],
+      });
+      expect(entitlements.usageLimits.maxBeats).toBe(3);
+    });
+
+    it('should apply FREE while a dispute holds SPACE on FREE', async () => {
+      await Dispute.create({
+        stripeDisputeId: `du_${userId}`,
+        stripeChargeId: `ch_${userId}`,
+        userId,
+        amount: 999,
+        status: 'needs_response',
+        spaceDowngraded: true,
+      });
+
+      const entitlements =
+        await getSubscriptionEntitlements(buildSubscription());
+
+      expect(entitlements).toMatchObject({
+        plan: 'FREE',
+        subscribedPlan: 'PRO',
+        status: 'active',
+        restricted: true,
+        addOns: [],
+      });
+    });
+
+    it('should apply FREE to users without subscription', async () => {
+      expect(await getSubscriptionEntitlements(null)).toMatchObject({
+        plan: 'FREE',
+        subscribedPlan: 'FREE',
+        status: 'none',
+        restricted: false,
+      });
+    });
+
+    it('should serialize unlimited usage limits as null', () => {
+      expect(
+        serializeUsageLimits({ maxBeats: Infinity, maxStorage: 1000 })
+      ).toEqual({ maxBeats: null, maxStorage: 1000 });
+    });
+  });
+
+  describe('GET /api/v1/payments/entitlements', () => {
+    it('should require authentication', async () => {
+      const res = await api.get('/api/v1/payments/entitlements');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return the entitlements of the current user', async () => {
+      await buildSubscription({ planType: 'STUDIO', activeAddOns: [] }).save();
+
+      const res = await api
+        .get('/api/v1/payments/entitlements')
+        .set('Authorization', `Bearer ${generateTestToken({ id: userId })}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ userId, plan: 'STUDIO' });
+      expect(res.body.usageLimits.maxBeats).toBeNull();
+      expect(res.body.usageLimits.maxStorage).toBe(1000);
+    });
+  });
+
+  describe('GET /api/v1/payments/internal/entitlements/:userId', () => {
+    it('should require the internal API key', async () => {
+      const res = await api.get(
+        `/api/v1/payments/internal/entitlements/${userId}`
+      );
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return the entitlements of any user', async () => {
+      await buildSubscription().save();
+
+      const res = await api
+        .get(`/api/v1/payments/internal/entitlements/${userId}`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        userId,
+        plan: 'PRO',
+        addOns: ['extraDashboard'],
+      });
+      expect(res.body.usageLimits.maxDashboards).toBe(31);
+    });
+  });
+});
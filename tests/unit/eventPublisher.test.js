@@ -0,0 +1,100 @@
+/**
+ * Tests for the payments domain events publisher
+ * Tests the versioned envelope, the entitlements and the outbox entries
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import {
+  buildPaymentsEvent,
+  createPaymentsEventEntry,
+  PAYMENTS_EVENT_TYPES,
+  PAYMENTS_EVENT_VERSION,
+} from '../../src/services/eventPublisher.js';
+
+vi.mock('../../src/services/kafkaConsumer.js', () => ({
+  isKafkaEnabled: () => process.env.ENABLE_KAFKA === 'true',
+}));
+
+const buildSubscription = (overrides = {}) =>
+  new Subscription({
+    userId: 'events-user',
+    username: 'eventsuser',
+    email: 'events@example.com',
+    planType: 'STUDIO',
+    status: 'active',
+    activeAddOns: [
+      { name: 'promotedBeat', status: 'active' },
+      { name: 'decoratives', status: 'canceled' },
+    ],
+    ...overrides,
+  });
+
+describe('Payments events publisher', () => {
+  const originalKafka = process.env.ENABLE_KAFKA;
+
+  beforeEach(() => {
+    process.env.ENABLE_KAFKA = 'true';
+  });
+
+  afterEach(() => {
+    process.env.ENABLE_KAFKA = originalKafka;
+  });
+
+  it('should build a versioned envelope with the plan change', () => {
+    const event = buildPaymentsEvent(
+      PAYMENTS_EVENT_TYPES.PLAN_UPGRADED,
+      buildSubscription(),
+      { previousPlan: 'PRO' }
+    );
+
+    expect(event.eventId).toBeDefined();
+    expect(event.type).toBe('PLAN_UPGRADED');
+    expect(event.version).toBe(PAYMENTS_EVENT_VERSION);
+    expect(event.payload).toMatchObject({
+      userId: 'events-user',
+      previousPlan: 'PRO',
+      newPlan: 'STUDIO',
+      activeAddOns: ['promotedBeat'],
+    });
+    expect(event.payload.entitlements.features.promotedBeat).toBe(true);
+  });
+
+  it('should create a Kafka outbox entry keyed by user', () => {
+    const entry = createPaymentsEventEntry(
+      PAYMENTS_EVENT_TYPES.ADDON_PURCHASED,
+      buildSubscription(),
+      { addonName: 'promotedBeat' }
+    );
+
+    expect(entry.kind).toBe('KAFKA_MESSAGE');
+    expect(entry.userId).toBe('events-user');
+    expect(entry.payload.topic).toBe('payments-events');
+    expect(entry.payload.key).toBe('events-user');
+    expect(entry.payload.headers['event-type']).toBe('ADDON_PURCHASED');
+
+    const event = JSON.parse(entry.payload.value);
+    expect(event.eventId).toBe(entry.payload.headers['event-id']);
+    expect(event.payload.addonName).toBe('promotedBeat');
+  });
+
+  it('should serialize unlimited limits as null', () => {
+    const entry = createPaymentsEventEntry(
+      PAYMENTS_EVENT_TYPES.SUBSCRIPTION_CREATED,
+      buildSubscription()
+    );
+
+    const event = JSON.parse(entry.payload.value);
+    expect(event.payload.entitlements.usageLimits.maxBeats).toBeNull();
+  });
+
+  it('should not create entries when Kafka is disabled', () => {
+    process.env.ENABLE_KAFKA = 'false';
+
+    const entry = createPaymentsEventEntry(
+      PAYMENTS_EVENT_TYPES.PAYMENT_FAILED,
+      buildSubscription()
+    );
+
+    expect(entry).toBeNull();
+  });
+});
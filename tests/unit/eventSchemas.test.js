@@ -0,0 +1,92 @@
+/**
+ * Tests for the consumed events schema registry
+ * Tests the validation of type, version and payload and the version upgrades
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  EVENT_SCHEMAS,
+  getSupportedEventVersions,
+  validateEvent,
+} from '../../src/config/eventSchemas.config.js';
+
+describe('Event schemas registry', () => {
+  afterEach(() => {
+    delete EVENT_SCHEMAS.TEST_MIGRATED;
+  });
+
+  it('should accept valid events without version as version 1', () => {
+    const result = validateEvent({
+      type: 'USER_CREATED',
+      payload: { userId: 'u-1', username: 'user1' },
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.event.version).toBe(1);
+    expect(result.event.payload.userId).toBe('u-1');
+  });
+
+  it('should reject unknown event types', () => {
+    const result = validateEvent({ type: 'USER_LOGGED_IN', payload: {} });
+
+    expect(result).toEqual({
+      valid: false,
+      reason: 'Unknown event type: USER_LOGGED_IN',
+    });
+  });
+
+  it('should reject unsupported versions', () => {
+    const result = validateEvent({
+      type: 'USER_DELETED',
+      version: 7,
+      payload: { userId: 'u-1' },
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(
+      'Unsupported version 7 for USER_DELETED (supported: 1)'
+    );
+  });
+
+  it('should list every invalid field', () => {
+    const result = validateEvent({
+      type: 'USER_CREATED',
+      payload: { userId: '', email: 42 },
+    });
+
+    expect(result.reason).toBe(
+      'Invalid payload for USER_CREATED v1: userId is required; username is required; email must be a string'
+    );
+  });
+
+  it('should reject events that are not objects', () => {
+    expect(validateEvent('USER_DELETED').valid).toBe(false);
+    expect(validateEvent({ payload: {} }).reason).toBe('Event type is missing');
+  });
+
+  it('should upgrade older versions to the latest one', () => {
+    EVENT_SCHEMAS.TEST_MIGRATED = {
+      1: {
+        fields: { id: { type: 'string', required: true } },
+        upgrade: ({ id, ...rest }) => ({ ...rest, userId: id }),
+      },
+      2: {
+        fields: { userId: { type: 'string', required: true } },
+      },
+    };
+
+    const v1 = validateEvent({
+      type: 'TEST_MIGRATED',
+      version: 1,
+      payload: { id: 'u-1' },
+    });
+    const v2 = validateEvent({
+      type: 'TEST_MIGRATED',
+      version: 2,
+      payload: { userId: 'u-1' },
+    });
+
+    expect(getSupportedEventVersions('TEST_MIGRATED')).toEqual([1, 2]);
+    expect(v1.event).toMatchObject({ version: 2, payload: { userId: 'u-1' } });
+    expect(v2.event).toMatchObject({ version: 2, payload: { userId: 'u-1' } });
+  });
+});
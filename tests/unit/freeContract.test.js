@@ -0,0 +1,138 @@
+/**
+ * Tests for the free plan provisioning
+ * Tests the creation of the FREE contract and its idempotency (USER_CREATED)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import { provisionFreeContract } from '../../src/services/freeContractService.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  getOrCreateCustomer: vi.fn(),
+  getPriceIdForPlan: vi.fn().mockReturnValue('price_free'),
+  createFreeSubscription: vi.fn(),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  createSpaceContract: vi.fn().mockResolvedValue({ userContact: {} }),
+  formatSpaceAddOns: vi.fn().mockReturnValue({}),
+}));
+
+vi.mock('../../src/services/kafkaConsumer.js', () => ({
+  isKafkaEnabled: () => false,
+}));
+
+describe('Free plan provisioning', () => {
+  let userId;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userId = `free-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    stripeService.getOrCreateCustomer.mockResolvedValue({ id: 'cus_free' });
+    stripeService.createFreeSubscription.mockResolvedValue({
+      id: `sub_${userId}`,
+      current_period_start: Math.floor(Date.now() / 1000),
+      current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+    });
+  });
+
+  afterEach(async () => {
+    await Subscription.deleteMany({ userId });
+  });
+
+  it('should create the SPACE contract, the Stripe subscription and the local record', async () => {
+    const result = await provisionFreeContract({
+      userId,
+      username: 'freeuser',
+    });
+
+    expect(result.created).toBe(true);
+    expect(spaceService.createSpaceContract).toHaveBeenCalledWith({
+      userId,
+      username: 'freeuser',
+      plan: 'FREE',
+    });
+    expect(stripeService.getOrCreateCustomer).toHaveBeenCalledWith(undefined, {
+      userId,
+      username: 'freeuser',
+    });
+    expect(stripeService.createFreeSubscription).toHaveBeenCalledWith(
+      expect.objectContaining({
+        customerId: 'cus_free',
+        priceId: 'price_free',
+        idempotencyKey: `free-contract-${userId}`,
+      })
+    );
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.planType).toBe('FREE');
+    expect(subscription.status).toBe('active');
+    expect(subscription.stripeSubscriptionId).toBe(`sub_${userId}`);
+  });
+
+  it('should reuse the customer and email of an existing record', async () => {
+    await Subscription.create({
+      userId,
+      username: 'freeuser',
+      email: 'real@example.com',
+      stripeCustomerId: `cus_${userId}`,
+      planType: 'FREE',
+      status: 'incomplete',
+    });
+
+    await provisionFreeContract({ userId, username: 'freeuser' });
+
+    expect(stripeService.getOrCreateCustomer).not.toHaveBeenCalled();
+    expect(stripeService.createFreeSubscription).toHaveBeenCalledWith(
+      expect.objectContaining({ customerId: `cus_${userId}` })
+    );
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.email).toBe('real@example.com');
+  });
+
+  it('should reuse the saved customer when retrying after a failure', async () => {
+    stripeService.createFreeSubscription.mockRejectedValueOnce(
+      new Error('Stripe unavailable')
+    );
+
+    await expect(
+      provisionFreeContract({ userId, username: 'freeuser' })
+    ).rejects.toThrow('Stripe unavailable');
+
+    const pending = await Subscription.findOne({ userId });
+    expect(pending.stripeCustomerId).toBe('cus_free');
+    expect(pending.stripeSubscriptionId).toBeUndefined();
+
+    const result = await provisionFreeContract({
+      userId,
+      username: 'freeuser',
+    });
+
+    expect(result.created).toBe(true);
+    expect(stripeService.getOrCreateCustomer).toHaveBeenCalledTimes(1);
+    expect(stripeService.createFreeSubscription).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        customerId: 'cus_free',
+        idempotencyKey: `free-contract-${userId}`,
+      })
+    );
+    expect(await Subscription.countDocuments({ userId })).toBe(1);
+  });
+
+  it('should not create anything twice for the same user', async () => {
+    await provisionFreeContract({ userId, username: 'freeuser' });
+    vi.clearAllMocks();
+
+    const result = await provisionFreeContract({
+      userId,
+      username: 'freeuser',
+    });
+
+    expect(result.created).toBe(false);
+    expect(result.subscription.stripeSubscriptionId).toBe(`sub_${userId}`);
+    expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    expect(stripeService.createFreeSubscription).not.toHaveBeenCalled();
+    expect(await Subscription.countDocuments({ userId })).toBe(1);
+  });
+});
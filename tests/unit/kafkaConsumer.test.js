@@ -0,0 +1,153 @@
+/**
+ * Tests for the Kafka consumer retries
+ * Tests the backoff with jitter and the transient vs permanent error handling
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import {
+  getMessageRetryDelay,
+  processEventWithRetry,
+  handleUserEventMessage,
+  startKafkaConsumer,
+} from '../../src/services/kafkaConsumer.js';
+import { setEventBus } from '../../src/services/eventBus.js';
+import { createInMemoryEventBus } from '../../src/services/inMemoryEventBus.js';
+import {
+  PermanentEventError,
+  isTransientError,
+} from '../../src/utils/eventErrors.js';
+
+describe('Kafka consumer retries', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('getMessageRetryDelay()', () => {
+    it('should keep half of the exponential delay and randomize the rest', () => {
+      expect(getMessageRetryDelay(1, () => 0)).toBe(250);
+      expect(getMessageRetryDelay(1, () => 0.999)).toBe(500);
+      expect(getMessageRetryDelay(3, () => 0)).toBe(1000);
+    });
+
+    it('should be capped', () => {
+      expect(getMessageRetryDelay(50, () => 0)).toBe(2500);
+      expect(getMessageRetryDelay(50, () => 0.999)).toBeLessThanOrEqual(5000);
+    });
+  });
+
+  describe('isTransientError()', () => {
+    it('should treat bad data as permanent', () => {
+      expect(isTransientError(new PermanentEventError('missing userId'))).toBe(
+        false
+      );
+      expect(isTransientError(new SyntaxError('Unexpected token'))).toBe(false);
+    });
+
+    it('should treat other errors as transient', () => {
+      expect(isTransientError(new Error('connection refused'))).toBe(true);
+    });
+  });
+
+  describe('processEventWithRetry()', () => {
+    const userUpdated = { type: 'USER_UPDATED', payload: { userId: 'u-1' } };
+
+    it('should retry transient errors until the event succeeds', async () => {
+      const findOne = vi
+        .spyOn(Subscription, 'findOne')
+        .mockRejectedValueOnce(new Error('database unavailable'))
+        .mockRejectedValueOnce(new Error('database unavailable'))
+        .mockResolvedValueOnce(null);
+      const heartbeat = vi.fn().mockResolvedValue(undefined);
+
+      const processing = processEventWithRetry(userUpdated, heartbeat);
+      await vi.runAllTimersAsync();
+      await processing;
+
+      expect(findOne).toHaveBeenCalledTimes(3);
+      expect(heartbeat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up after the last attempt with the retry metadata', async () => {
+      vi.spyOn(Subscription, 'findOne').mockRejectedValue(
+        new Error('database unavailable')
+      );
+
+      const processing = processEventWithRetry(userUpdated);
+      const assertion = expect(processing).rejects.toMatchObject({
+        message: 'database unavailable',
+        attempts: 4,
+        transient: true,
+      });
+      await vi.runAllTimersAsync();
+      await assertion;
+    });
+
+    it('should not retry permanent errors', async () => {
+      await expect(
+        processEventWithRetry({ type: 'USER_CREATED', payload: {} })
+      ).rejects.toMatchObject({
+        name: 'EventValidationError',
+        attempts: 1,
+        transient: false,
+      });
+    });
+  });
+
+  describe('handleUserEventMessage()', () => {
+    afterEach(() => {
+      setEventBus(null);
+    });
+
+    it('should send invalid JSON to the DLQ as a permanent error', async () => {
+      const eventBus = createInMemoryEventBus();
+      setEventBus(eventBus);
+
+      await handleUserEventMessage({
+        topic: 'users-events',
+        partition: 0,
+        offset: '7',
+        value: '{not json',
+      });
+
+      const [dlqMessage] = eventBus.getMessages('payments-interaction-dlq');
+      expect(dlqMessage.headers).toMatchObject({
+        'error-type': 'permanent',
+        'error-name': 'SyntaxError',
+        'retry-attempts': '1',
+        'original-offset': '7',
+      });
+    });
+  });
+
+  describe('startKafkaConsumer()', () => {
+    afterEach(() => {
+      setEventBus(null);
+      delete process.env.KAFKA_CONNECTION_RETRY_DELAY;
+    });
+
+    it('should not subscribe again to topics that were subscribed before a failure', async () => {
+      process.env.KAFKA_CONNECTION_RETRY_DELAY = '10';
+      const subscribe = vi
+        .fn()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Broker not available'))
+        .mockResolvedValue();
+      setEventBus({ connect: vi.fn().mockResolvedValue(), subscribe });
+
+      const started = startKafkaConsumer();
+      await vi.runAllTimersAsync();
+      await started;
+
+      expect(subscribe.mock.calls.map(([topic]) => topic)).toEqual([
+        'users-events',
+        'payments-interaction-dlq',
+        'payments-interaction-dlq',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the Kafka adapter of the event bus
+ * Tests the consumer lifecycle when subscribing fails
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Kafka } from 'kafkajs';
+import { createKafkaEventBus } from '../../src/services/kafkaEventBus.js';
+
+vi.mock('kafkajs', () => ({
+  Kafka: vi.fn(),
+}));
+
+describe('Kafka event bus', () => {
+  let consumer;
+
+  beforeEach(() => {
+    consumer = {
+      events: { GROUP_JOIN: 'join', STOP: 'stop', CRASH: 'crash' },
+      on: vi.fn(),
+      connect: vi.fn().mockResolvedValue(),
+      subscribe: vi.fn().mockResolvedValue(),
+      run: vi.fn().mockResolvedValue(),
+      disconnect: vi.fn().mockResolvedValue(),
+    };
+    Kafka.mockImplementation(function () {
+      return {
+        producer: () => ({}),
+        admin: () => ({}),
+        consumer: () => consumer,
+      };
+    });
+  });
+
+  it('should disconnect the consumer when subscribing fails', async () => {
+    consumer.subscribe.mockRejectedValue(new Error('Topic not found'));
+    const eventBus = createKafkaEventBus();
+
+    await expect(
+      eventBus.subscribe('users-events', vi.fn(), { groupId: 'group' })
+    ).rejects.toThrow('Topic not found');
+
+    expect(consumer.run).not.toHaveBeenCalled();
+    expect(consumer.disconnect).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for the transactional outbox
+ * Tests the atomic write of the outbox entries and the relay delivery
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import { setEventBus } from '../../src/services/eventBus.js';
+import { createInMemoryEventBus } from '../../src/services/inMemoryEventBus.js';
+import {
+  saveWithOutbox,
+  createSpaceContractEntry,
+} from '../../src/services/outboxService.js';
+import {
+  getOutboxRetryDelay,
+  processNextOutboxEntry,
+} from '../../src/services/outboxRelay.js';
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  createSpaceContract: vi.fn().mockResolvedValue(undefined),
+  deleteSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
+}));
+
+// Entries created "long ago" are claimed before any other test's entries
+const createEntry = (overrides = {}) =>
+  OutboxEntry.create({
+    createdAt: new Date('2000-01-01T00:00:00Z'),
+    ...overrides,
+  });
+
+describe('Transactional outbox', () => {
+  let userId;
+  let eventBus;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    eventBus = createInMemoryEventBus();
+    setEventBus(eventBus);
+    userId = `outbox-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    setEventBus(null);
+    await Subscription.deleteMany({ userId });
+    await OutboxEntry.deleteMany({ userId });
+  });
+
+  describe('getOutboxRetryDelay()', () => {
+    it('should grow exponentially up to the maximum', () => {
+      expect(getOutboxRetryDelay(1)).toBe(2000);
+      expect(getOutboxRetryDelay(2)).toBe(4000);
+      expect(getOutboxRetryDelay(50)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('saveWithOutbox()', () => {
+    it('should save the subscription and deliver its SPACE contract', async () => {
+      const subscription = new Subscription({
+        userId,
+        username: 'outboxuser',
+        email: 'outbox@example.com',
+        planType: 'PRO',
+        status: 'active',
+        activeAddOns: [{ name: 'decoratives', status: 'active' }],
+      });
+
+      await saveWithOutbox(subscription, [
+        createSpaceContractEntry(subscription),
+        null,
+      ]);
+
+      expect(await Subscription.exists({ userId })).toBeTruthy();
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith({
+        userId,
+        username: 'outboxuser',
+        plan: 'PRO',
+        addOns: { socialbeats: { decoratives: 1 } },
+      });
+
+      const entries = await OutboxEntry.find({ userId });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].status).toBe('delivered');
+    });
+
+    it('should keep the entry for the relay when SPACE fails', async () => {
+      spaceService.createSpaceContract.mockRejectedValueOnce(
+        new Error('SPACE unavailable')
+      );
+      const subscription = new Subscription({
+        userId,
+        username: 'outboxuser',
+        email: 'outbox@example.com',
+        planType: 'PRO',
+      });
+
+      await saveWithOutbox(subscription, [
+        createSpaceContractEntry(subscription),
+      ]);
+
+      const entry = await OutboxEntry.findOne({ userId });
+      expect(entry.status).toBe('failed');
+      expect(entry.attempts).toBe(1);
+      expect(entry.lastError).toBe('SPACE unavailable');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('Relay', () => {
+    it('should publish Kafka messages', async () => {
+      await createEntry({
+        kind: 'KAFKA_MESSAGE',
+        userId,
+        payload: { topic: 'payments-events', key: userId, value: '{}' },
+      });
+
+      const entry = await processNextOutboxEntry();
+
+      expect(entry.status).toBe('delivered');
+      expect(eventBus.getMessages('payments-events')).toEqual([
+        expect.objectContaining({ key: userId, value: '{}' }),
+      ]);
+    });
+
+    it('should not apply a SPACE contract replaced by a newer one', async () => {
+      await createEntry({
+        kind: 'SPACE_CONTRACT',
+        userId,
+        payload: { plan: 'STUDIO', addOns: [] },
+      });
+      await OutboxEntry.create({
+        kind: 'SPACE_CONTRACT',
+        userId,
+        payload: { plan: 'FREE', addOns: [] },
+        status: 'delivered',
+      });
+
+      const entry = await processNextOutboxEntry();
+
+      expect(entry.status).toBe('superseded');
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    });
+
+    it('should delete the SPACE contract and drop older failed operations', async () => {
+      await OutboxEntry.create({
+        kind: 'SPACE_CONTRACT',
+        userId,
+        payload: { plan: 'PRO', addOns: [] },
+        status: 'dead',
+        createdAt: new Date('1999-01-01T00:00:00Z'),
+      });
+      await createEntry({
+        kind: 'SPACE_CONTRACT_DELETE',
+        userId,
+        payload: { plan: null, addOns: [] },
+      });
+
+      const entry = await processNextOutboxEntry();
+
+      expect(entry.status).toBe('delivered');
+      expect(spaceService.deleteSpaceContract).toHaveBeenCalledWith(userId);
+      expect(
+        await OutboxEntry.findOne({ userId, kind: 'SPACE_CONTRACT' })
+      ).toMatchObject({ status: 'superseded' });
+    });
+
+    it('should wait for an older SPACE operation still being delivered', async () => {
+      await OutboxEntry.create({
+        kind: 'SPACE_CONTRACT',
+        userId,
+        payload: { plan: 'PRO', addOns: [] },
+        status: 'processing',
+        lockedAt: new Date(),
+        createdAt: new Date('1999-01-01T00:00:00Z'),
+      });
+      await createEntry({
+        kind: 'SPACE_CONTRACT',
+        userId,
+        payload: { plan: 'FREE', addOns: [] },
+      });
+
+      const entry = await processNextOutboxEntry();
+
+      expect(entry.status).toBe('pending');
+      expect(entry.attempts).toBe(0);
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,7 @@
-import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, afterEach } from 'vitest';
 import {
   PLANS,
   ADDONS,
@@ -8,6 +11,7 @@ import {
   getPlanPrice,
   getStripePriceId,
   comparePlans,
+  getPlanTrialDays,
   planRequiresPayment,
   getPlanNameFromPriceId,
   getDefaultFreePlan,
@@ -17,7 +21,18 @@ import {
   isAddOnAvailableForPlan,
   getAddOnsForPlan,
   getAddOnStripePriceId,
+  getEffectiveEntitlements,
+  loadPlanCatalog,
 } from '../../src/config/plans.config.js';
+import Subscription from '../../src/models/Subscription.js';
+import {
+  buildSpacePricing,
+  dumpSpacePricing,
+  parseSpacePricing,
+  spacePricingToCatalog,
+  getStripePriceEnvName,
+  SpacePricingValidationError,
+} from '../../src/utils/spacePricing.js';
 
 describe('Plans Configuration', () => {
   describe('PLANS constant', () => {
@@ -164,6 +179,21 @@ describe('Plans Configuration', () => {
     });
   });
 
+  describe('getPlanTrialDays()', () => {
+    it('should return 0 for FREE plan', () => {
+      expect(getPlanTrialDays('FREE')).toBe(0);
+    });
+
+    it('should return trial days for paid plans', () => {
+      expect(getPlanTrialDays('PRO')).toBe(14);
+      expect(getPlanTrialDays('STUDIO')).toBe(7);
+    });
+
+    it('should return 0 for invalid plan', () => {
+      expect(getPlanTrialDays('INVALID')).toBe(0);
+    });
+  });
+
   describe('planRequiresPayment()', () => {
     it('should return false for FREE plan', () => {
       expect(planRequiresPayment('FREE')).toBe(false);
@@ -347,3 +377,177 @@ describe('AddOns Configuration', () => {
     });
   });
 });
+
+describe('Entitlements', () => {
+  describe('getEffectiveEntitlements()', () => {
+    it('should return the plan features and limits without add-ons', () => {
+      const entitlements = getEffectiveEntitlements('PRO');
+
+      expect(entitlements.plan).toBe('PRO');
+      expect(entitlements.addOns).toEqual([]);
+      expect(entitlements.features).toEqual(PLANS.PRO.features);
+      expect(entitlements.usageLimits).toEqual(PLANS.PRO.usageLimits);
+    });
+
+    it('should enable add-on features and extend limits', () => {
+      const entitlements = getEffectiveEntitlements('PRO', [
+        'decoratives',
+        'extraDashboard',
+      ]);
+
+      expect(entitlements.features.decoratives).toBe(true);
+      expect(entitlements.usageLimits.maxDashboards).toBe(
+        PLANS.PRO.usageLimits.maxDashboards + 1
+      );
+    });
+
+    it('should ignore add-ons not available for the plan', () => {
+      const entitlements = getEffectiveEntitlements('FREE', ['promotedBeat']);
+
+      expect(entitlements.addOns).toEqual([]);
+      expect(entitlements.features.promotedBeat).toBe(false);
+    });
+
+    it('should not mutate the plan configuration', () => {
+      getEffectiveEntitlements('FREE', ['decoratives']);
+
+      expect(PLANS.FREE.features.decoratives).toBe(false);
+    });
+
+    it('should return null for invalid plan', () => {
+      expect(getEffectiveEntitlements('INVALID')).toBeNull();
+    });
+  });
+});
+
+describe('Catalog from SPACE pricing', () => {
+  const pricingFile = path.join(
+    os.tmpdir(),
+    `space-pricing-${process.pid}-${Date.now()}.yaml`
+  );
+
+  // Fresh copy of the built-in catalog as a SPACE pricing
+  const builtInPricing = () =>
+    parseSpacePricing(dumpSpacePricing(buildSpacePricing(PLANS, ADDONS)));
+
+  afterEach(() => {
+    delete process.env.PLANS_FROM_SPACE_PRICING;
+    delete process.env.SPACE_PRICING_FILE;
+    fs.rmSync(pricingFile, { force: true });
+  });
+
+  it('should rebuild the built-in catalog from its own pricing', () => {
+    const catalog = spacePricingToCatalog(builtInPricing(), {
+      builtInPlans: PLANS,
+      builtInAddOns: ADDONS,
+    });
+
+    expect(catalog.plans).toEqual(PLANS);
+    expect(catalog.addOns).toEqual(ADDONS);
+  });
+
+  it('should map Stripe price IDs from the environment by convention', () => {
+    expect(getStripePriceEnvName('PRO')).toBe('STRIPE_PRICE_PRO');
+    expect(getStripePriceEnvName('extraDashboard', { addOn: true })).toBe(
+      'STRIPE_PRICE_ADDON_EXTRA_DASHBOARD'
+    );
+
+    const pricing = builtInPricing();
+    pricing.plans.GOLD = { price: 49.99, unit: 'user/month' };
+
+    const catalog = spacePricingToCatalog(pricing, {
+      env: { STRIPE_PRICE_GOLD: 'price_gold' },
+    });
+
+    expect(catalog.plans.GOLD).toMatchObject({
+      displayName: 'Gold',
+      stripePriceId: 'price_gold',
+      trialDays: 0,
+      usageLimits: PLANS.FREE.usageLimits,
+    });
+  });
+
+  it('should report every validation error', () => {
+    const pricing = builtInPricing();
+    pricing.plans.PRO.usageLimit = {};
+    pricing.plans.STUDIO.price = '29.99';
+    pricing.addOns.decoratives.availableFor = ['GOLD'];
+    pricing.plans.FREE.price = 5;
+
+    try {
+      spacePricingToCatalog(pricing);
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(SpacePricingValidationError);
+      expect(error.errors).toEqual([
+        'plans.PRO.usageLimit is not supported',
+        'plans.STUDIO.price must be a non-negative number',
+        'plans.FREE.price must be 0',
+        'addOns.decoratives.availableFor: plan GOLD is not declared',
+      ]);
+    }
+  });
+
+  it('should only load the pricing file when enabled', () => {
+    const pricing = builtInPricing();
+    pricing.plans.PRO.usageLimits.maxBeats = { value: 50 };
+    fs.writeFileSync(pricingFile, dumpSpacePricing(pricing));
+    process.env.SPACE_PRICING_FILE = pricingFile;
+
+    expect(loadPlanCatalog().plans).toBe(PLANS);
+
+    process.env.PLANS_FROM_SPACE_PRICING = 'true';
+    const { plans } = loadPlanCatalog();
+
+    expect(plans.PRO.usageLimits.maxBeats).toBe(50);
+    expect(plans.PRO.trialDays).toBe(PLANS.PRO.trialDays);
+  });
+
+  it('should refuse plans and add-ons that subscriptions cannot store', () => {
+    const pricing = builtInPricing();
+    pricing.plans.GOLD = { price: 49.99, unit: 'user/month' };
+    pricing.addOns.extraStorage = { price: 1.99, unit: 'user/month' };
+    fs.writeFileSync(pricingFile, dumpSpacePricing(pricing));
+    process.env.SPACE_PRICING_FILE = pricingFile;
+    process.env.PLANS_FROM_SPACE_PRICING = 'true';
+
+    expect(() => loadPlanCatalog()).toThrow(
+      'plans.GOLD is not supported (supported: FREE, PRO, STUDIO)'
+    );
+    expect(() => loadPlanCatalog()).toThrow(
+      'addOns.extraStorage is not supported'
+    );
+  });
+
+  it('should refuse to drop plans and add-ons that subscriptions may use', () => {
+    const pricing = builtInPricing();
+    delete pricing.plans.PRO;
+    delete pricing.addOns.promotedBeat;
+    for (const addon of Object.values(pricing.addOns)) {
+      addon.availableFor = addon.availableFor?.filter((plan) => plan !== 'PRO');
+    }
+    fs.writeFileSync(pricingFile, dumpSpacePricing(pricing));
+    process.env.SPACE_PRICING_FILE = pricingFile;
+    process.env.PLANS_FROM_SPACE_PRICING = 'true';
+
+    try {
+      loadPlanCatalog();
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(SpacePricingValidationError);
+      expect(error.errors).toEqual([
+        'plans.PRO is missing (subscriptions may use it)',
+        'addOns.promotedBeat is missing (subscriptions may use it)',
+      ]);
+    }
+  });
+
+  it('should keep the Subscription model in line with the catalog', () => {
+    expect(Subscription.schema.path('planType').enumValues).toEqual(
+      Object.keys(PLANS)
+    );
+    expect(
+      Subscription.schema.path('activeAddOns').schema.path('name').enumValues
+    ).toEqual(Object.keys(ADDONS));
+  });
+});
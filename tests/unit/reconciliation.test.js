@@ -0,0 +1,273 @@
+/**
+ * Tests for the reconciliation between MongoDB, Stripe and SPACE
+ * Tests the drift detection, the source-of-truth policy and the repairs
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import Dispute from '../../src/models/Dispute.js';
+import ReconciliationDrift from '../../src/models/ReconciliationDrift.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import {
+  getStripeState,
+  findStripeDrifts,
+  findSpaceDrift,
+  reconcileSubscription,
+} from '../../src/services/reconciliationService.js';
+import { getExpectedSpaceContract } from '../../src/services/spaceContractService.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  findSubscription: vi.fn(),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  getSpaceContract: vi.fn(),
+  createSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
+}));
+
+const PERIOD_START = 1767225600; // 2026-01-01
+const PERIOD_END = 1769904000; // 2026-02-01
+
+const stripeSubscriptionFor = (overrides = {}) => ({
+  id: 'sub_reconcile',
+  status: 'active',
+  pause_collection: null,
+  current_period_start: PERIOD_START,
+  current_period_end: PERIOD_END,
+  items: {
+    data: [
+      { id: 'si_plan', price: { id: 'price_test_pro' } },
+      { id: 'si_deco', price: { id: 'price_test_addon_decoratives' } },
+    ],
+  },
+  ...overrides,
+});
+
+describe('Reconciliation', () => {
+  let userId;
+
+  const buildSubscription = (overrides = {}) =>
+    new Subscription({
+      userId,
+      username: 'reconcileuser',
+      email: 'reconcile@example.com',
+      planType: 'PRO',
+      status: 'active',
+      stripeSubscriptionId: 'sub_reconcile',
+      activeAddOns: [{ name: 'decoratives', status: 'active' }],
+      currentPeriodStart: new Date(PERIOD_START * 1000),
+      currentPeriodEnd: new Date(PERIOD_END * 1000),
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userId = `reconcile-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  describe('Drift detection', () => {
+    it('should find no drift when MongoDB matches Stripe', () => {
+      const state = getStripeState(stripeSubscriptionFor());
+
+      expect(state).toMatchObject({
+        plan: 'PRO',
+        status: 'active',
+        addOns: [{ name: 'decoratives', stripeSubscriptionItemId: 'si_deco' }],
+      });
+      expect(findStripeDrifts(buildSubscription(), state)).toEqual([]);
+    });
+
+    it('should detect plan, add-ons, status and period drift', () => {
+      const subscription = buildSubscription({
+        planType: 'STUDIO',
+        status: 'past_due',
+        activeAddOns: [],
+        currentPeriodEnd: new Date(),
+      });
+
+      const drifts = findStripeDrifts(
+        subscription,
+        getStripeState(stripeSubscriptionFor())
+      );
+
+      expect(drifts.map(({ field }) => field)).toEqual([
+        'plan',
+        'addOns',
+        'status',
+        'period',
+      ]);
+      expect(drifts.every(({ source }) => source === 'stripe')).toBe(true);
+
+      drifts.forEach((drift) => drift.apply(subscription));
+      expect(subscription.planType).toBe('PRO');
+      expect(subscription.status).toBe('active');
+      expect(subscription.getActiveAddOnNames()).toEqual(['decoratives']);
+      expect(subscription.currentPeriodEnd).toEqual(
+        new Date(PERIOD_END * 1000)
+      );
+    });
+
+    it('should treat pause_collection as paused and keep suspensions', () => {
+      const state = getStripeState(
+        stripeSubscriptionFor({ pause_collection: { behavior: 'void' } })
+      );
+
+      expect(state.status).toBe('paused');
+      expect(
+        findStripeDrifts(buildSubscription({ status: 'suspended' }), state)
+      ).toEqual([]);
+    });
+
+    it('should expect FREE in SPACE when the subscription is not entitled', () => {
+      expect(getExpectedSpaceContract(buildSubscription())).toEqual({
+        plan: 'PRO',
+        addOns: ['decoratives'],
+      });
+      expect(
+        getExpectedSpaceContract(buildSubscription({ status: 'paused' }))
+      ).toEqual({ plan: 'FREE', addOns: [] });
+      expect(
+        getExpectedSpaceContract(
+          buildSubscription({
+            status: 'past_due',
+            dunning: { startedAt: new Date(), downgradedAt: new Date() },
+          })
+        )
+      ).toEqual({ plan: 'FREE', addOns: [] });
+      expect(
+        getExpectedSpaceContract(buildSubscription(), { inDispute: true })
+      ).toEqual({ plan: 'FREE', addOns: [] });
+    });
+
+    it('should compare the SPACE contract ignoring add-on order', () => {
+      const expected = { plan: 'PRO', addOns: ['decoratives', 'promotedBeat'] };
+
+      expect(
+        findSpaceDrift(expected, {
+          plan: 'PRO',
+          addOns: ['promotedBeat', 'decoratives'],
+        })
+      ).toBeNull();
+      expect(findSpaceDrift(expected, null)).toMatchObject({
+        field: 'spaceContract',
+        source: 'local',
+        actual: null,
+      });
+    });
+  });
+
+  describe('reconcileSubscription()', () => {
+    afterEach(async () => {
+      await Subscription.deleteMany({ userId });
+      await OutboxEntry.deleteMany({ userId });
+      await ReconciliationDrift.deleteMany({ userId });
+      await Dispute.deleteMany({ userId });
+    });
+
+    it('should repair MongoDB from Stripe and SPACE from MongoDB', async () => {
+      const subscription = await buildSubscription({
+        planType: 'STUDIO',
+      }).save();
+      stripeService.findSubscription.mockResolvedValue(stripeSubscriptionFor());
+      spaceService.getSpaceContract.mockResolvedValue({
+        plan: 'STUDIO',
+        addOns: ['decoratives'],
+      });
+
+      const result = await reconcileSubscription(subscription, {
+        repair: true,
+      });
+
+      expect(result.drifts.map(({ field }) => field)).toEqual([
+        'plan',
+        'spaceContract',
+      ]);
+      expect(result.repaired).toBe(2);
+      expect((await Subscription.findOne({ userId })).planType).toBe('PRO');
+      expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, plan: 'PRO' })
+      );
+      expect(await ReconciliationDrift.countDocuments({ userId })).toBe(2);
+    });
+
+    it('should keep SPACE on FREE while a dispute is open', async () => {
+      const subscription = await buildSubscription().save();
+      await Dispute.create({
+        stripeDisputeId: `du_${userId}`,
+        stripeChargeId: `ch_${userId}`,
+        userId,
+        amount: 999,
+        status: 'needs_response',
+        spaceDowngraded: true,
+      });
+      stripeService.findSubscription.mockResolvedValue(stripeSubscriptionFor());
+      spaceService.getSpaceContract.mockResolvedValue({
+        plan: 'FREE',
+        addOns: [],
+      });
+
+      const result = await reconcileSubscription(subscription, {
+        repair: true,
+      });
+
+      expect(result.drifts).toEqual([]);
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    });
+
+    it('should only report drift without repair', async () => {
+      const subscription = await buildSubscription().save();
+      stripeService.findSubscription.mockResolvedValue(null);
+      spaceService.getSpaceContract.mockResolvedValue({
+        plan: 'PRO',
+        addOns: ['decoratives'],
+      });
+
+      const result = await reconcileSubscription(subscription, {
+        repair: false,
+      });
+
+      expect(result.drifts).toHaveLength(1);
+      expect(result.drifts[0]).toMatchObject({
+        field: 'stripeSubscription',
+        repaired: false,
+      });
+      expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    });
+
+    it('should not repair a subscription that changed meanwhile', async () => {
+      const subscription = await buildSubscription().save();
+      // e.g. a webhook handled while Stripe was being queried
+      await Subscription.updateOne(
+        { userId },
+        {
+          $set: {
+            status: 'paused',
+            updatedAt: new Date(subscription.updatedAt.getTime() + 1000),
+          },
+        },
+        { timestamps: false }
+      );
+      stripeService.findSubscription.mockResolvedValue(
+        stripeSubscriptionFor({ status: 'past_due' })
+      );
+      spaceService.getSpaceContract.mockResolvedValue({
+        plan: 'PRO',
+        addOns: ['decoratives'],
+      });
+
+      const result = await reconcileSubscription(subscription, {
+        repair: true,
+      });
+
+      expect(result.repaired).toBe(0);
+      expect(result.drifts[0].repairError).toBe(
+        'Subscription changed during reconciliation'
+      );
+      expect((await Subscription.findOne({ userId })).status).toBe('paused');
+    });
+  });
+});
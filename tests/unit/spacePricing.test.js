@@ -0,0 +1,134 @@
+/**
+ * Tests for the SPACE pricing generator
+ * Tests the YAML built from plans.config.js and the diff against an existing one
+ */
+import { describe, it, expect } from 'vitest';
+import { api } from '../setup/setup.js';
+import { PLANS, ADDONS } from '../../src/config/plans.config.js';
+import {
+  buildSpacePricing,
+  dumpSpacePricing,
+  parseSpacePricing,
+  normalizeSpacePricing,
+  diffSpacePricing,
+} from '../../src/utils/spacePricing.js';
+import { generateSpacePricingYaml } from '../../src/services/spacePricingService.js';
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+const ADMIN_PRICING_URL = '/api/v1/payments/internal/admin/space/pricing';
+
+describe('SPACE pricing', () => {
+  const pricing = buildSpacePricing(PLANS, ADDONS, { createdAt: '2026-01-01' });
+
+  describe('buildSpacePricing()', () => {
+    it('should use the free plan as defaults and only declare overrides', () => {
+      expect(pricing.features.banner.defaultValue).toBe(
+        PLANS.FREE.features.banner
+      );
+      expect(pricing.usageLimits.maxBeats).toMatchObject({
+        defaultValue: PLANS.FREE.usageLimits.maxBeats,
+        linkedFeatures: ['beats'],
+      });
+      expect(pricing.plans.FREE.features).toBeUndefined();
+      expect(pricing.plans.PRO.usageLimits.maxBeats).toEqual({
+        value: PLANS.PRO.usageLimits.maxBeats,
+      });
+    });
+
+    it('should include add-on availability, prices and extensions', () => {
+      expect(pricing.addOns.extraDashboard).toMatchObject({
+        availableFor: ADDONS.extraDashboard.availableFor,
+        price: ADDONS.extraDashboard.price,
+        usageLimitsExtensions: { maxDashboards: { value: 1 } },
+      });
+    });
+
+    it('should keep unlimited usage limits through YAML', () => {
+      const yaml = dumpSpacePricing(pricing);
+
+      expect(yaml).toContain('.inf');
+      expect(
+        normalizeSpacePricing(parseSpacePricing(yaml)).plans.STUDIO.usageLimits
+          .maxBeats
+      ).toBe(Infinity);
+    });
+  });
+
+  describe('diffSpacePricing()', () => {
+    it('should find no differences with its own YAML', () => {
+      expect(
+        diffSpacePricing(pricing, parseSpacePricing(dumpSpacePricing(pricing)))
+      ).toEqual([]);
+    });
+
+    it('should compare effective values, not how they are declared', () => {
+      const existing = parseSpacePricing(dumpSpacePricing(pricing));
+      // Same value declared explicitly instead of inherited from the defaults
+      existing.plans.FREE.usageLimits = {
+        maxBeats: { value: PLANS.FREE.usageLimits.maxBeats },
+      };
+      existing.version = '2.0';
+
+      expect(diffSpacePricing(pricing, existing)).toEqual([]);
+    });
+
+    it('should report changed prices, limits and availability', () => {
+      const existing = parseSpacePricing(dumpSpacePricing(pricing));
+      existing.plans.PRO.price = 8.99;
+      existing.plans.STUDIO.usageLimits.maxBeats = { value: 100 };
+      existing.addOns.decoratives.availableFor = ['FREE'];
+
+      expect(diffSpacePricing(pricing, existing)).toEqual([
+        { path: 'plans.PRO.price', expected: PLANS.PRO.price, actual: 8.99 },
+        {
+          path: 'plans.STUDIO.usageLimits.maxBeats',
+          expected: Infinity,
+          actual: 100,
+        },
+        {
+          path: 'addOns.decoratives.availableFor',
+          expected: [...ADDONS.decoratives.availableFor].sort(),
+          actual: ['FREE'],
+        },
+      ]);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should return the generated YAML', async () => {
+      const res = await api
+        .get(ADMIN_PRICING_URL)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/yaml');
+      expect(res.text).toContain('saasName: SocialBeats');
+    });
+
+    it('should report the differences with a given YAML', async () => {
+      const existing = parseSpacePricing(generateSpacePricingYaml());
+      delete existing.addOns.promotedBeat;
+
+      const res = await api
+        .post(`${ADMIN_PRICING_URL}/diff`)
+        .set('x-internal-api-key', INTERNAL_KEY)
+        .send({ yaml: dumpSpacePricing(existing) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.inSync).toBe(false);
+      expect(res.body.differences).toEqual([
+        expect.objectContaining({ path: 'addOns.promotedBeat' }),
+      ]);
+    });
+
+    it('should reject an invalid YAML', async () => {
+      const res = await api
+        .post(`${ADMIN_PRICING_URL}/diff`)
+        .set('x-internal-api-key', INTERNAL_KEY)
+        .send({ yaml: 'plans: [unclosed' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('INVALID_YAML');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the SPACE sync admin endpoints
+ * Tests the stuck syncs report and the manual retry of failed SPACE operations
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { api } from '../setup/setup.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+const ADMIN_SPACE_SYNC_URL = '/api/v1/payments/internal/admin/space/sync';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('SPACE sync admin', () => {
+  let userId;
+
+  const createOperation = (overrides = {}) =>
+    OutboxEntry.create({
+      kind: 'SPACE_CONTRACT',
+      userId,
+      payload: { username: 'syncuser', plan: 'PRO', addOns: ['decoratives'] },
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    userId = `space-sync-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    await OutboxEntry.deleteMany({ userId });
+  });
+
+  describe('GET /space/sync/stuck', () => {
+    it('should require the internal API key', async () => {
+      const res = await api.get(`${ADMIN_SPACE_SYNC_URL}/stuck`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should list the latest failed operation with its intended contract', async () => {
+      await createOperation({
+        status: 'dead',
+        createdAt: minutesAgo(30),
+      });
+      await createOperation({
+        status: 'failed',
+        attempts: 3,
+        lastError: 'SPACE unavailable',
+        payload: { username: 'syncuser', plan: 'STUDIO', addOns: [] },
+        createdAt: minutesAgo(20),
+      });
+
+      const res = await api
+        .get(`${ADMIN_SPACE_SYNC_URL}/stuck`)
+        .query({ userId })
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.byStatus).toEqual({ failed: 1 });
+      expect(res.body.entries[0]).toMatchObject({
+        userId,
+        operation: 'update',
+        plan: 'STUDIO',
+        addOns: [],
+        status: 'failed',
+        attempts: 3,
+        lastError: 'SPACE unavailable',
+      });
+    });
+
+    it('should only list pending operations older than the threshold', async () => {
+      await createOperation({ createdAt: minutesAgo(1) });
+
+      const recent = await api
+        .get(`${ADMIN_SPACE_SYNC_URL}/stuck`)
+        .query({ userId })
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(recent.body.total).toBe(0);
+
+      await OutboxEntry.updateMany(
+        { userId },
+        { $set: { createdAt: minutesAgo(10) } },
+        { timestamps: false }
+      );
+
+      const stuck = await api
+        .get(`${ADMIN_SPACE_SYNC_URL}/stuck`)
+        .query({ userId })
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(stuck.body.total).toBe(1);
+      expect(stuck.body.entries[0].status).toBe('pending');
+    });
+
+    it('should not list users whose latest operation was delivered', async () => {
+      await createOperation({ status: 'dead', createdAt: minutesAgo(30) });
+      await createOperation({
+        kind: 'SPACE_CONTRACT_DELETE',
+        payload: { plan: null, addOns: [] },
+        status: 'delivered',
+        createdAt: minutesAgo(20),
+      });
+
+      const res = await api
+        .get(`${ADMIN_SPACE_SYNC_URL}/stuck`)
+        .query({ userId })
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.body.total).toBe(0);
+    });
+  });
+
+  describe('POST /space/sync/:id/retry', () => {
+    it('should queue dead operations for retry', async () => {
+      const operation = await createOperation({
+        status: 'dead',
+        attempts: 10,
+        nextAttemptAt: minutesAgo(60),
+      });
+
+      const res = await api
+        .post(`${ADMIN_SPACE_SYNC_URL}/${operation._id}/retry`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.entry).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('should not retry delivered operations', async () => {
+      const operation = await createOperation({ status: 'delivered' });
+
+      const res = await api
+        .post(`${ADMIN_SPACE_SYNC_URL}/${operation._id}/retry`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('SPACE_SYNC_NOT_RETRYABLE');
+    });
+
+    it('should return 404 for unknown operations', async () => {
+      const res = await api
+        .post(`${ADMIN_SPACE_SYNC_URL}/not-an-id/retry`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('SPACE_SYNC_NOT_FOUND');
+    });
+  });
+});
@@ -40,11 +40,12 @@ describe('Subscription Model', () => {
       await expect(subscription.save()).rejects.toThrow();
     });
 
-    it('should require email', async () => {
+    it('should allow a missing email until USER_UPDATED provides it', async () => {
       delete subscriptionData.email;
       const subscription = new Subscription(subscriptionData);
 
-      await expect(subscription.save()).rejects.toThrow();
+      const saved = await subscription.save();
+      expect(saved.email).toBeUndefined();
     });
 
     it('should only allow valid plan types', async () => {
@@ -270,6 +271,53 @@ describe('Subscription Model', () => {
     });
   });
 
+  describe('Stripe event ordering', () => {
+    const eventAt = (date) => ({
+      id: 'evt_order',
+      type: 'customer.subscription.updated',
+      created: Math.floor(date.getTime() / 1000),
+    });
+
+    it('should not consider events stale when nothing was applied yet', () => {
+      const subscription = new Subscription(subscriptionData);
+
+      expect(subscription.isStaleStripeEvent(eventAt(new Date()))).toBe(false);
+    });
+
+    it('should detect events older than the last applied one', () => {
+      const subscription = new Subscription({
+        ...subscriptionData,
+        lastStripeEventAt: new Date('2025-01-10T12:00:00Z'),
+      });
+
+      const older = eventAt(new Date('2025-01-10T11:00:00Z'));
+      const newer = eventAt(new Date('2025-01-10T13:00:00Z'));
+
+      expect(subscription.isStaleStripeEvent(older)).toBe(true);
+      expect(subscription.isStaleStripeEvent(newer)).toBe(false);
+    });
+
+    it('should never move lastStripeEventAt backwards', () => {
+      const latest = new Date('2025-01-10T12:00:00Z');
+      const subscription = new Subscription({
+        ...subscriptionData,
+        lastStripeEventAt: latest,
+      });
+
+      subscription.markStripeEventApplied(
+        eventAt(new Date('2025-01-09T12:00:00Z'))
+      );
+      expect(subscription.lastStripeEventAt.getTime()).toBe(latest.getTime());
+
+      subscription.markStripeEventApplied(
+        eventAt(new Date('2025-01-11T12:00:00Z'))
+      );
+      expect(subscription.lastStripeEventAt.toISOString()).toBe(
+        '2025-01-11T12:00:00.000Z'
+      );
+    });
+  });
+
   describe('AddOn Validation', () => {
     it('should only allow valid addon names', async () => {
       const validAddons = [
@@ -0,0 +1,270 @@
+/**
+ * Tests for the account suspension
+ * Tests USER_BANNED / USER_UNBANNED: Stripe collection, local status and SPACE
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import OutboxEntry from '../../src/models/OutboxEntry.js';
+import ProcessedWebhookEvent from '../../src/models/ProcessedWebhookEvent.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import {
+  suspendUser,
+  reinstateUser,
+} from '../../src/services/suspensionService.js';
+import { processWebhookEvent } from '../../src/controllers/subscriptionController.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  pauseSubscription: vi.fn().mockResolvedValue({}),
+  resumeSubscription: vi.fn().mockResolvedValue({ status: 'active' }),
+  getSubscription: vi.fn(),
+  getPlanTypeFromPriceId: vi.fn().mockReturnValue('PRO'),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  createSpaceContract: vi.fn().mockResolvedValue(undefined),
+  formatSpaceAddOns: vi.fn((names = []) => ({
+    socialbeats: Object.fromEntries(names.map((name) => [name, 1])),
+  })),
+}));
+
+describe('Account suspension', () => {
+  let userId;
+
+  const createSubscription = (overrides = {}) =>
+    Subscription.create({
+      userId,
+      username: 'banneduser',
+      email: 'banned@example.com',
+      planType: 'PRO',
+      status: 'active',
+      stripeSubscriptionId: `sub_${userId}`,
+      activeAddOns: [{ name: 'decoratives', status: 'active' }],
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userId = `suspended-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    await Subscription.deleteMany({ userId });
+    await OutboxEntry.deleteMany({ userId });
+    await ProcessedWebhookEvent.deleteMany({
+      eventId: {
+        $in: [
+          `evt_schedule_${userId}`,
+          `evt_invoice_failed_${userId}`,
+          `evt_invoice_paid_${userId}`,
+        ],
+      },
+    });
+  });
+
+  it('should pause collection, suspend and downgrade SPACE on ban', async () => {
+    await createSubscription();
+
+    const result = await suspendUser({ userId, reason: 'spam' });
+
+    expect(result.suspended).toBe(true);
+    expect(stripeService.pauseSubscription).toHaveBeenCalledWith(
+      `sub_${userId}`
+    );
+    expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId,
+        plan: 'FREE',
+        addOns: { socialbeats: {} },
+      })
+    );
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.status).toBe('suspended');
+    expect(subscription.getActiveSuspension()).toMatchObject({
+      reason: 'spam',
+      previousStatus: 'active',
+      collectionPaused: true,
+    });
+  });
+
+  it('should restore the plan and add-ons on unban and keep the reason', async () => {
+    await createSubscription();
+    await suspendUser({ userId, reason: 'spam' });
+    vi.clearAllMocks();
+
+    const result = await reinstateUser({ userId });
+
+    expect(result.reinstated).toBe(true);
+    expect(stripeService.resumeSubscription).toHaveBeenCalledWith(
+      `sub_${userId}`
+    );
+    expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId,
+        plan: 'PRO',
+        addOns: { socialbeats: { decoratives: 1 } },
+      })
+    );
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.status).toBe('active');
+    expect(subscription.getActiveSuspension()).toBeNull();
+    expect(subscription.suspensions).toHaveLength(1);
+    expect(subscription.suspensions[0].reason).toBe('spam');
+    expect(subscription.suspensions[0].liftedAt).toBeInstanceOf(Date);
+  });
+
+  it('should keep a subscription paused by the user paused after unban', async () => {
+    await createSubscription({ status: 'paused' });
+
+    await suspendUser({ userId, reason: 'abuse' });
+    expect(stripeService.pauseSubscription).not.toHaveBeenCalled();
+    vi.clearAllMocks();
+
+    await reinstateUser({ userId });
+
+    expect(stripeService.resumeSubscription).not.toHaveBeenCalled();
+    expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+    expect((await Subscription.findOne({ userId })).status).toBe('paused');
+  });
+
+  it('should keep the suspension when a scheduled downgrade completes', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await createSubscription({ planType: 'STUDIO', activeAddOns: [] });
+    await suspendUser({ userId, reason: 'spam' });
+    vi.clearAllMocks();
+    stripeService.getSubscription.mockResolvedValue({
+      id: `sub_${userId}`,
+      status: 'active',
+      items: { data: [{ id: 'si_pro', price: { id: 'price_pro' } }] },
+      current_period_start: now,
+      current_period_end: now + 30 * 24 * 60 * 60,
+    });
+
+    await processWebhookEvent({
+      id: `evt_schedule_${userId}`,
+      type: 'subscription_schedule.completed',
+      created: now,
+      data: {
+        object: { id: `sub_sched_${userId}`, subscription: `sub_${userId}` },
+      },
+    });
+
+    let subscription = await Subscription.findOne({ userId });
+    expect(subscription.planType).toBe('PRO');
+    expect(subscription.status).toBe('suspended');
+    expect(subscription.getActiveSuspension()).not.toBeNull();
+    expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+
+    // El unban reanuda el cobro y restaura ya el nuevo plan
+    await reinstateUser({ userId });
+
+    expect(stripeService.resumeSubscription).toHaveBeenCalledWith(
+      `sub_${userId}`
+    );
+    expect(spaceService.createSpaceContract).toHaveBeenCalledWith(
+      expect.objectContaining({ userId, plan: 'PRO' })
+    );
+    subscription = await Subscription.findOne({ userId });
+    expect(subscription.status).toBe('active');
+  });
+
+  it('should keep a paused subscription on FREE when a scheduled downgrade completes', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await createSubscription({
+      planType: 'STUDIO',
+      status: 'paused',
+      pausedAt: new Date(),
+    });
+    stripeService.getSubscription.mockResolvedValue({
+      id: `sub_${userId}`,
+      status: 'active',
+      pause_collection: { behavior: 'void', resumes_at: null },
+      items: { data: [{ id: 'si_pro', price: { id: 'price_pro' } }] },
+      current_period_start: now,
+      current_period_end: now + 30 * 24 * 60 * 60,
+    });
+
+    await processWebhookEvent({
+      id: `evt_schedule_${userId}`,
+      type: 'subscription_schedule.completed',
+      created: now,
+      data: {
+        object: { id: `sub_sched_${userId}`, subscription: `sub_${userId}` },
+      },
+    });
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.planType).toBe('PRO');
+    expect(subscription.status).toBe('paused');
+    expect(spaceService.createSpaceContract).not.toHaveBeenCalledWith(
+      expect.objectContaining({ plan: 'PRO' })
+    );
+  });
+
+  it('should keep the suspension when an invoice payment fails', async () => {
+    await createSubscription();
+    await suspendUser({ userId, reason: 'spam' });
+
+    await processWebhookEvent({
+      id: `evt_invoice_failed_${userId}`,
+      type: 'invoice.payment_failed',
+      data: {
+        object: {
+          id: `in_${userId}`,
+          subscription: `sub_${userId}`,
+          attempt_count: 1,
+        },
+      },
+    });
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.status).toBe('suspended');
+    expect(subscription.isInDunning()).toBe(true);
+  });
+
+  it('should not restore SPACE for a paused subscription when a late payment succeeds', async () => {
+    await createSubscription({
+      status: 'paused',
+      pausedAt: new Date(),
+      dunning: {
+        startedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000),
+        failedAttempts: 1,
+        failedInvoiceId: `in_${userId}`,
+        downgradedAt: new Date(),
+      },
+    });
+
+    await processWebhookEvent({
+      id: `evt_invoice_paid_${userId}`,
+      type: 'invoice.payment_succeeded',
+      data: {
+        object: { id: `in_${userId}`, subscription: `sub_${userId}` },
+      },
+    });
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.status).toBe('paused');
+    expect(subscription.isInDunning()).toBe(false);
+    expect(spaceService.createSpaceContract).not.toHaveBeenCalled();
+  });
+
+  it('should ignore repeated bans and unbans', async () => {
+    await createSubscription();
+    await suspendUser({ userId, reason: 'spam' });
+    vi.clearAllMocks();
+
+    expect((await suspendUser({ userId, reason: 'again' })).suspended).toBe(
+      false
+    );
+    expect(stripeService.pauseSubscription).not.toHaveBeenCalled();
+
+    await reinstateUser({ userId });
+    expect((await reinstateUser({ userId })).reinstated).toBe(false);
+    expect(stripeService.resumeSubscription).toHaveBeenCalledTimes(1);
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.suspensions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for free trial eligibility
+ * Tests the one-trial-per-user and one-trial-per-card enforcement
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TrialUsage from '../../src/models/TrialUsage.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import { registerTrial } from '../../src/services/trialService.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  getPaymentMethod: vi.fn(),
+  endTrialNow: vi.fn().mockResolvedValue({ status: 'active' }),
+  getSubscription: vi.fn().mockResolvedValue({ status: 'trialing' }),
+}));
+
+const buildStripeSubscription = (id, paymentMethod = 'pm_trial') => ({
+  id,
+  customer: `cus_${id}`,
+  status: 'trialing',
+  default_payment_method: paymentMethod,
+  trial_start: Math.floor(Date.now() / 1000),
+  trial_end: Math.floor(Date.now() / 1000) + 14 * 24 * 60 * 60,
+});
+
+describe('Free trials', () => {
+  let userId;
+  let fingerprint;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userId = `trial-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    fingerprint = `fp_${userId}`;
+    stripeService.getPaymentMethod.mockResolvedValue({
+      id: 'pm_trial',
+      card: { fingerprint },
+    });
+  });
+
+  afterEach(async () => {
+    await TrialUsage.deleteMany({ cardFingerprint: fingerprint });
+    await TrialUsage.deleteMany({ userId });
+  });
+
+  it('should register the first trial of a user', async () => {
+    const result = await registerTrial({
+      userId,
+      planType: 'PRO',
+      stripeSubscription: buildStripeSubscription(`sub_${userId}`),
+    });
+
+    expect(result.revoked).toBe(false);
+    expect(await TrialUsage.isEligible(userId)).toBe(false);
+
+    const usage = await TrialUsage.findOne({ userId });
+    expect(usage.cardFingerprint).toBe(fingerprint);
+    expect(stripeService.endTrialNow).not.toHaveBeenCalled();
+  });
+
+  it('should be idempotent for the same subscription', async () => {
+    const stripeSubscription = buildStripeSubscription(`sub_${userId}`);
+
+    await registerTrial({ userId, planType: 'PRO', stripeSubscription });
+    const result = await registerTrial({
+      userId,
+      planType: 'PRO',
+      stripeSubscription,
+    });
+
+    expect(result.revoked).toBe(false);
+    expect(stripeService.endTrialNow).not.toHaveBeenCalled();
+  });
+
+  it('should end a second trial of the same user', async () => {
+    await registerTrial({
+      userId,
+      planType: 'PRO',
+      stripeSubscription: buildStripeSubscription(`sub_${userId}_1`),
+    });
+
+    const result = await registerTrial({
+      userId,
+      planType: 'STUDIO',
+      stripeSubscription: buildStripeSubscription(`sub_${userId}_2`),
+    });
+
+    expect(result).toEqual({ revoked: true, reason: 'TRIAL_ALREADY_USED' });
+    expect(stripeService.endTrialNow).toHaveBeenCalledWith(`sub_${userId}_2`);
+  });
+
+  it('should end the trial when the card was used by another user', async () => {
+    await TrialUsage.create({
+      userId: `other-${userId}`,
+      planType: 'PRO',
+      cardFingerprint: fingerprint,
+    });
+
+    const result = await registerTrial({
+      userId,
+      planType: 'PRO',
+      stripeSubscription: buildStripeSubscription(`sub_${userId}`),
+    });
+
+    expect(result).toEqual({ revoked: true, reason: 'CARD_ALREADY_USED' });
+    expect(stripeService.endTrialNow).toHaveBeenCalledWith(`sub_${userId}`);
+
+    const usage = await TrialUsage.findOne({ userId });
+    expect(usage.revoked).toBe(true);
+  });
+
+  it('should end a revoked trial again when Stripe failed the first time', async () => {
+    await TrialUsage.create({
+      userId: `other-${userId}`,
+      planType: 'PRO',
+      cardFingerprint: fingerprint,
+    });
+    const stripeSubscription = buildStripeSubscription(`sub_${userId}`);
+    stripeService.endTrialNow.mockRejectedValueOnce(
+      new Error('Failed to end trial')
+    );
+
+    await expect(
+      registerTrial({ userId, planType: 'PRO', stripeSubscription })
+    ).rejects.toThrow('Failed to end trial');
+
+    // Reintento del webhook
+    await registerTrial({ userId, planType: 'PRO', stripeSubscription });
+
+    expect(stripeService.getSubscription).toHaveBeenCalledWith(`sub_${userId}`);
+    expect(stripeService.endTrialNow).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not end a revoked trial that already ended in Stripe', async () => {
+    await TrialUsage.create({
+      userId: `other-${userId}`,
+      planType: 'PRO',
+      cardFingerprint: fingerprint,
+    });
+    const stripeSubscription = buildStripeSubscription(`sub_${userId}`);
+
+    await registerTrial({ userId, planType: 'PRO', stripeSubscription });
+    stripeService.getSubscription.mockResolvedValueOnce({ status: 'active' });
+    const result = await registerTrial({
+      userId,
+      planType: 'PRO',
+      stripeSubscription,
+    });
+
+    expect(result.revoked).toBe(true);
+    expect(stripeService.endTrialNow).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the profile synchronization
+ * Tests the propagation of USER_UPDATED changes to Stripe, SPACE and MongoDB
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Subscription from '../../src/models/Subscription.js';
+import * as stripeService from '../../src/services/stripeService.js';
+import * as spaceService from '../../src/services/spaceService.js';
+import { syncUserProfile } from '../../src/services/userProfileService.js';
+
+vi.mock('../../src/services/stripeService.js', () => ({
+  updateCustomer: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../../src/services/spaceService.js', () => ({
+  updateSpaceUserContact: vi.fn().mockResolvedValue(true),
+}));
+
+describe('Profile synchronization', () => {
+  let userId;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    userId = `profile-user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    await Subscription.create({
+      userId,
+      username: 'oldname',
+      email: 'oldname@socialbeats.com',
+      planType: 'PRO',
+      stripeCustomerId: 'cus_profile',
+    });
+  });
+
+  afterEach(async () => {
+    await Subscription.deleteMany({ userId });
+  });
+
+  it('should update Stripe, SPACE and the local record', async () => {
+    const result = await syncUserProfile({
+      userId,
+      username: 'newname',
+      email: 'real@example.com',
+    });
+
+    expect(result).toEqual({ updated: true, changes: ['username', 'email'] });
+    expect(stripeService.updateCustomer).toHaveBeenCalledWith('cus_profile', {
+      email: 'real@example.com',
+      name: 'newname',
+      metadata: { userId, username: 'newname' },
+    });
+    expect(spaceService.updateSpaceUserContact).toHaveBeenCalledWith(userId, {
+      userId,
+      username: 'newname',
+      email: 'real@example.com',
+    });
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.username).toBe('newname');
+    expect(subscription.email).toBe('real@example.com');
+  });
+
+  it('should keep the local record unchanged when Stripe fails', async () => {
+    stripeService.updateCustomer.mockRejectedValueOnce(
+      new Error('Failed to update Stripe customer')
+    );
+
+    await expect(
+      syncUserProfile({ userId, email: 'real@example.com' })
+    ).rejects.toThrow('Failed to update Stripe customer');
+
+    const subscription = await Subscription.findOne({ userId });
+    expect(subscription.email).toBe('oldname@socialbeats.com');
+  });
+
+  it('should do nothing when the profile did not change', async () => {
+    const result = await syncUserProfile({ userId, username: 'oldname' });
+
+    expect(result.updated).toBe(false);
+    expect(stripeService.updateCustomer).not.toHaveBeenCalled();
+    expect(spaceService.updateSpaceUserContact).not.toHaveBeenCalled();
+  });
+});
@@ -2,8 +2,10 @@
  * Tests for Webhook handling
  * Tests webhook signature verification and event processing
  */
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { api } from '../setup/setup.js';
+import ProcessedWebhookEvent from '../../src/models/ProcessedWebhookEvent.js';
+import WebhookInboxEntry from '../../src/models/WebhookInboxEntry.js';
 
 describe('Webhook Middleware', () => {
   describe('POST /api/v1/payments/webhook', () => {
@@ -41,6 +43,96 @@ describe('Webhook Middleware', () => {
   });
 });
 
+describe('Webhook Idempotency', () => {
+  let eventId;
+
+  beforeEach(() => {
+    eventId = `evt_idem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    await ProcessedWebhookEvent.deleteMany({ eventId });
+    await WebhookInboxEntry.deleteMany({ eventId });
+  });
+
+  it('should reject events without id', async () => {
+    const res = await api
+      .post('/api/v1/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ type: 'test.event' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('INVALID_EVENT');
+  });
+
+  it('should store events in the inbox and acknowledge duplicates', async () => {
+    const event = JSON.stringify({
+      id: eventId,
+      type: 'test.event',
+      data: { object: {} },
+    });
+
+    const first = await api
+      .post('/api/v1/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .send(event);
+
+    expect(first.status).toBe(200);
+    expect(first.body.duplicate).toBe(false);
+
+    const entry = await WebhookInboxEntry.findOne({ eventId });
+    expect(entry.status).toBe('pending');
+    expect(entry.type).toBe('test.event');
+    expect(entry.payload.id).toBe(eventId);
+
+    const second = await api
+      .post('/api/v1/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .send(event);
+
+    expect(second.status).toBe(200);
+    expect(second.body.duplicate).toBe(true);
+
+    const entries = await WebhookInboxEntry.countDocuments({ eventId });
+    expect(entries).toBe(1);
+  });
+
+  it('should allow failed events to be claimed again', async () => {
+    await ProcessedWebhookEvent.create({
+      eventId,
+      type: 'test.event',
+      status: 'failed',
+      attempts: 1,
+      lastError: 'boom',
+    });
+
+    const claimed = await ProcessedWebhookEvent.claim({
+      id: eventId,
+      type: 'test.event',
+    });
+
+    expect(claimed).not.toBeNull();
+    expect(claimed.status).toBe('processing');
+    expect(claimed.attempts).toBe(2);
+  });
+
+  it('should not claim events that are still processing', async () => {
+    await ProcessedWebhookEvent.create({
+      eventId,
+      type: 'test.event',
+      status: 'processing',
+      attempts: 1,
+    });
+
+    const claimed = await ProcessedWebhookEvent.claim({
+      id: eventId,
+      type: 'test.event',
+    });
+
+    expect(claimed).toBeNull();
+  });
+});
+
 describe('Webhook Event Types', () => {
   // These tests verify the expected structure of webhook events
   // without actually processing them (since we can't sign them)
@@ -0,0 +1,179 @@
+/**
+ * Tests for the Stripe webhook inbox
+ * Tests the background worker and the admin endpoints
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { api } from '../setup/setup.js';
+import WebhookInboxEntry from '../../src/models/WebhookInboxEntry.js';
+import ProcessedWebhookEvent from '../../src/models/ProcessedWebhookEvent.js';
+import Subscription from '../../src/models/Subscription.js';
+import {
+  getRetryDelay,
+  processNextInboxEntry,
+} from '../../src/services/webhookInboxWorker.js';
+
+const INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+
+// Entries received "long ago" are claimed before any other test's entries
+const createEntry = (eventId, overrides = {}) =>
+  WebhookInboxEntry.create({
+    eventId,
+    type: 'test.event',
+    payload: { id: eventId, type: 'test.event', data: { object: {} } },
+    receivedAt: new Date('2000-01-01T00:00:00Z'),
+    ...overrides,
+  });
+
+describe('Webhook Inbox Worker', () => {
+  let eventId;
+
+  beforeEach(() => {
+    eventId = `evt_inbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await WebhookInboxEntry.deleteMany({ eventId });
+    await ProcessedWebhookEvent.deleteMany({ eventId });
+  });
+
+  describe('getRetryDelay()', () => {
+    it('should grow exponentially', () => {
+      expect(getRetryDelay(1)).toBe(5000);
+      expect(getRetryDelay(2)).toBe(10000);
+      expect(getRetryDelay(3)).toBe(20000);
+    });
+
+    it('should be capped', () => {
+      expect(getRetryDelay(50)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('processNextInboxEntry()', () => {
+    it('should process pending entries', async () => {
+      await createEntry(eventId);
+
+      const entry = await processNextInboxEntry();
+
+      expect(entry.eventId).toBe(eventId);
+      expect(entry.status).toBe('processed');
+      expect(entry.attempts).toBe(1);
+
+      const record = await ProcessedWebhookEvent.findOne({ eventId });
+      expect(record.status).toBe('succeeded');
+    });
+
+    it('should schedule a retry when the handler fails', async () => {
+      await createEntry(eventId, {
+        type: 'invoice.payment_failed',
+        payload: {
+          id: eventId,
+          type: 'invoice.payment_failed',
+          data: { object: { subscription: 'sub_inbox_fail' } },
+        },
+      });
+      vi.spyOn(Subscription, 'findOne').mockRejectedValueOnce(
+        new Error('database unavailable')
+      );
+
+      const entry = await processNextInboxEntry();
+
+      expect(entry.eventId).toBe(eventId);
+      expect(entry.status).toBe('failed');
+      expect(entry.lastError).toBe('database unavailable');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      const record = await ProcessedWebhookEvent.findOne({ eventId });
+      expect(record.status).toBe('failed');
+    });
+
+    it('should mark entries as dead after the last attempt', async () => {
+      await createEntry(eventId, {
+        type: 'invoice.payment_failed',
+        attempts: 7,
+        status: 'failed',
+        nextAttemptAt: new Date(Date.now() - 1000),
+        payload: {
+          id: eventId,
+          type: 'invoice.payment_failed',
+          data: { object: { subscription: 'sub_inbox_dead' } },
+        },
+      });
+      vi.spyOn(Subscription, 'findOne').mockRejectedValueOnce(
+        new Error('still failing')
+      );
+
+      const entry = await processNextInboxEntry();
+
+      expect(entry.eventId).toBe(eventId);
+      expect(entry.status).toBe('dead');
+      expect(entry.attempts).toBe(8);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should require the internal API key', async () => {
+      const res = await api.get(
+        '/api/v1/payments/internal/admin/webhooks/inbox'
+      );
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should list dead entries', async () => {
+      await createEntry(eventId, { status: 'dead', attempts: 8 });
+
+      const res = await api
+        .get('/api/v1/payments/internal/admin/webhooks/inbox?status=dead')
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      const listed = res.body.entries.find((e) => e.eventId === eventId);
+      expect(listed).toBeDefined();
+      expect(listed.status).toBe('dead');
+      expect(listed.payload).toBeUndefined();
+    });
+
+    it('should reject unknown statuses', async () => {
+      const res = await api
+        .get('/api/v1/payments/internal/admin/webhooks/inbox?status=unknown')
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('INVALID_STATUS');
+    });
+
+    it('should queue dead entries for retry', async () => {
+      await createEntry(eventId, { status: 'dead', attempts: 8 });
+
+      const res = await api
+        .post(`/api/v1/payments/internal/admin/webhooks/inbox/${eventId}/retry`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.entry.status).toBe('pending');
+      expect(res.body.entry.attempts).toBe(0);
+    });
+
+    it('should not retry processed entries', async () => {
+      await createEntry(eventId, { status: 'processed', attempts: 1 });
+
+      const res = await api
+        .post(`/api/v1/payments/internal/admin/webhooks/inbox/${eventId}/retry`)
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('INBOX_ENTRY_NOT_RETRYABLE');
+    });
+
+    it('should return 404 for unknown entries', async () => {
+      const res = await api
+        .post(
+          '/api/v1/payments/internal/admin/webhooks/inbox/evt_missing/retry'
+        )
+        .set('x-internal-api-key', INTERNAL_KEY);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});